@@ -0,0 +1,102 @@
+// ---------------------------
+// Mortgage amortization
+// ---------------------------
+
+/**
+ * Level-payment schedule for a fixed-rate loan.
+ * @param {number} loan
+ * @param {number} rateAPR   fraction, e.g. 0.065
+ * @param {number} termYears
+ * @returns {{ paymentMonthly: number, rows: { month: number, payment: number, interest: number, principal: number, balance: number }[] }}
+ */
+export function amortizationSchedule(loan, rateAPR, termYears) {
+  const n = termYears * 12;
+  const r = rateAPR / 12;
+  const m = levelPayment(loan, r, n);
+  let bal = loan;
+  const rows = [];
+  for (let i = 1; i <= n; i++) {
+    const interest = bal * r;
+    const principal = m - interest;
+    bal -= principal;
+    rows.push({ month: i, payment: m, interest, principal, balance: Math.max(0, bal) });
+  }
+  return { paymentMonthly: m, rows };
+}
+
+/**
+ * Cumulative principal and interest after `years`, and the balance left.
+ * @param {{ principal: number, interest: number, balance: number }[]} rows
+ * @param {number} years
+ */
+export function summarizeFinancials(rows, years) {
+  const months = Math.min(rows.length, years * 12);
+  let principalPaid = 0;
+  let interestPaid = 0;
+  if (months === 0) return { principalPaid, interestPaid, balance: rows.length > 0 ? rows[0].balance : 0 };
+  for (let i = 0; i < months; i++) {
+    principalPaid += rows[i].principal;
+    interestPaid += rows[i].interest;
+  }
+  return { principalPaid, interestPaid, balance: rows[months - 1]?.balance ?? 0 };
+}
+
+// Level payment that retires `balance` over `n` months at monthly rate `r`.
+function levelPayment(balance, r, n) {
+  if (n <= 0) return balance;
+  if (r === 0) return balance / n;
+  return (balance * r) / (1 - Math.pow(1 + r, -n));
+}
+
+/**
+ * APR in effect for a given 0-based month. ARM resets apply from the start of their year
+ * and stay in effect until the next reset.
+ * @param {{ rate: number, loanType?: string, armResets?: { year: number, rate: number }[] }} terms
+ * @param {number} m
+ */
+export function rateForMonth(terms, m) {
+  let rate = terms.rate;
+  if (terms.loanType !== 'arm') return rate;
+  const year = Math.floor(m / 12) + 1;
+  for (const reset of [...(terms.armResets ?? [])].sort((a, b) => a.year - b.year)) {
+    if (reset.year <= year) rate = reset.rate;
+  }
+  return rate;
+}
+
+/**
+ * Month-by-month schedule for fixed, interest-only and ARM loans.
+ * - 'fixed': level P&I over the term.
+ * - 'interestOnly': interest only for `ioYears`, then level P&I over the months left in the term.
+ * - 'arm': starts at `rate`; the payment is re-amortized over the remaining term at each reset.
+ * Extra principal is paid after the scheduled payment and shortens the loan; the payment stays level.
+ * @param {number} loan
+ * @param {{ rate: number, termYears: number, loanType?: 'fixed'|'interestOnly'|'arm', ioYears?: number, armResets?: { year: number, rate: number }[] }} terms
+ * @param {number[]} [extra]  extra principal by 0-based month of this loan
+ * @returns {{ paymentMonthly: number, rows: { month: number, rate: number, payment: number, interest: number, principal: number, extraPrincipal: number, balance: number }[] }}
+ */
+export function loanSchedule(loan, terms, extra = []) {
+  const n = terms.termYears * 12;
+  const ioMonths = terms.loanType === 'interestOnly' ? Math.min(n, (terms.ioYears ?? 0) * 12) : 0;
+  let bal = loan;
+  let payment = 0;
+  let prevRate = null;
+  const rows = [];
+  for (let m = 0; m < n; m++) {
+    const rate = rateForMonth(terms, m);
+    const r = rate / 12;
+    const interest = bal * r;
+    if (m < ioMonths) {
+      payment = interest;
+    } else if (m === ioMonths || rate !== prevRate) {
+      payment = levelPayment(bal, r, n - m);
+    }
+    prevRate = rate;
+    const principal = Math.min(bal, payment - interest);
+    bal -= principal;
+    const extraPrincipal = Math.max(0, Math.min(bal, extra[m] ?? 0));
+    bal -= extraPrincipal;
+    rows.push({ month: m + 1, rate, payment: interest + principal, interest, principal, extraPrincipal, balance: Math.max(0, bal) });
+  }
+  return { paymentMonthly: rows.length ? rows[0].payment : 0, rows };
+}
@@ -0,0 +1,97 @@
+import { describe, expect, it } from 'vitest';
+import { amortizationSchedule, createRng, loanSchedule, rateForMonth, summarizeFinancials } from './index.js';
+
+// $240,000 at 6.5% over 30 years, checked against PMT, CUMIPMT and FV
+describe('spreadsheet reference values', () => {
+  const { paymentMonthly, rows } = amortizationSchedule(240_000, 0.065, 30);
+
+  it('payment matches PMT(6.5%/12, 360, -240000)', () => {
+    expect(paymentMonthly).toBeCloseTo(1516.96, 2);
+    expect(rows).toHaveLength(360);
+  });
+
+  it('summarizeFinancials matches CUMIPMT/CUMPRINC and the remaining balance', () => {
+    const year1 = summarizeFinancials(rows, 1);
+    expect(year1.interestPaid).toBeCloseTo(15_521.02, 2);
+    expect(year1.principalPaid).toBeCloseTo(2_682.54, 2);
+    expect(year1.balance).toBeCloseTo(237_317.46, 2);
+
+    const year10 = summarizeFinancials(rows, 10);
+    expect(year10.interestPaid).toBeCloseTo(145_498.29, 2);
+    expect(year10.balance).toBeCloseTo(203_462.70, 2);
+  });
+
+  it('summarizeFinancials clamps to the schedule', () => {
+    expect(summarizeFinancials(rows, 0)).toEqual({ principalPaid: 0, interestPaid: 0, balance: rows[0].balance });
+    expect(summarizeFinancials(rows, 40)).toEqual(summarizeFinancials(rows, 30));
+    expect(summarizeFinancials([], 5)).toEqual({ principalPaid: 0, interestPaid: 0, balance: 0 });
+  });
+});
+
+describe('amortization properties', () => {
+  const rng = createRng(42);
+  const cases = Array.from({ length: 200 }, (_, k) => ({
+    loan: 10_000 + rng() * 1_990_000,
+    rate: k % 20 === 0 ? 0 : rng() * 0.15,
+    termYears: 5 + Math.floor(rng() * 36),
+  }));
+
+  it('balance reaches zero at the end of the term and principal adds up to the loan', () => {
+    for (const { loan, rate, termYears } of cases) {
+      const { paymentMonthly, rows } = amortizationSchedule(loan, rate, termYears);
+      expect(rows).toHaveLength(termYears * 12);
+      expect(rows.at(-1).balance).toBeLessThan(1e-6 * loan);
+      expect(rows.reduce((acc, r) => acc + r.principal, 0)).toBeCloseTo(loan, 4);
+      for (const r of rows) expect(r.interest + r.principal).toBeCloseTo(paymentMonthly, 8);
+    }
+  });
+
+  it('principal paid plus balance is the loan after any number of years', () => {
+    for (const { loan, rate, termYears } of cases.slice(0, 40)) {
+      const { rows } = amortizationSchedule(loan, rate, termYears);
+      for (let y = 1; y <= termYears; y++) {
+        const s = summarizeFinancials(rows, y);
+        expect(s.principalPaid + s.balance).toBeCloseTo(loan, 4);
+      }
+    }
+  });
+
+  it('a fixed loanSchedule is the same schedule', () => {
+    for (const { loan, rate, termYears } of cases.slice(0, 40)) {
+      const fixed = amortizationSchedule(loan, rate, termYears);
+      const general = loanSchedule(loan, { rate, termYears, loanType: 'fixed' });
+      expect(general.paymentMonthly).toBeCloseTo(fixed.paymentMonthly, 8);
+      general.rows.forEach((r, i) => expect(r.balance).toBeCloseTo(fixed.rows[i].balance, 4));
+    }
+  });
+
+  it('extra principal only shortens the loan', () => {
+    for (const { loan, rate, termYears } of cases.slice(0, 40)) {
+      const extra = Array.from({ length: termYears * 12 }, () => (rng() < 0.05 ? rng() * loan * 0.05 : 0));
+      const { rows } = loanSchedule(loan, { rate, termYears }, extra);
+      const paid = rows.reduce((acc, r) => acc + r.principal + r.extraPrincipal, 0);
+      expect(paid).toBeCloseTo(loan, 4);
+      expect(rows.at(-1).balance).toBeLessThan(1e-6 * loan);
+    }
+  });
+});
+
+describe('interest-only and ARM loans', () => {
+  it('interest-only holds the balance, then amortizes over what is left of the term', () => {
+    const { rows } = loanSchedule(240_000, { rate: 0.065, termYears: 30, loanType: 'interestOnly', ioYears: 10 });
+    expect(rows[119].balance).toBe(240_000);
+    expect(rows[119].payment).toBeCloseTo(1_300, 8);
+    expect(rows[120].payment).toBeCloseTo(amortizationSchedule(240_000, 0.065, 20).paymentMonthly, 8);
+    expect(rows.at(-1).balance).toBeLessThan(1e-6);
+  });
+
+  it('an ARM resets at the start of the listed year and re-amortizes', () => {
+    const terms = { rate: 0.065, termYears: 30, loanType: 'arm', armResets: [{ year: 8, rate: 0.05 }, { year: 6, rate: 0.075 }] };
+    expect([0, 59, 60, 83, 84, 359].map((m) => rateForMonth(terms, m))).toEqual([0.065, 0.065, 0.075, 0.075, 0.05, 0.05]);
+
+    const { rows } = loanSchedule(240_000, terms);
+    const reset = amortizationSchedule(rows[59].balance, 0.075, 25).paymentMonthly;
+    expect(rows[60].payment).toBeCloseTo(reset, 8);
+    expect(rows.at(-1).balance).toBeLessThan(1e-6);
+  });
+});
@@ -0,0 +1,82 @@
+// ---------------------------
+// Historical backtest — replay the deal over every start year in the bundled history
+// ---------------------------
+
+import { withDefaults } from './schema.js';
+import { runDeal } from './model.js';
+import { HISTORY } from './history.js';
+import { percentiles } from './simulate.js';
+
+/**
+ * @typedef {Object} BacktestWindow
+ * @property {number} startYear
+ * @property {number} endYear
+ * @property {number} hpiCagr          home-price growth over the window
+ * @property {number} spCagr           S&P total return over the window
+ * @property {number} cpiCagr
+ * @property {number} reNet            pre-tax net gain
+ * @property {number} reAfterTaxNet
+ * @property {number} stocksNet
+ * @property {number} advantage        reNet - stocksNet
+ * @property {number|null} realIrr
+ */
+
+const cagr = (rates) => Math.pow(rates.reduce((acc, r) => acc * (1 + r), 1), 1 / rates.length) - 1;
+
+/**
+ * Run the deal once per historical window of `horizonYears`, with that window's home-price
+ * growth, S&P total returns and CPI in place of the flat assumptions.
+ * @param {Partial<import('./schema.js').Deal>} input
+ * @param {{ rentGrowth?: 'deal'|'cpi', history?: import('./history.js').HistoryYear[] }} [options]
+ *   rentGrowth 'cpi' steps rent up with each year's inflation instead of the deal's flat rate.
+ */
+export function backtestDeal(input, { rentGrowth = 'deal', history = HISTORY } = {}) {
+  const deal = withDefaults(input);
+  const H = deal.horizonYears;
+  const windows = [];
+
+  for (let i = 0; i + H <= history.length; i++) {
+    const span = history.slice(i, i + H);
+    const appreciationPath = span.map((h) => h.hpi);
+    const spReturnPath = span.map((h) => h.sp);
+    const inflationPath = span.map((h) => h.cpi);
+    const { summary } = runDeal({
+      ...deal,
+      appreciationPath,
+      spReturnPath,
+      inflationPath,
+      rentGrowthPath: rentGrowth === 'cpi' ? inflationPath : null,
+    });
+    windows.push({
+      startYear: span[0].year,
+      endYear: span[H - 1].year,
+      hpiCagr: cagr(appreciationPath),
+      spCagr: cagr(spReturnPath),
+      cpiCagr: cagr(inflationPath),
+      reNet: summary.reBaseNet,
+      reAfterTaxNet: summary.reAfterTaxNet,
+      stocksNet: summary.stocksNet,
+      advantage: summary.reBaseNet - summary.stocksNet,
+      realIrr: summary.realIrr.value,
+    });
+  }
+
+  if (!windows.length) {
+    return { windows, count: 0, reason: `The history covers ${history.length} years; a ${H}-year hold needs at least ${H}.` };
+  }
+
+  const by = (key) => [...windows].sort((a, b) => a[key] - b[key]);
+  const byRe = by('reNet');
+  const byStocks = by('stocksNet');
+  const byAdvantage = by('advantage');
+  return {
+    windows,
+    count: windows.length,
+    reNet: percentiles(windows.map((w) => w.reNet)),
+    stocksNet: percentiles(windows.map((w) => w.stocksNet)),
+    advantage: percentiles(windows.map((w) => w.advantage)),
+    probReBeatsStocks: windows.filter((w) => w.advantage > 0).length / windows.length,
+    worst: { re: byRe[0], stocks: byStocks[0], advantage: byAdvantage[0] },
+    best: { re: byRe[byRe.length - 1], stocks: byStocks[byStocks.length - 1], advantage: byAdvantage[byAdvantage.length - 1] },
+  };
+}
@@ -0,0 +1,114 @@
+// ---------------------------
+// S&P benchmark
+// ---------------------------
+
+import { magiInYear } from './tax.js';
+
+/**
+ * One pass over the months. The pre-tax track only pays fund fees; the taxed track also
+ * pays tax on dividends as they're received and capital-gains tax on every sale.
+ */
+function runAccount(deal, initialInvestment, cashFlows, taxed) {
+  const feeMonthly = (deal.etfErBps / 10_000 + deal.advisorFee) / 12;
+  const dividendMonthly = taxed ? deal.dividendYield / 12 : 0;
+  const saleTaxRate = taxed ? deal.capitalGainsRate : 0;
+  const dcaMonths = deal.benchmarkMode === 'dca' ? Math.max(1, Math.round(deal.dcaMonths)) : 1;
+
+  let cash = initialInvestment; // committed but not yet bought (DCA only)
+  let value = 0;
+  let basis = 0;
+  let contributions = initialInvestment;
+  let withdrawals = 0;
+  let dividendTax = 0;
+  let saleTax = 0;
+  const values = [];
+  const nets = [];
+
+  // Returns what the account could actually pay out: a payout bigger than the account (after
+  // the tax on selling all of it) only takes what's there, and the rest is property cash the
+  // stock side never sees — neither invested nor withdrawn.
+  const sell = (amount) => {
+    if (value <= 0) return 0;
+    // Gross up so `amount` is left after tax; average-cost basis
+    const keep = 1 - Math.max(0, 1 - basis / value) * saleTaxRate;
+    const net = Math.min(amount, value * keep);
+    const gross = Math.min(value, net / keep);
+    basis -= basis * (gross / value);
+    value -= gross;
+    saleTax += gross - net;
+    return net;
+  };
+
+  cashFlows.forEach((cf, m) => {
+    if (m < dcaMonths) {
+      const buy = m === dcaMonths - 1 ? cash : initialInvestment / dcaMonths;
+      cash -= buy;
+      value += buy;
+      basis += buy;
+    }
+
+    const annual = deal.spReturnPath?.[Math.floor(m / 12)] ?? deal.spAnnualReturn;
+    const dividends = value * dividendMonthly;
+    value *= Math.pow(1 + annual, 1 / 12) - feeMonthly;
+    // Dividends are part of the total return; the tax on them leaves, the rest is reinvested
+    value -= dividends * deal.dividendTaxRate;
+    basis += dividends * (1 - deal.dividendTaxRate);
+    dividendTax += dividends * deal.dividendTaxRate;
+
+    if (deal.benchmarkMode === 'matched') {
+      if (cf < 0) {
+        contributions += -cf;
+        value += -cf;
+        basis += -cf;
+      } else if (cf > 0) {
+        withdrawals += sell(cf);
+      }
+    }
+    values.push(value + cash);
+    nets.push(value + cash + withdrawals - contributions);
+  });
+
+  // Liquidate at the end of the hold; NIIT on the part of the gain above the threshold, on that year's MAGI
+  const gain = Math.max(0, value - basis);
+  const exitMagi = magiInYear(deal, Math.ceil(cashFlows.length / 12));
+  const niitBase = taxed ? Math.max(0, Math.min(gain, exitMagi + gain - deal.niitThreshold)) : 0;
+  const liquidationTax = gain * saleTaxRate + niitBase * deal.niitRate;
+  const fv = value + cash - liquidationTax;
+
+  return { values, nets, contributions, withdrawals, dividendTax, saleTax, liquidationTax, fv, net: fv + withdrawals - contributions };
+}
+
+/**
+ * Grow the same cash in the index.
+ * 'initial' invests only the upfront outlay; 'matched' also invests whatever the
+ * property costs each month and withdraws whatever it pays out; 'dca' commits the upfront
+ * outlay but buys in equal slices over `dcaMonths`, the rest waiting in cash.
+ * Fees (expense ratio + advisor) come out of both tracks. `afterTax` additionally pays
+ * dividend tax as it goes and capital-gains tax on withdrawals and on liquidation at the end.
+ * @param {import('./schema.js').Deal} deal
+ * @param {number} initialInvestment
+ * @param {number[]} cashFlows  property cash flow by month
+ * @returns {{ values: number[], nets: number[], contributions: number, withdrawals: number, fv: number, net: number,
+ *   afterTax: { values: number[], nets: number[], dividendTax: number, saleTax: number, liquidationTax: number, fv: number, net: number } }}
+ */
+export function runBenchmark(deal, initialInvestment, cashFlows) {
+  const pre = runAccount(deal, initialInvestment, cashFlows, false);
+  const post = runAccount(deal, initialInvestment, cashFlows, true);
+  return {
+    values: pre.values,
+    nets: pre.nets,
+    contributions: pre.contributions,
+    withdrawals: pre.withdrawals,
+    fv: pre.fv,
+    net: pre.net,
+    afterTax: {
+      values: post.values,
+      nets: post.nets,
+      dividendTax: post.dividendTax,
+      saleTax: post.saleTax,
+      liquidationTax: post.liquidationTax,
+      fv: post.fv,
+      net: post.net,
+    },
+  };
+}
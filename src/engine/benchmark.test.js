@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, runBenchmark } from './index.js';
+
+const months = (n, first = 0) => Array.from({ length: n }, (_, m) => (m === 0 ? first : 0));
+
+describe('matched benchmark payouts', () => {
+  const deal = { ...DEFAULT_DEAL, benchmarkMode: 'matched' };
+
+  it('never sells more than the account holds', () => {
+    const stocks = runBenchmark(deal, 10_000, months(24, 50_000));
+    for (const track of [stocks, stocks.afterTax]) {
+      expect(Math.min(...track.values)).toBeGreaterThanOrEqual(0);
+      expect(track.fv).toBeGreaterThanOrEqual(0);
+    }
+    expect(stocks.afterTax.dividendTax).toBeGreaterThanOrEqual(0);
+  });
+
+  it('withdraws only what the account had; the excess stays outside it', () => {
+    const stocks = runBenchmark(deal, 10_000, months(24, 50_000));
+    expect(stocks.values).toEqual(months(24).map(() => 0));
+    expect(stocks.withdrawals).toBeLessThan(10_500);
+    expect(stocks.net).toBeCloseTo(stocks.withdrawals - 10_000, 8);
+  });
+
+  it('pays a payout the account can cover in full', () => {
+    const stocks = runBenchmark(deal, 10_000, months(12, 4_000));
+    expect(stocks.withdrawals).toBe(4_000);
+    expect(stocks.values[0]).toBeGreaterThan(5_000);
+  });
+});
+
+describe('benchmark modes', () => {
+  const flat = { ...DEFAULT_DEAL, spAnnualReturn: 0.10, etfErBps: 0, advisorFee: 0, dividendYield: 0 };
+
+  it('initial: compounds the outlay at the index return', () => {
+    const stocks = runBenchmark(flat, 10_000, months(24));
+    expect(stocks.fv).toBeCloseTo(10_000 * 1.1 ** 2, 6);
+    expect(stocks.net).toBeCloseTo(stocks.fv - 10_000, 6);
+  });
+
+  it('takes fees out of both tracks', () => {
+    const fees = runBenchmark({ ...flat, etfErBps: 100 }, 10_000, months(12));
+    expect(fees.fv).toBeLessThan(11_000);
+    expect(fees.afterTax.values[11]).toBeCloseTo(fees.values[11], 6);
+  });
+
+  it('dca: holds cash until each slice is bought', () => {
+    const dca = runBenchmark({ ...flat, benchmarkMode: 'dca', dcaMonths: 12 }, 12_000, months(24));
+    const lump = runBenchmark(flat, 12_000, months(24));
+    expect(dca.values[0]).toBeCloseTo(11_000 + 1_000 * 1.1 ** (1 / 12), 6);
+    expect(dca.fv).toBeLessThan(lump.fv);
+    expect(dca.contributions).toBe(12_000);
+  });
+
+  it('matched: invests the months the property costs money', () => {
+    const flows = months(12).map((_, m) => (m % 2 ? -500 : 0));
+    const stocks = runBenchmark({ ...flat, benchmarkMode: 'matched' }, 0, flows);
+    expect(stocks.contributions).toBe(3_000);
+    expect(stocks.fv).toBeGreaterThan(3_000);
+  });
+
+  it('after tax: dividends and the final sale are taxed, the pre-tax track is not', () => {
+    const taxed = { ...flat, dividendYield: 0.02, dividendTaxRate: 0.15, capitalGainsRate: 0.15, magi: 0 };
+    const stocks = runBenchmark(taxed, 10_000, months(60));
+    const { values, dividendTax, liquidationTax } = stocks.afterTax;
+    expect(dividendTax).toBeGreaterThan(0);
+    expect(liquidationTax).toBeGreaterThan(0);
+    // Reinvested dividends were already taxed, so they add to the basis
+    expect(liquidationTax).toBeLessThan((values[59] - 10_000) * 0.15);
+    expect(stocks.afterTax.fv).toBeLessThan(stocks.fv);
+  });
+});
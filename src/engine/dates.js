@@ -0,0 +1,29 @@
+// ---------------------------
+// Calendar helpers (UTC, date-only)
+// ---------------------------
+
+/** Parse 'YYYY-MM-DD' (or a Date) as midnight UTC. */
+export function toDate(d) {
+  if (d instanceof Date) return d;
+  const [y, m, day] = String(d).split('-').map(Number);
+  return new Date(Date.UTC(y, (m || 1) - 1, day || 1));
+}
+
+/** Same day-of-month `n` months later, clamped to the month's last day. */
+export function addMonths(d, n) {
+  const date = toDate(d);
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + n;
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(date.getUTCDate(), lastDay)));
+}
+
+/** Actual/365 year fraction between two dates. */
+export function yearFrac(from, to) {
+  return (toDate(to) - toDate(from)) / (365 * 86_400_000);
+}
+
+/** 'YYYY-MM-DD' */
+export function isoDate(d) {
+  return toDate(d).toISOString().slice(0, 10);
+}
@@ -0,0 +1,141 @@
+// ---------------------------
+// MACRS depreciation (illustrative only; not tax advice)
+// Model years are treated as tax years; the mid-quarter convention is not modeled.
+// ---------------------------
+
+import { addMonths, toDate } from './dates.js';
+
+// IRS Pub 946 Table A-1: GDS, half-year convention (200% DB for 5/7, 150% DB for 15)
+export const MACRS_HALF_YEAR = Object.freeze({
+  5: [0.2000, 0.3200, 0.1920, 0.1152, 0.1152, 0.0576],
+  7: [0.1429, 0.2449, 0.1749, 0.1249, 0.0893, 0.0892, 0.0893, 0.0446],
+  15: [0.0500, 0.0950, 0.0855, 0.0770, 0.0693, 0.0623, 0.0590, 0.0590, 0.0591, 0.0590, 0.0591, 0.0590, 0.0591, 0.0590, 0.0591, 0.0295],
+});
+
+export const BUILDING_LIFE = Object.freeze({ residential: 27.5, commercial: 39 });
+
+// Bonus phase-down by placed-in-service date (acquisition assumed on the same day)
+const BONUS_TABLE = [
+  { from: '2025-01-20', pct: 1.0 },
+  { from: '2025-01-01', pct: 0.4 },
+  { from: '2024-01-01', pct: 0.6 },
+  { from: '2023-01-01', pct: 0.8 },
+  { from: '2017-09-28', pct: 1.0 },
+  { from: '2015-01-01', pct: 0.5 },
+];
+
+/**
+ * Bonus depreciation percentage for property placed in service on `date`.
+ * @param {string|Date} date
+ */
+export function bonusPctFor(date) {
+  const d = toDate(date);
+  const row = BONUS_TABLE.find((r) => d >= toDate(r.from));
+  return row ? row.pct : 0;
+}
+
+/**
+ * Straight-line with the mid-month convention, by year of service.
+ * @param {number} basis
+ * @param {number} life       years
+ * @param {number} monthIdx   0-based calendar month placed in service
+ * @param {number} years      how many years to return
+ */
+export function straightLineMidMonth(basis, life, monthIdx, years) {
+  const annual = basis / life;
+  const out = [];
+  let remaining = basis;
+  for (let y = 1; y <= years; y++) {
+    const fraction = y === 1 ? (12 - monthIdx - 0.5) / 12 : 1;
+    const amount = Math.min(remaining, annual * fraction);
+    out.push(amount);
+    remaining -= amount;
+  }
+  return out;
+}
+
+/**
+ * Annual depreciation for each year of the hold.
+ * Without cost seg the whole improvement basis is residential (27.5y) or commercial (39y)
+ * straight-line, mid-month. With cost seg the 5/7/15-year shares come out first: bonus on
+ * the eligible part in year 1, MACRS half-year tables on the rest. The year of sale gets
+ * half a year of MACRS (unless it's the table's last, already-halved year; none on a one-year
+ * hold, which places in service and sells in the same year) and 11.5 months of building
+ * depreciation.
+ * Improvements bought during the hold (capex replacements, rehab) are §1250 building
+ * improvements: straight-line over the building life, mid-month from the month they're placed
+ * in service, half a month short in the sale year. Short-term rental furnishing is 5-year
+ * §1245 property: bonus at the rate for the month it's placed in service (counted from
+ * the rental's placed-in-service date), then the half-year table.
+ * @param {import('./schema.js').Deal} deal
+ * @param {{ improvements?: number[], furnishing?: number[] }} [spend]  capitalized spend by 0-based month
+ */
+export function depreciationSchedule(deal, { improvements: improvementSpend = [], furnishing: furnishingSpend = [] } = {}) {
+  const placedInService = deal.placedInService || deal.purchaseDate;
+  const monthIdx = toDate(placedInService).getUTCMonth();
+  const improvementBasis = deal.purchasePrice * (1 - deal.landPct);
+  const bonusPct = deal.bonusPct ?? bonusPctFor(placedInService);
+  const life = BUILDING_LIFE[deal.propertyUse] ?? BUILDING_LIFE.residential;
+  const H = deal.horizonYears;
+
+  const classes = [5, 7, 15].map((cls) => {
+    const basis = deal.useCostSeg ? improvementBasis * (deal[`costSeg${cls}Pct`] || 0) : 0;
+    const bonus = basis * bonusPct;
+    const table = MACRS_HALF_YEAR[cls];
+    const byYear = Array.from({ length: H }, (_, i) => (table[i] || 0) * (basis - bonus));
+    // Placed in service and sold in the same year: no MACRS deduction, only the bonus
+    if (H === 1) byYear[0] = 0;
+    else if (H > 1 && H < table.length) byYear[H - 1] /= 2;
+    return { cls, basis, bonus, byYear };
+  });
+
+  const reclassBasis = classes.reduce((acc, c) => acc + c.basis, 0);
+  const bonusEligible = classes.reduce((acc, c) => acc + c.bonus, 0);
+  const remainingImpr = improvementBasis - reclassBasis;
+  const building = straightLineMidMonth(remainingImpr, life, monthIdx, H);
+  if (H > 1) building[H - 1] *= 11.5 / 12;
+
+  const improvements = Array.from({ length: H }, () => 0);
+  improvementSpend.forEach((cost, m) => {
+    const start = Math.floor(m / 12);
+    if (!(cost > 0) || start >= H) return;
+    const sl = straightLineMidMonth(cost, life, m % 12, H - start);
+    sl[sl.length - 1] = Math.max(0, sl[sl.length - 1] - (cost / life) * (0.5 / 12));
+    sl.forEach((amount, i) => (improvements[start + i] += amount));
+  });
+
+  const furnishing = Array.from({ length: H }, () => 0);
+  const table5 = MACRS_HALF_YEAR[5];
+  furnishingSpend.forEach((cost, m) => {
+    const start = Math.floor(m / 12);
+    // A replacement bought in the year of sale gets nothing under the half-year convention; the
+    // first set is treated like the cost-seg classes
+    if (!(cost > 0) || start >= H || (start > 0 && start === H - 1)) return;
+    const bonus = cost * (deal.bonusPct ?? bonusPctFor(addMonths(placedInService, m)));
+    furnishing[start] += bonus;
+    for (let k = 0; H > 1 && start + k < H && k < table5.length; k++) {
+      const half = start + k === H - 1 && k < table5.length - 1 ? 0.5 : 1;
+      furnishing[start + k] += table5[k] * (cost - bonus) * half;
+    }
+  });
+
+  const years = [];
+  for (let i = 0; i < H; i++) {
+    const [c5, c7, c15] = classes.map((c) => c.byYear[i]);
+    const bonus = i === 0 ? bonusEligible : 0;
+    const reclass = c5 + c7 + c15;
+    years.push({ year: i + 1, bonus, class5: c5, class7: c7, class15: c15, reclass, building: building[i], improvements: improvements[i], furnishing: furnishing[i], total: bonus + reclass + building[i] + improvements[i] + furnishing[i] });
+  }
+
+  return {
+    placedInService,
+    bonusPct,
+    buildingLife: life,
+    improvementBasis,
+    reclassBasis,
+    classBasis: Object.fromEntries(classes.map((c) => [c.cls, c.basis])),
+    bonusEligible,
+    remainingImpr,
+    years,
+  };
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, depreciationSchedule } from './index.js';
+
+describe('cost segregation in the year of sale', () => {
+  const deal = (horizonYears) => ({ ...DEFAULT_DEAL, useCostSeg: true, bonusPct: 0, costSeg5Pct: 0.1, costSeg7Pct: 0, costSeg15Pct: 0, horizonYears });
+  const basis = (DEFAULT_DEAL.purchasePrice * (1 - DEFAULT_DEAL.landPct)) * 0.1;
+
+  it('halves a year inside the recovery period', () => {
+    expect(depreciationSchedule(deal(5)).years[4].class5).toBeCloseTo(basis * 0.1152 / 2, 8);
+  });
+
+  it('keeps the full last-year percentage, which already has the half-year built in', () => {
+    const { years } = depreciationSchedule(deal(6));
+    expect(years[5].class5).toBeCloseTo(basis * 0.0576, 8);
+    expect(years.reduce((acc, y) => acc + y.class5, 0)).toBeCloseTo(basis, 6);
+  });
+
+  it('takes no MACRS on a one-year hold, only the bonus', () => {
+    expect(depreciationSchedule(deal(1)).years[0].class5).toBe(0);
+    const [year] = depreciationSchedule({ ...deal(1), bonusPct: 0.6 }).years;
+    expect(year.class5).toBe(0);
+    expect(year.bonus).toBeCloseTo(basis * 0.6, 8);
+    const furnished = depreciationSchedule({ ...DEFAULT_DEAL, bonusPct: 0.6, horizonYears: 1 }, { furnishing: Object.assign(Array(12).fill(0), { 0: 10_000 }) });
+    expect(furnished.years[0].furnishing).toBeCloseTo(6_000, 8);
+  });
+});
+
+describe('improvements placed in service during the hold', () => {
+  const deal = { ...DEFAULT_DEAL, horizonYears: 10 };
+
+  it('straight-line over the building life, mid-month from the month bought', () => {
+    const spend = Array(120).fill(0);
+    spend[0] = 27_500; // $1,000 a year over 27.5 years
+    const years = depreciationSchedule(deal, { improvements: spend }).years.map((y) => y.improvements);
+    expect(years[0]).toBeCloseTo(1_000 * (11.5 / 12), 8);
+    for (const y of years.slice(1, 9)) expect(y).toBeCloseTo(1_000, 8);
+    expect(years[9]).toBeCloseTo(1_000 * (11.5 / 12), 8);
+  });
+
+  it('starts in the year of purchase and stops half a month into the sale year', () => {
+    const spend = Array(120).fill(0);
+    spend[30] = 27_500; // month 7 of year 3
+    spend[114] = 27_500; // month 7 of the sale year
+    const years = depreciationSchedule(deal, { improvements: spend }).years.map((y) => y.improvements);
+    expect(years.slice(0, 2)).toEqual([0, 0]);
+    expect(years[2]).toBeCloseTo(1_000 * (5.5 / 12), 8);
+    expect(years[9]).toBeCloseTo(1_000 * (11.5 / 12) + 1_000 * (5 / 12), 8);
+  });
+
+  it('counts in the yearly total', () => {
+    const spend = Array(120).fill(0);
+    spend[12] = 10_000;
+    const base = depreciationSchedule(deal).years;
+    depreciationSchedule(deal, { improvements: spend }).years.forEach((y, i) => expect(y.total).toBeCloseTo(base[i].total + y.improvements, 8));
+  });
+});
+
+describe('short-term rental furnishing', () => {
+  const at = (month, cost, months = 120) => Object.assign(Array(months).fill(0), { [month]: cost });
+
+  it('is 5-year MACRS, halved in the year of sale', () => {
+    const deal = { ...DEFAULT_DEAL, bonusPct: 0, horizonYears: 4 };
+    const years = depreciationSchedule(deal, { furnishing: at(0, 10_000, 48) }).years.map((y) => y.furnishing);
+    expect(years[0]).toBeCloseTo(2_000, 8);
+    expect(years[1]).toBeCloseTo(3_200, 8);
+    expect(years[2]).toBeCloseTo(1_920, 8);
+    expect(years[3]).toBeCloseTo(1_152 / 2, 8);
+  });
+
+  it('recovers the whole cost over a long hold', () => {
+    const years = depreciationSchedule({ ...DEFAULT_DEAL, bonusPct: 0 }, { furnishing: at(0, 10_000) }).years;
+    expect(years.reduce((acc, y) => acc + y.furnishing, 0)).toBeCloseTo(10_000, 6);
+  });
+
+  it('takes bonus at the rate for the month it is bought', () => {
+    const deal = { ...DEFAULT_DEAL, purchaseDate: '2024-07-01' };
+    const years = depreciationSchedule(deal, { furnishing: at(0, 10_000) }).years;
+    expect(years[0].furnishing).toBeCloseTo(6_000 + 0.2 * 4_000, 8); // 60% bonus in 2024
+    const replaced = depreciationSchedule(deal, { furnishing: at(12, 10_000) }).years; // July 2025: 100%
+    expect(replaced[1].furnishing).toBeCloseTo(10_000, 8);
+  });
+
+  it('dates the bonus from when the rental is placed in service, not the purchase', () => {
+    const deal = { ...DEFAULT_DEAL, purchaseDate: '2024-11-01', placedInService: '2025-02-01' };
+    const years = depreciationSchedule(deal, { furnishing: at(0, 10_000) }).years;
+    expect(years[0].furnishing).toBeCloseTo(10_000, 8); // February 2025: 100%, not 2024's 60%
+  });
+
+  it('gives a replacement bought in the year of sale nothing', () => {
+    const years = depreciationSchedule(DEFAULT_DEAL, { furnishing: at(110, 10_000) }).years;
+    expect(years.every((y) => y.furnishing === 0)).toBe(true);
+  });
+});
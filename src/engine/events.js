@@ -0,0 +1,54 @@
+// ---------------------------
+// Mid-hold events — rehab, refinance / cash-out, extra principal
+// ---------------------------
+
+/**
+ * @typedef {Object} DealEvent
+ * @property {'rehab'|'refinance'|'extraPrincipal'} type
+ * @property {number} month             1-based month of the hold it happens in
+ * @property {number} [cost]            rehab: spend, paid that month; capitalized like capex
+ * @property {number} [arv]             rehab: after-repair value the home is worth from that month (0 = unchanged)
+ * @property {number} [downtimeMonths]  rehab: months without rent, starting that month
+ * @property {number} [rate]            refinance: new fixed APR
+ * @property {number} [termYears]       refinance: new amortization term
+ * @property {number} [ltv]             refinance: new loan as a fraction of the home's value that month
+ * @property {number} [closingCosts]    refinance: netted from the proceeds, amortized for tax over the new term
+ * @property {number} [amount]          extraPrincipal: paid on top of the scheduled payment
+ * @property {boolean} [recurring]      extraPrincipal: repeat every month from `month` on
+ */
+
+/** Blank event of each type, as the UI adds them. */
+export const EVENT_TEMPLATES = {
+  rehab: { type: 'rehab', month: 1, cost: 30_000, arv: 0, downtimeMonths: 2 },
+  refinance: { type: 'refinance', month: 7, rate: 0.07, termYears: 30, ltv: 0.75, closingCosts: 5_000 },
+  extraPrincipal: { type: 'extraPrincipal', month: 1, amount: 200, recurring: true },
+};
+
+/**
+ * Events laid out by 0-based month of the hold. Events past the horizon are ignored.
+ * @param {{ events?: DealEvent[], horizonYears: number }} deal
+ * @returns {{ rehab: number[], arv: (number|null)[], downtime: Set<number>, extra: number[], refinance: (DealEvent|null)[] }}
+ */
+export function eventSchedule(deal) {
+  const months = deal.horizonYears * 12;
+  const rehab = Array.from({ length: months }, () => 0);
+  const arv = Array.from({ length: months }, () => null);
+  const extra = Array.from({ length: months }, () => 0);
+  const refinance = Array.from({ length: months }, () => null);
+  const downtime = new Set();
+
+  for (const e of deal.events ?? []) {
+    const m = Math.round(e.month) - 1;
+    if (!(m >= 0 && m < months)) continue;
+    if (e.type === 'rehab') {
+      rehab[m] += e.cost ?? 0;
+      if (e.arv > 0) arv[m] = e.arv;
+      for (let k = 0; k < (e.downtimeMonths ?? 0) && m + k < months; k++) downtime.add(m + k);
+    } else if (e.type === 'refinance') {
+      refinance[m] = e; // one per month; a later entry wins
+    } else if (e.type === 'extraPrincipal') {
+      for (let k = m; k < (e.recurring ? months : m + 1); k++) extra[k] += e.amount ?? 0;
+    }
+  }
+  return { rehab, arv, downtime, extra, refinance };
+}
@@ -0,0 +1,62 @@
+// ---------------------------
+// Sale / exit taxes (illustrative only; not tax advice)
+// ---------------------------
+
+import { lossTreatment, magiInYear } from './tax.js';
+
+// Unrecaptured §1250 gain is taxed at ordinary rates, capped here.
+const UNRECAPTURED_1250_CAP = 0.25;
+
+/**
+ * Tax on selling at the end of the hold.
+ * Gain is layered: §1245 recapture of accelerated (cost seg) depreciation at ordinary rates,
+ * then unrecaptured §1250 on building straight-line at up to 25%, then long-term capital gain.
+ * NIIT applies to the gain above the threshold, on the sale year's MAGI, unless the activity is non-passive (REPS, or
+ * a short-term rental with material participation).
+ * A 1031 exchange defers all of it.
+ * @param {import('./schema.js').Deal} deal
+ * @param {{ salePrice: number, saleCosts: number, netProceeds: number, depreciation1245: number, depreciation1250: number, capitalized: number }} sale
+ */
+export function exitTaxes(deal, { salePrice, saleCosts, netProceeds, depreciation1245, depreciation1250, capitalized }) {
+  const accumulatedDepreciation = depreciation1245 + depreciation1250;
+  const amountRealized = salePrice - saleCosts;
+  const adjustedBasis = deal.purchasePrice + deal.closingCosts + capitalized - accumulatedDepreciation;
+  const totalGain = amountRealized - adjustedBasis;
+
+  const recapture1245 = Math.max(0, Math.min(totalGain, depreciation1245));
+  const unrecaptured1250 = Math.max(0, Math.min(totalGain - recapture1245, depreciation1250));
+  const capitalGain = Math.max(0, totalGain - recapture1245 - unrecaptured1250);
+
+  const recapture1245Tax = recapture1245 * deal.taxBracket;
+  const unrecaptured1250Tax = unrecaptured1250 * Math.min(deal.taxBracket, UNRECAPTURED_1250_CAP);
+  const capitalGainsTax = capitalGain * deal.capitalGainsRate;
+  const niitBase = lossTreatment(deal).nonPassive ? 0 : Math.max(0, Math.min(totalGain, magiInYear(deal, deal.horizonYears) + totalGain - deal.niitThreshold));
+  const niit = niitBase * deal.niitRate;
+  // A loss on sale (§1231) offsets ordinary income
+  const lossBenefit = totalGain < 0 ? -totalGain * deal.taxBracket : 0;
+
+  const taxDue = recapture1245Tax + unrecaptured1250Tax + capitalGainsTax + niit - lossBenefit;
+  const deferred = deal.exitMode === '1031';
+  const totalTax = deferred ? 0 : taxDue;
+
+  return {
+    amountRealized,
+    adjustedBasis,
+    accumulatedDepreciation,
+    depreciation1245,
+    depreciation1250,
+    totalGain,
+    recapture1245,
+    unrecaptured1250,
+    capitalGain,
+    recapture1245Tax,
+    unrecaptured1250Tax,
+    capitalGainsTax,
+    niit,
+    lossBenefit,
+    deferred,
+    deferredTax: deferred ? taxDue : 0,
+    totalTax,
+    afterTaxProceeds: netProceeds - totalTax,
+  };
+}
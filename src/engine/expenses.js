@@ -0,0 +1,94 @@
+// ---------------------------
+// Operating expenses & capex
+// ---------------------------
+
+// Step an annual amount up once per year, like rent.
+const grown = (amount, growth, m) => amount * Math.pow(1 + growth, Math.floor(m / 12));
+
+/**
+ * Operating line items for 0-based month `m`. Management and repairs follow collected rent;
+ * every other item grows at its own annual rate. A short-term rental pays `strMgmtPct` of
+ * collected income instead of the long-term management fees.
+ * @param {import('./schema.js').Deal} deal
+ * @param {number} m
+ * @param {number} rentCollected
+ */
+export function operatingExpenses(deal, m, rentCollected) {
+  return {
+    propertyMgmt: deal.rentalMode === 'shortTerm' ? rentCollected * deal.strMgmtPct : deal.pmFlatMonthly + rentCollected * deal.pmPct,
+    propertyTax: grown((deal.purchasePrice * deal.taxesPct) / 12, deal.taxGrowthAnnual, m),
+    insurance: grown(deal.insuranceAnnual / 12, deal.insuranceGrowthAnnual, m),
+    repairs: rentCollected * deal.repairsPctOfRent,
+    hoa: grown(deal.hoaMonthly, deal.hoaGrowthAnnual, m),
+    utilities: grown(deal.utilitiesMonthly, deal.utilitiesGrowthAnnual, m),
+    landscaping: grown(deal.landscapingMonthly, deal.landscapingGrowthAnnual, m),
+    warranty: grown(deal.warrantyAnnual / 12, deal.warrantyGrowthAnnual, m),
+  };
+}
+
+/**
+ * Year (1-based, from purchase) each capex item comes due within the horizon.
+ * An item of age `ageYears` first needs replacing after `lifeYears - ageYears` more years,
+ * then every `lifeYears` after that.
+ * @param {import('./schema.js').Deal} deal
+ * @returns {{ name: string, year: number, cost: number }[]}
+ */
+export function capexReplacements(deal) {
+  const out = [];
+  for (const item of deal.capexItems) {
+    if (!(item.lifeYears > 0)) continue;
+    let year = Math.max(1, item.lifeYears - item.ageYears + 1);
+    for (; year <= deal.horizonYears; year += item.lifeYears) {
+      out.push({ name: item.name, year, cost: grown(item.cost, deal.capexInflation, (year - 1) * 12) });
+    }
+  }
+  return out.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Capex by month.
+ * - 'reserve' sets aside each item's inflated cost over its life. Replacements are paid from the
+ *   reserve (any shortfall out of pocket), and whatever it still holds comes back at the sale.
+ * - 'actual' pays the full replacement in the first month of the year it comes due.
+ * `cash` is what leaves the owner's pocket; `spent` is what's actually bought that month, which
+ * is capitalized and depreciated from then on; `reserve` is the balance set aside at month end.
+ * @param {import('./schema.js').Deal} deal
+ * @returns {{ cash: number[], spent: number[], reserve: number[] }}
+ */
+export function capexSchedule(deal) {
+  const months = deal.horizonYears * 12;
+  const spent = Array.from({ length: months }, () => 0);
+  for (const r of capexReplacements(deal)) spent[(r.year - 1) * 12] += r.cost;
+  if (deal.capexMode === 'actual') return { cash: spent.slice(), spent, reserve: spent.map(() => 0) };
+
+  const cash = [];
+  const reserve = [];
+  let balance = 0;
+  for (let m = 0; m < months; m++) {
+    let contribution = 0;
+    for (const item of deal.capexItems) {
+      if (item.lifeYears > 0) contribution += grown(item.cost / item.lifeYears / 12, deal.capexInflation, m);
+    }
+    balance += contribution - spent[m];
+    const shortfall = Math.max(0, -balance);
+    balance += shortfall;
+    cash.push(contribution + shortfall);
+    reserve.push(balance);
+  }
+  return { cash, spent, reserve };
+}
+
+/**
+ * Short-term rental furnishing by month: bought in the first month, then replaced every
+ * `strFurnishingLifeYears` at inflated cost. Capitalized like capex. Zero for long-term rentals.
+ * @param {import('./schema.js').Deal} deal
+ * @returns {number[]}
+ */
+export function furnishingSchedule(deal) {
+  const months = deal.horizonYears * 12;
+  const out = Array.from({ length: months }, () => 0);
+  if (deal.rentalMode !== 'shortTerm' || !(deal.strFurnishing > 0)) return out;
+  const every = Math.max(1, Math.round(deal.strFurnishingLifeYears)) * 12;
+  for (let m = 0; m < months; m += every) out[m] = grown(deal.strFurnishing, deal.capexInflation, m);
+  return out;
+}
@@ -0,0 +1,79 @@
+// ---------------------------
+// Bundled annual history (calendar years), so backtests run offline.
+//   sp  — S&P 500 total return, dividends reinvested (Damodaran, "Historical Returns on Stocks, Bonds and Bills")
+//   cpi — CPI-U, December over December (BLS)
+//   hpi — U.S. national home prices: FHFA all-transactions HPI, Q4 over Q4, to 1987; S&P CoreLogic
+//         Case-Shiller U.S. National Index, December over December, from 1988
+// Fractions, rounded to 0.1%. Refresh from the sources when a new year closes.
+// ---------------------------
+
+/** @typedef {{ year: number, sp: number, cpi: number, hpi: number }} HistoryYear */
+
+/** @type {HistoryYear[]} */
+export const HISTORY = Object.freeze([
+  { year: 1975, sp: 0.372, cpi: 0.069, hpi: 0.080 },
+  { year: 1976, sp: 0.238, cpi: 0.049, hpi: 0.086 },
+  { year: 1977, sp: -0.072, cpi: 0.067, hpi: 0.138 },
+  { year: 1978, sp: 0.066, cpi: 0.090, hpi: 0.139 },
+  { year: 1979, sp: 0.184, cpi: 0.133, hpi: 0.135 },
+  { year: 1980, sp: 0.324, cpi: 0.125, hpi: 0.074 },
+  { year: 1981, sp: -0.049, cpi: 0.089, hpi: 0.053 },
+  { year: 1982, sp: 0.216, cpi: 0.038, hpi: 0.014 },
+  { year: 1983, sp: 0.226, cpi: 0.038, hpi: 0.037 },
+  { year: 1984, sp: 0.063, cpi: 0.039, hpi: 0.043 },
+  { year: 1985, sp: 0.317, cpi: 0.038, hpi: 0.058 },
+  { year: 1986, sp: 0.187, cpi: 0.011, hpi: 0.068 },
+  { year: 1987, sp: 0.053, cpi: 0.044, hpi: 0.059 },
+  { year: 1988, sp: 0.166, cpi: 0.044, hpi: 0.054 },
+  { year: 1989, sp: 0.317, cpi: 0.046, hpi: 0.050 },
+  { year: 1990, sp: -0.031, cpi: 0.061, hpi: 0.008 },
+  { year: 1991, sp: 0.305, cpi: 0.031, hpi: 0.026 },
+  { year: 1992, sp: 0.076, cpi: 0.029, hpi: 0.022 },
+  { year: 1993, sp: 0.101, cpi: 0.027, hpi: 0.026 },
+  { year: 1994, sp: 0.013, cpi: 0.027, hpi: 0.021 },
+  { year: 1995, sp: 0.376, cpi: 0.025, hpi: 0.029 },
+  { year: 1996, sp: 0.230, cpi: 0.033, hpi: 0.029 },
+  { year: 1997, sp: 0.334, cpi: 0.017, hpi: 0.042 },
+  { year: 1998, sp: 0.286, cpi: 0.016, hpi: 0.062 },
+  { year: 1999, sp: 0.210, cpi: 0.027, hpi: 0.076 },
+  { year: 2000, sp: -0.091, cpi: 0.034, hpi: 0.087 },
+  { year: 2001, sp: -0.119, cpi: 0.016, hpi: 0.068 },
+  { year: 2002, sp: -0.221, cpi: 0.024, hpi: 0.099 },
+  { year: 2003, sp: 0.287, cpi: 0.019, hpi: 0.104 },
+  { year: 2004, sp: 0.109, cpi: 0.033, hpi: 0.135 },
+  { year: 2005, sp: 0.049, cpi: 0.034, hpi: 0.134 },
+  { year: 2006, sp: 0.158, cpi: 0.025, hpi: 0.017 },
+  { year: 2007, sp: 0.055, cpi: 0.041, hpi: -0.054 },
+  { year: 2008, sp: -0.370, cpi: 0.001, hpi: -0.120 },
+  { year: 2009, sp: 0.265, cpi: 0.027, hpi: -0.025 },
+  { year: 2010, sp: 0.151, cpi: 0.015, hpi: -0.037 },
+  { year: 2011, sp: 0.021, cpi: 0.030, hpi: -0.040 },
+  { year: 2012, sp: 0.160, cpi: 0.017, hpi: 0.069 },
+  { year: 2013, sp: 0.324, cpi: 0.015, hpi: 0.107 },
+  { year: 2014, sp: 0.137, cpi: 0.008, hpi: 0.045 },
+  { year: 2015, sp: 0.014, cpi: 0.007, hpi: 0.052 },
+  { year: 2016, sp: 0.120, cpi: 0.021, hpi: 0.053 },
+  { year: 2017, sp: 0.218, cpi: 0.021, hpi: 0.062 },
+  { year: 2018, sp: -0.044, cpi: 0.019, hpi: 0.047 },
+  { year: 2019, sp: 0.315, cpi: 0.023, hpi: 0.038 },
+  { year: 2020, sp: 0.184, cpi: 0.014, hpi: 0.104 },
+  { year: 2021, sp: 0.287, cpi: 0.070, hpi: 0.188 },
+  { year: 2022, sp: -0.181, cpi: 0.065, hpi: 0.056 },
+  { year: 2023, sp: 0.263, cpi: 0.034, hpi: 0.055 },
+  { year: 2024, sp: 0.250, cpi: 0.029, hpi: 0.039 },
+  { year: 2025, sp: 0.179, cpi: 0.027, hpi: 0.013 },
+]);
+
+/**
+ * Compound annual growth of `key` over the `years` calendar years ending with `endYear`.
+ * @param {'sp'|'cpi'|'hpi'} key
+ * @param {number} years
+ * @param {number} [endYear]  defaults to the last year in the data
+ * @returns {number|null}     null when the data doesn't reach back that far
+ */
+export function trailingCagr(key, years, endYear = HISTORY[HISTORY.length - 1].year) {
+  const rows = HISTORY.filter((h) => h.year > endYear - years && h.year <= endYear);
+  if (years <= 0 || rows.length < years) return null;
+  const growth = rows.reduce((acc, h) => acc * (1 + h[key]), 1);
+  return Math.pow(growth, 1 / years) - 1;
+}
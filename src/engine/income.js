@@ -0,0 +1,113 @@
+// ---------------------------
+// Rental income — a long-term rent roll (one unit or a unit mix) or a short-term rental
+// priced by the night
+// ---------------------------
+
+import { turnoverMonths } from './schedule.js';
+import { addMonths } from './dates.js';
+
+/**
+ * @typedef {Object} Unit
+ * @property {string} name
+ * @property {number} rentMonthly            starting market rent
+ * @property {number} vacancyMonthsPer10yr   whole months this unit sits empty, spread evenly
+ * @property {number} placementCountPer10yr  each costs one month of this unit's rent …
+ * @property {number} turnoverCost           … plus this make-ready cost, in today's dollars
+ */
+
+/** Blank unit, as the UI adds them. */
+export const UNIT_TEMPLATE = { name: '', rentMonthly: 1_200, vacancyMonthsPer10yr: 3, placementCountPer10yr: 4, turnoverCost: 750 };
+
+/**
+ * Long-term units. An empty `units` list is the single unit the flat rent, vacancy and
+ * placement fields describe (no turnover cost beyond the placement fee).
+ * @param {import('./schema.js').Deal} deal
+ * @returns {Unit[]}
+ */
+export function rentRoll(deal) {
+  if (deal.units?.length) return deal.units;
+  return [{ name: 'Unit 1', rentMonthly: deal.rentMonthly, vacancyMonthsPer10yr: deal.vacancyMonthsPer10yr, placementCountPer10yr: deal.placementCountPer10yr, turnoverCost: 0 }];
+}
+
+/**
+ * Expected gross income in the first month, before vacancy: the whole rent roll, or for a
+ * short-term rental the average month's bookings plus guest cleaning fees.
+ * @param {import('./schema.js').Deal} deal
+ */
+export function startingRent(deal) {
+  if (deal.rentalMode !== 'shortTerm') return rentRoll(deal).reduce((acc, u) => acc + u.rentMonthly, 0);
+  const season = deal.strSeasonality.reduce((acc, s) => acc + Math.min(1, deal.strOccupancy * s), 0) / 12;
+  const nights = (365 / 12) * season;
+  return nights * deal.strNightlyRate + (nights / Math.max(1, deal.strAvgStayNights)) * deal.strCleaningFee;
+}
+
+// Rent index by month: 1 at purchase, stepping up once a year (a path overrides the flat rate)
+function rentIndex(deal, months) {
+  const index = [];
+  let level = 1;
+  for (let m = 0; m < months; m++) {
+    if (m > 0 && m % 12 === 0) level *= 1 + (deal.rentGrowthPath?.[m / 12 - 1] ?? deal.rentGrowthAnnual);
+    index.push(level);
+  }
+  return index;
+}
+
+const blankMonth = () => ({ grossRent: 0, vacancyLoss: 0, placementFee: 0, platformFees: 0, cleaning: 0, nightsBooked: 0 });
+
+/**
+ * Income by 0-based month, plus the expense lines that scale with it.
+ * Long-term: each unit keeps its own vacancy and turnover timing; a simulated
+ * `vacancyMonthList` replaces the spacing for a single unit, `unitVacancyMonthLists` for each unit of a mix.
+ * Short-term: nights booked = days × occupancy × that calendar month's seasonality (capped at
+ * every night); gross rent is room revenue plus the cleaning fee guests pay per stay, and the
+ * platform fee and cleaning cost per stay come back out as expenses.
+ * Months in `downtime` (rehab) earn nothing.
+ * @param {import('./schema.js').Deal} deal
+ * @param {Set<number>} [downtime]
+ * @returns {{ grossRent: number, vacancyLoss: number, placementFee: number, platformFees: number, cleaning: number, nightsBooked: number }[]}
+ */
+export function incomeSchedule(deal, downtime = new Set()) {
+  const months = deal.horizonYears * 12;
+  const index = rentIndex(deal, months);
+  const out = Array.from({ length: months }, blankMonth);
+
+  if (deal.rentalMode === 'shortTerm') {
+    const stay = Math.max(1, deal.strAvgStayNights);
+    for (let m = 0; m < months; m++) {
+      const start = addMonths(deal.purchaseDate, m);
+      const days = Math.round((addMonths(deal.purchaseDate, m + 1) - start) / 86_400_000);
+      const nights = days * Math.min(1, deal.strOccupancy * (deal.strSeasonality[start.getUTCMonth()] ?? 1));
+      const row = out[m];
+      row.grossRent = nights * index[m] * (deal.strNightlyRate + deal.strCleaningFee / stay);
+      if (downtime.has(m)) {
+        row.vacancyLoss = row.grossRent;
+        continue;
+      }
+      row.nightsBooked = nights;
+      row.platformFees = row.grossRent * deal.strPlatformFeePct;
+      row.cleaning = (nights / stay) * deal.strCleaningCost * index[m];
+    }
+    return out;
+  }
+
+  const single = !deal.units?.length;
+  rentRoll(deal).forEach((unit, i) => {
+    const { vacancyMonths, placementMonths } = turnoverMonths({
+      vacancyMonthsPer10yr: unit.vacancyMonthsPer10yr,
+      placementCountPer10yr: unit.placementCountPer10yr,
+      horizonYears: deal.horizonYears,
+      vacancyMonthList: single ? deal.vacancyMonthList : deal.unitVacancyMonthLists?.[i] ?? null,
+    });
+    const vacant = new Set(vacancyMonths);
+    const placed = new Set(placementMonths);
+    for (let m = 0; m < months; m++) {
+      const rent = unit.rentMonthly * index[m];
+      const row = out[m];
+      row.grossRent += rent;
+      if (vacant.has(m) || downtime.has(m)) row.vacancyLoss += rent;
+      // Fee = one month of the unit's prevailing rent (pre-vacancy schedule), plus make-ready
+      if (placed.has(m)) row.placementFee += rent + (unit.turnoverCost ?? 0) * index[m];
+    }
+  });
+  return out;
+}
@@ -0,0 +1,28 @@
+// ---------------------------
+// realroi engine — framework-free; safe to import from UI, scripts and tests.
+// ---------------------------
+
+export { DEFAULT_DEAL, TRANSIENT_KEYS, withDefaults, fitsSchema } from './schema.js';
+export { runDeal } from './model.js';
+export { amortizationSchedule, summarizeFinancials, loanSchedule, rateForMonth } from './amortization.js';
+export { npv, irrBisection, annualize, irr, xnpv, xirr, mirr, cashOnCash, equityMultiple } from './returns.js';
+export { toDate, addMonths, yearFrac, isoDate } from './dates.js';
+export { spacedMonths, turnoverMonths } from './schedule.js';
+export { operatingExpenses, capexSchedule, capexReplacements, furnishingSchedule } from './expenses.js';
+export { UNIT_TEMPLATE, rentRoll, startingRent, incomeSchedule } from './income.js';
+export { specialAllowance, magiInYear, taxLedger, lossTreatment, STR_MAX_AVERAGE_STAY } from './tax.js';
+export { depreciationSchedule, bonusPctFor, straightLineMidMonth, MACRS_HALF_YEAR, BUILDING_LIFE } from './depreciation.js';
+export { runBenchmark } from './benchmark.js';
+export { exitTaxes } from './exit.js';
+export { DEFAULT_SIMULATION, simulateDeal, samplePath, percentiles, createRng, fromNormal } from './simulate.js';
+export { HISTORY, trailingCagr } from './history.js';
+export { backtestDeal } from './backtest.js';
+export { SENSITIVITY_INPUTS, SENSITIVITY_METRICS, tornado, heatmap, breakEven, linspace, sensitivityReport } from './sensitivity.js';
+export { SCENARIO_FILE_VERSION, makeScenario, exportScenarios, importScenarios, diffInputs } from './scenarios.js';
+export { SHARE_VERSION, encodeDeal, decodeDeal } from './share.js';
+export { MONTH_COLUMNS, YEAR_COLUMNS, toCsv, toXlsx } from './ledgerExport.js';
+export { createPdf, textWidth, wrapText } from './pdf.js';
+export { buildMemo } from './memo.js';
+export { FIELD_RULES, validateDeal } from './validate.js';
+export { EVENT_TEMPLATES, eventSchedule } from './events.js';
+export { DEFAULT_OWNER, runPortfolio } from './portfolio.js';
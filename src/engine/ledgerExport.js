@@ -0,0 +1,280 @@
+// ---------------------------
+// Ledger export — column definitions plus CSV and a dependency-free XLSX writer
+// ---------------------------
+
+/**
+ * @typedef {Object} Column
+ * @property {string} key
+ * @property {string} label
+ * @property {'usd'|'pct'|'int'|'text'} format
+ */
+
+const usd = (key, label) => ({ key, label, format: 'usd' });
+
+const EXPENSE_COLUMNS = [
+  usd('propertyMgmt', 'Management'),
+  usd('placementFee', 'Placement & turnover'),
+  usd('propertyTax', 'Property tax'),
+  usd('insurance', 'Insurance'),
+  usd('repairs', 'Repairs'),
+  usd('hoa', 'HOA'),
+  usd('utilities', 'Utilities'),
+  usd('landscaping', 'Landscaping'),
+  usd('warranty', 'Home warranty'),
+  usd('platformFees', 'Platform fees'),
+  usd('cleaning', 'Cleaning'),
+];
+
+/** @type {Column[]} */
+export const MONTH_COLUMNS = [
+  { key: 'month', label: 'Month', format: 'int' },
+  { key: 'date', label: 'Date', format: 'text' },
+  { key: 'year', label: 'Year', format: 'int' },
+  usd('grossRent', 'Gross rent'),
+  usd('vacancyLoss', 'Vacancy'),
+  usd('rentCollected', 'Rent collected'),
+  { key: 'nightsBooked', label: 'Nights booked', format: 'int' },
+  ...EXPENSE_COLUMNS,
+  usd('operatingExpenses', 'Operating expenses'),
+  usd('noi', 'NOI'),
+  usd('capex', 'Capex'),
+  usd('capexSpent', 'Capex replacements'),
+  usd('capexReserve', 'Capex reserve'),
+  usd('rehab', 'Rehab'),
+  usd('furnishing', 'Furnishing'),
+  { key: 'rate', label: 'Rate', format: 'pct' },
+  usd('interest', 'Interest'),
+  usd('principal', 'Principal'),
+  usd('extraPrincipal', 'Extra principal'),
+  usd('pmi', 'PMI'),
+  usd('debtService', 'Debt service'),
+  usd('refiCashOut', 'Refinance cash-out'),
+  usd('loanCosts', 'Loan costs deducted'),
+  usd('studyFee', 'Cost seg study'),
+  usd('cashFlow', 'Cash flow'),
+  usd('depreciation', 'Depreciation (1/12 of year)'),
+  usd('taxEffect', 'Tax effect (year end)'),
+  usd('balance', 'Loan balance'),
+  usd('homeValue', 'Home value'),
+  usd('equity', 'Equity'),
+  usd('stockValue', 'Stock portfolio'),
+];
+
+/** @type {Column[]} */
+export const YEAR_COLUMNS = [
+  { key: 'year', label: 'Year', format: 'int' },
+  usd('grossRent', 'Gross rent'),
+  usd('vacancyLoss', 'Vacancy'),
+  usd('rentCollected', 'Rent collected'),
+  { key: 'nightsBooked', label: 'Nights booked', format: 'int' },
+  ...EXPENSE_COLUMNS,
+  usd('operatingExpenses', 'Operating expenses'),
+  usd('noi', 'NOI'),
+  usd('capex', 'Capex'),
+  usd('capexSpent', 'Capex replacements'),
+  usd('capexReserve', 'Capex reserve'),
+  usd('rehab', 'Rehab'),
+  usd('furnishing', 'Furnishing'),
+  usd('interest', 'Interest'),
+  usd('principal', 'Principal'),
+  usd('extraPrincipal', 'Extra principal'),
+  usd('pmi', 'PMI'),
+  usd('debtService', 'Debt service'),
+  usd('refiCashOut', 'Refinance cash-out'),
+  usd('loanCosts', 'Loan costs deducted'),
+  usd('studyFee', 'Cost seg study'),
+  usd('cashFlow', 'Cash flow'),
+  usd('cumulativeCashFlow', 'Cumulative cash flow'),
+  usd('depreciation', 'Depreciation'),
+  usd('taxableIncome', 'Taxable income'),
+  usd('lossUsed', 'Loss used'),
+  usd('suspendedEnd', 'Suspended loss'),
+  usd('taxEffect', 'Tax effect'),
+  usd('balance', 'Loan balance'),
+  usd('homeValue', 'Home value'),
+  usd('equity', 'Equity'),
+  usd('stockValue', 'Stock portfolio'),
+];
+
+// ---------------------------
+// CSV
+// ---------------------------
+
+const csvCell = (v) => {
+  if (v == null) return '';
+  const s = typeof v === 'number' ? String(+v.toFixed(6)) : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * @param {Object[]} rows
+ * @param {Column[]} columns
+ * @returns {string}  RFC 4180, CRLF line endings; numbers unformatted so spreadsheets read them as numbers
+ */
+export function toCsv(rows, columns) {
+  const lines = [columns.map((c) => csvCell(c.label)).join(',')];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c.key])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ---------------------------
+// XLSX — a minimal SpreadsheetML package (inline strings, one style per format) in a stored zip
+// ---------------------------
+
+const xmlEscape = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// cellXfs index per format: 0 plain, 1 header (bold), 2 #,##0.00, 3 0.00%, 4 0
+const STYLE = { text: 0, header: 1, usd: 2, pct: 3, int: 4 };
+
+function columnName(i) {
+  let name = '';
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function sheetXml(columns, rows) {
+  const cell = (ref, v, style) => {
+    if (v == null || (typeof v === 'number' && !Number.isFinite(v))) return '';
+    if (typeof v === 'number') return `<c r="${ref}" s="${style}"><v>${v}</v></c>`;
+    return `<c r="${ref}" s="${style}" t="inlineStr"><is><t>${xmlEscape(v)}</t></is></c>`;
+  };
+  const header = columns.map((c, i) => cell(`${columnName(i)}1`, c.label, STYLE.header)).join('');
+  const body = rows.map((row, r) =>
+    `<row r="${r + 2}">${columns.map((c, i) => cell(`${columnName(i)}${r + 2}`, row[c.key], STYLE[c.format] ?? 0)).join('')}</row>`).join('');
+  const cols = columns.map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${Math.max(10, c.label.length + 2)}" customWidth="1"/>`).join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${cols}</cols><sheetData><row r="1">${header}</row>${body}</sheetData></worksheet>`;
+}
+
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+  + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="5">'
+  + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="10" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '</cellXfs></styleSheet>';
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Uncompressed ("stored") zip with a fixed 1980-01-01 timestamp, so the same input gives the same bytes
+function zip(files) {
+  const enc = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data } of files) {
+    const nameBytes = enc.encode(name);
+    const body = typeof data === 'string' ? enc.encode(data) : data;
+    const crc = crc32(body);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(10, 0, true);
+    local.setUint16(12, 0x21, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, body.length, true);
+    local.setUint32(22, body.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    locals.push(new Uint8Array(local.buffer), nameBytes, body);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(14, 0x21, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, body.length, true);
+    central.setUint32(24, body.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centrals.push(new Uint8Array(central.buffer), nameBytes);
+
+    offset += 30 + nameBytes.length + body.length;
+  }
+  const centralSize = centrals.reduce((acc, b) => acc + b.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...locals, ...centrals, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((acc, b) => acc + b.length, 0));
+  let at = 0;
+  for (const p of parts) {
+    out.set(p, at);
+    at += p.length;
+  }
+  return out;
+}
+
+/**
+ * Build an .xlsx workbook.
+ * @param {{ name: string, columns: Column[], rows: Object[] }[]} sheets
+ * @returns {Uint8Array}
+ */
+export function toXlsx(sheets) {
+  const names = sheets.map((s) => s.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  const files = [
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>',
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+        + '</Relationships>',
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>'
+        + names.map((n, i) => `<sheet name="${xmlEscape(n)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`).join('')
+        + '</sheets></workbook>',
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>'
+        + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+        + sheets.map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>`
+        + '</Relationships>',
+    },
+    { name: 'xl/styles.xml', data: STYLES_XML },
+    ...sheets.map((s, i) => ({ name: `xl/worksheets/sheet${i + 1}.xml`, data: sheetXml(s.columns, s.rows) })),
+  ];
+  return zip(files);
+}
@@ -0,0 +1,361 @@
+// ---------------------------
+// Investment memo — a multi-page PDF of the current deal, built on pdf.js.
+// Formatting avoids locale APIs and the memo carries no generation date, so the
+// same inputs always produce byte-identical output.
+// ---------------------------
+
+import { runDeal } from './model.js';
+import { encodeDeal } from './share.js';
+import { createPdf, textWidth, wrapText } from './pdf.js';
+import { lossTreatment } from './tax.js';
+
+const MARGIN = 54;
+const TOP = 72;
+const BOTTOM = 56; // clear of the footer rule at height − 40
+const INK = '#111111';
+const MUTED = '#6b7280';
+const RULE = '#d1d5db';
+const COLORS = { re: '#4f46e5', reTax: '#818cf8', stocks: '#059669', stocksTax: '#34d399', negative: '#dc2626' };
+
+// ---------------------------
+// Locale-free formatting
+// ---------------------------
+
+function money(n) {
+  if (n == null || !Number.isFinite(n)) return '—';
+  const digits = String(Math.round(Math.abs(n))).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return (n < 0 ? '-$' : '$') + digits;
+}
+
+const pct = (n, dp = 2) => (n == null || !Number.isFinite(n) ? '—' : (n * 100).toFixed(dp) + '%');
+const rate = (r) => (r.value != null ? pct(r.value) + '/yr' : '—');
+const times = (n) => (n == null || !Number.isFinite(n) ? '—' : n.toFixed(2) + '×');
+
+// Axis labels: $250k, $1.2M
+function shortMoney(n) {
+  if (n === 0) return '$0';
+  const body = Math.abs(n) >= 1_000_000 ? (Math.abs(n) / 1_000_000).toFixed(1) + 'M' : Math.round(Math.abs(n) / 1_000) + 'k';
+  return (n < 0 ? '-$' : '$') + body;
+}
+
+// Inputs shown in the assumptions table, in the order the calculator lays them out
+const ASSUMPTIONS = [
+  ['Purchase date', 'purchaseDate', String],
+  ['Purchase price', 'purchasePrice', money],
+  ['Down payment', 'downPayment', money],
+  ['Closing costs', 'closingCosts', money],
+  ['Safety net reserve', 'reserves', (v, d) => (d.includeReserves ? money(v) : 'None')],
+  ['Loan type', 'loanType', (v) => ({ fixed: 'Fixed', interestOnly: 'Interest-only period', arm: 'ARM' })[v] ?? v],
+  ['Rate (APR)', 'rate', (v) => pct(v, 3)],
+  ['Term', 'termYears', (v) => `${v} years`],
+  ['ARM resets', 'armResets', (v, d) => (d.loanType === 'arm' ? v.map((r) => `yr ${r.year}: ${pct(r.rate, 3)}`).join(', ') || 'None' : 'n/a')],
+  ['Events', 'events', (v) => v.map(describeEvent).join('; ') || 'None'],
+  ['Income', 'rentalMode', describeIncome],
+  ['Rent growth', 'rentGrowthAnnual', (v) => pct(v)],
+  ['Vacancy / placements per 10 years', 'vacancyMonthsPer10yr', (v, d) => (d.rentalMode === 'shortTerm' ? 'n/a (occupancy)' : d.units.length ? 'Set per unit' : `${v} months / ${d.placementCountPer10yr}`)],
+  ['STR cleaning fee / cost per stay', 'strCleaningFee', (v, d) => (d.rentalMode === 'shortTerm' ? `${money(v)} / ${money(d.strCleaningCost)}` : 'n/a')],
+  ['STR platform fee / furnishing', 'strPlatformFeePct', (v, d) => (d.rentalMode === 'shortTerm' ? `${pct(v)} / ${money(d.strFurnishing)} every ${d.strFurnishingLifeYears} years` : 'n/a')],
+  ['Management', 'pmFlatMonthly', (v, d) => (d.rentalMode === 'shortTerm' ? `${pct(d.strMgmtPct)} of income` : `${money(v)}/mo + ${pct(d.pmPct)} of rent`)],
+  ['Property tax', 'taxesPct', (v, d) => `${pct(v)} of price, +${pct(d.taxGrowthAnnual)}/yr`],
+  ['Insurance', 'insuranceAnnual', (v, d) => `${money(v)}/yr, +${pct(d.insuranceGrowthAnnual)}/yr`],
+  ['Repairs', 'repairsPctOfRent', (v) => `${pct(v)} of rent`],
+  ['HOA', 'hoaMonthly', (v) => `${money(v)}/mo`],
+  ['Owner-paid utilities', 'utilitiesMonthly', (v) => `${money(v)}/mo`],
+  ['Landscaping', 'landscapingMonthly', (v) => `${money(v)}/mo`],
+  ['Home warranty', 'warrantyAnnual', (v) => `${money(v)}/yr`],
+  ['Capex', 'capexMode', (v, d) => `${v === 'reserve' ? 'Monthly reserve (unspent balance returned at sale)' : 'Pay when due'}: ${d.capexItems.map((c) => c.name).join(', ') || 'no items'}`],
+  ['Appreciation', 'appreciationAnnual', (v) => pct(v) + '/yr'],
+  ['Inflation', 'inflationRate', (v) => pct(v) + '/yr'],
+  ['Hold period', 'horizonYears', (v) => `${v} years`],
+  ['Sale costs', 'saleCostPct', (v) => pct(v)],
+  ['Land share', 'landPct', (v) => pct(v, 0)],
+  ['Depreciation', 'useCostSeg', (v, d) => (v ? `Cost seg (5/7/15-yr ${pct(d.costSeg5Pct, 0)}/${pct(d.costSeg7Pct, 0)}/${pct(d.costSeg15Pct, 0)})` : 'Straight-line')],
+  ['Building', 'propertyUse', (v) => (v === 'commercial' ? 'Commercial, 39 years' : 'Residential, 27.5 years')],
+  ['Tax bracket', 'taxBracket', (v) => pct(v, 0)],
+  ['MAGI', 'magi', (v, d) => `${money(v)}, +${pct(d.magiGrowthAnnual)}/yr`],
+  ['Loss treatment', 'repsOrSTR', (v, d) => lossTreatment(d).label],
+  ['Capital gains rate', 'capitalGainsRate', (v) => pct(v, 0)],
+  ['Exit', 'exitMode', (v) => (v === '1031' ? '1031 exchange' : 'Taxable sale')],
+  ['S&P return', 'spAnnualReturn', (v) => pct(v) + '/yr'],
+  ['Benchmark', 'benchmarkMode', (v, d) => (v === 'matched' ? 'Same cash flows' : v === 'dca' ? `Initial capital, bought over ${d.dcaMonths} months` : 'Initial capital only')],
+  ['ETF expense ratio / advisor fee', 'etfErBps', (v, d) => `${v} bps / ${pct(d.advisorFee)}`],
+  ['Dividend yield / tax', 'dividendYield', (v, d) => `${pct(v)} / ${pct(d.dividendTaxRate, 0)}`],
+];
+
+function describeIncome(mode, d) {
+  if (mode === 'shortTerm') return `Short-term: ${money(d.strNightlyRate)}/night, ${pct(d.strOccupancy, 0)} occupancy, ${d.strAvgStayNights}-night stays`;
+  if (d.units.length) return `${d.units.length} units, ${money(d.units.reduce((acc, u) => acc + u.rentMonthly, 0))}/mo`;
+  return `${money(d.rentMonthly)}/mo`;
+}
+
+function describeEvent(e) {
+  if (e.type === 'rehab') return `Rehab mo ${e.month}: ${money(e.cost)}${e.arv > 0 ? `, ARV ${money(e.arv)}` : ''}`;
+  if (e.type === 'refinance') return `Refi mo ${e.month}: ${pct(e.ltv, 0)} LTV at ${pct(e.rate, 3)}`;
+  return `Extra principal ${money(e.amount)}${e.recurring ? '/mo from' : ' in'} mo ${e.month}`;
+}
+
+const DISCLAIMERS = [
+  'This memo is an educational model, not tax, legal or investment advice. Confirm tax treatment with a CPA before acting on it.',
+  'Passive losses are limited to the Pub 925 special allowance ($25,000, phased out between $100,000 and $150,000 of MAGI) plus other passive income unless the owner qualifies as a real estate professional. A short-term rental with an average stay of 7 nights or less is not a rental activity: its losses are non-passive with material participation, and otherwise passive with no special allowance. Disallowed losses carry forward and are released on a taxable sale.',
+  'Cost segregation reclassifies parts of the building to shorter lives; bonus depreciation depends on the placed-in-service date and the rules in effect. Accelerated items are generally §1245 recapture at ordinary rates on sale; building straight-line is unrecaptured §1250 gain taxed at up to 25%.',
+  'Appreciation, rent growth and market returns are assumptions, not forecasts. Past S&P 500 returns do not predict future returns.',
+];
+
+// ---------------------------
+// Drawing helpers
+// ---------------------------
+
+function heading(doc, y, text) {
+  doc.text(MARGIN, y, text, { size: 13, bold: true });
+  doc.line(MARGIN, y + 5, doc.width - MARGIN, y + 5, { color: RULE });
+  return y + 24;
+}
+
+function paragraph(doc, y, text, { size = 9.5, color = INK, width = null } = {}) {
+  const lines = wrapText(text, width ?? doc.width - 2 * MARGIN, size);
+  lines.forEach((line, i) => doc.text(MARGIN, y + i * size * 1.35, line, { size, color }));
+  return y + lines.length * size * 1.35 + 6;
+}
+
+// Baseline for a block reaching `height` below its first baseline: `y` if it clears the
+// footer, else the top of a new page
+function room(doc, y, height = 0) {
+  if (y + height <= doc.height - BOTTOM) return y;
+  doc.addPage();
+  return TOP;
+}
+
+// Label/value rows laid out in `columns` columns; returns the y below them.
+// Long values wrap beside their label, and rows that don't fit continue on a new page.
+function kvTable(doc, y, rows, { columns = 2, size = 9.5 } = {}) {
+  const colWidth = (doc.width - 2 * MARGIN) / columns;
+  const lineHeight = size * 1.35;
+  const pad = size * 1.9 - lineHeight;
+  let ry = y;
+  for (let start = 0; start < rows.length; start += columns) {
+    const cells = rows.slice(start, start + columns).map(([label, value]) => {
+      const space = colWidth - 12 - textWidth(label, size) - 12;
+      return { label, lines: wrapText(value, Math.max(space, colWidth / 3), size, true) };
+    });
+    const extra = (Math.max(...cells.map((c) => c.lines.length)) - 1) * lineHeight;
+    ry = room(doc, ry, extra + 5);
+    cells.forEach(({ label, lines }, col) => {
+      const x = MARGIN + col * colWidth;
+      doc.text(x, ry, label, { size, color: MUTED });
+      lines.forEach((line, k) => doc.text(x + colWidth - 12, ry + k * lineHeight, line, { size, bold: true, align: 'right' }));
+      const under = ry + (lines.length - 1) * lineHeight + 5;
+      doc.line(x, under, x + colWidth - 12, under, { color: '#eeeeee', width: 0.5 });
+    });
+    ry += extra + lineHeight + pad;
+  }
+  return ry + 8;
+}
+
+function niceTicks(min, max, count = 5) {
+  const span = max - min || Math.abs(max) || 1;
+  const raw = span / count;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * mag).find((s) => s >= raw);
+  const ticks = [];
+  for (let t = Math.floor(min / step) * step; t <= max + step * 1e-9; t += step) ticks.push(+t.toFixed(10));
+  if (ticks[ticks.length - 1] < max) ticks.push(ticks[ticks.length - 1] + step);
+  return ticks;
+}
+
+// Axes with $ gridlines; returns a y-scale for the plot area
+function axes(doc, box, min, max) {
+  const ticks = niceTicks(Math.min(0, min), Math.max(0, max));
+  const lo = ticks[0];
+  const hi = ticks[ticks.length - 1];
+  const scale = (v) => box.y + box.h - ((v - lo) / (hi - lo || 1)) * box.h;
+  for (const t of ticks) {
+    doc.line(box.x, scale(t), box.x + box.w, scale(t), { color: t === 0 ? '#9ca3af' : '#eeeeee', width: 0.5 });
+    doc.text(box.x - 4, scale(t) + 3, shortMoney(t), { size: 7.5, color: MUTED, align: 'right' });
+  }
+  return scale;
+}
+
+function legend(doc, x, y, items) {
+  let cx = x;
+  for (const [label, color] of items) {
+    doc.rect(cx, y - 7, 8, 8, { fill: color });
+    doc.text(cx + 11, y, label, { size: 8, color: MUTED });
+    cx += 11 + textWidth(label, 8) + 14;
+  }
+}
+
+function barChart(doc, box, bars) {
+  const scale = axes(doc, box, Math.min(...bars.map((b) => b.value)), Math.max(...bars.map((b) => b.value)));
+  const slot = box.w / bars.length;
+  bars.forEach((b, i) => {
+    const x = box.x + i * slot + slot * 0.2;
+    const top = Math.min(scale(b.value), scale(0));
+    doc.rect(x, top, slot * 0.6, Math.abs(scale(b.value) - scale(0)), { fill: b.color });
+    doc.text(x + slot * 0.3, top - 4, money(b.value), { size: 8, bold: true, align: 'center' });
+    doc.text(x + slot * 0.3, box.y + box.h + 12, b.label, { size: 8, color: MUTED, align: 'center' });
+  });
+}
+
+function columnChart(doc, box, values, labels) {
+  const scale = axes(doc, box, Math.min(...values), Math.max(...values));
+  const slot = box.w / values.length;
+  values.forEach((v, i) => {
+    const x = box.x + i * slot + slot * 0.15;
+    doc.rect(x, Math.min(scale(v), scale(0)), slot * 0.7, Math.abs(scale(v) - scale(0)), { fill: v < 0 ? COLORS.negative : COLORS.stocks });
+    doc.text(x + slot * 0.35, box.y + box.h + 12, labels[i], { size: 7.5, color: MUTED, align: 'center' });
+  });
+}
+
+function lineChart(doc, box, series, labels) {
+  const all = series.flatMap((s) => s.values);
+  const scale = axes(doc, box, Math.min(...all), Math.max(...all));
+  const step = labels.length > 1 ? box.w / (labels.length - 1) : 0;
+  for (const s of series) {
+    doc.polyline(s.values.map((v, i) => [box.x + i * step, scale(v)]), { color: s.color });
+  }
+  labels.forEach((label, i) => doc.text(box.x + i * step, box.y + box.h + 12, label, { size: 7.5, color: MUTED, align: 'center' }));
+}
+
+// ---------------------------
+// Memo
+// ---------------------------
+
+/**
+ * Build the PDF memo for a deal.
+ * @param {Partial<import('./schema.js').Deal>} input
+ * @param {{ title?: string }} [options]  e.g. the scenario name
+ * @returns {Uint8Array}
+ */
+export function buildMemo(input, { title = '' } = {}) {
+  const { deal, years, summary: r } = runDeal(input);
+  const alt = runDeal({ ...deal, useCostSeg: !deal.useCostSeg }).summary;
+  const slOnly = deal.useCostSeg ? alt : r;
+  const withCS = deal.useCostSeg ? r : alt;
+  const name = title.trim() || `${money(deal.purchasePrice)} rental`;
+
+  const doc = createPdf();
+  const W = doc.width - 2 * MARGIN;
+
+  // Page 1 — summary, headline metrics, net gain chart
+  doc.addPage();
+  doc.text(MARGIN, TOP, 'Investment Memo', { size: 22, bold: true });
+  doc.text(MARGIN, 94, `${name} · ${deal.horizonYears}-year hold from ${deal.purchaseDate}`, { size: 11, color: MUTED });
+  let y = 124;
+  y = heading(doc, y, 'Deal summary');
+  y = paragraph(doc, y,
+    `Purchase at ${money(deal.purchasePrice)} with ${money(deal.downPayment)} down (${pct(deal.downPayment / deal.purchasePrice, 1)}) and ${money(deal.closingCosts)} closing costs, `
+    + `financed with a ${money(r.loanAmount)} ${deal.termYears}-year loan at ${pct(deal.rate, 3)} (P&I ${money(r.paymentMonthly)}/mo). `
+    + (deal.rentalMode === 'shortTerm'
+      ? `Run as a short-term rental at ${money(deal.strNightlyRate)}/night and ${pct(deal.strOccupancy, 0)} average occupancy (about ${money(r.startingRent)}/mo gross), rates growing ${pct(deal.rentGrowthAnnual)} a year; `
+      : `Rent starts at ${money(r.startingRent)}/mo${deal.units.length ? ` across ${deal.units.length} units` : ''} growing ${pct(deal.rentGrowthAnnual)} a year; `)
+    + `the home is assumed to appreciate ${pct(deal.appreciationAnnual)} a year `
+    + `and is ${deal.exitMode === '1031' ? 'exchanged under §1031' : 'sold'} after ${deal.horizonYears} years for ${money(r.salePrice)}. `
+    + `The comparison invests ${deal.benchmarkMode === 'matched' ? 'the same cash flows' : deal.benchmarkMode === 'dca' ? `the same initial capital, bought over ${deal.dcaMonths} months,` : 'the same initial capital'} in the S&P 500 at ${pct(deal.spAnnualReturn)} a year; `
+    + `after tax it pays dividend tax yearly and capital-gains tax when sold.`
+    + (r.totalRehab > 0 ? ` Rehab spend totals ${money(r.totalRehab)}.` : '')
+    + r.refinances.map((f) => ` Refinanced in month ${f.month} into a ${money(f.newLoan)} loan at ${pct(f.rate, 3)}, ${f.cashOut >= 0 ? `returning ${money(f.cashOut)} cash-out` : `needing ${money(-f.cashOut)} cash in`}.`).join(''));
+  y += 6;
+  y = heading(doc, y, 'Headline metrics');
+  y = kvTable(doc, y, [
+    ['Net gain — pre-tax', money(r.reBaseNet)],
+    ['Net gain — after tax', money(r.reAfterTaxNet)],
+    ['Stocks — pre-tax / after tax', `${money(r.stocksNet)} / ${money(r.stocksAfterTaxNet)}`],
+    ['Real estate − stocks', `${money(r.reBaseNet - r.stocksNet)} / ${money(r.reAfterTaxNet - r.stocksAfterTaxNet)} after tax`],
+    ['Initial investment', money(r.initialInvestment)],
+    ['Out-of-pocket', money(r.outOfPocket)],
+    ['IRR', rate(r.irr)],
+    ['After-tax IRR', rate(r.afterTaxIrr)],
+    ['XIRR', rate(r.xirr)],
+    ['Real IRR (today’s dollars)', rate(r.realIrr)],
+    ['MIRR', rate(r.mirr)],
+    ['Equity multiple', times(r.equityMultiple.value)],
+    ['Cash-on-cash, year 1', r.cashOnCash[0]?.value != null ? pct(r.cashOnCash[0].value, 1) : '—'],
+    ['Multiple on out-of-pocket', `${times(r.multipleBase)} / ${times(r.multipleAfterTax)} after tax`],
+  ]);
+  y += 6;
+  y = heading(doc, y, 'Net gain over contributions');
+  barChart(doc, { x: MARGIN + 40, y: y + 10, w: W - 40, h: 170 }, [
+    { label: 'Real estate — pre-tax', value: r.reBaseNet, color: COLORS.re },
+    { label: 'Real estate — after tax', value: r.reAfterTaxNet, color: COLORS.reTax },
+    { label: 'Stocks — pre-tax', value: r.stocksNet, color: COLORS.stocks },
+    { label: 'Stocks — after tax', value: r.stocksAfterTaxNet, color: COLORS.stocksTax },
+  ]);
+
+  // Page 2 — cash flow and equity over time
+  doc.addPage();
+  y = heading(doc, TOP, 'Annual cash flow');
+  y = paragraph(doc, y, 'Pre-tax cash flow after operating expenses, capex and debt service. The sale year excludes sale proceeds.', { color: MUTED, size: 8.5 });
+  const yearLabels = years.map((yr) => String(yr.year));
+  columnChart(doc, { x: MARGIN + 40, y: y + 6, w: W - 40, h: 170 }, years.map((yr) => yr.cashFlow), yearLabels);
+  y += 220;
+  y = heading(doc, y, 'Equity over time');
+  legend(doc, MARGIN, y, [['Home equity', COLORS.re], ['Stock portfolio', COLORS.stocks], ['Loan balance', MUTED]]);
+  lineChart(doc, { x: MARGIN + 40, y: y + 14, w: W - 40, h: 180 }, [
+    { values: years.map((yr) => yr.equity), color: COLORS.re },
+    { values: years.map((yr) => yr.stockValue), color: COLORS.stocks },
+    { values: years.map((yr) => yr.balance), color: MUTED },
+  ], yearLabels);
+
+  // Page 3 — cost seg and exit
+  doc.addPage();
+  y = heading(doc, TOP, 'Cost segregation — year-1 usability');
+  y = kvTable(doc, y, [
+    ['Improvement basis', money(r.costSeg.improvementBasis)],
+    ['Bonus depreciation rate', pct(r.costSeg.bonusPct, 0)],
+    ['Bonus taken (5/7/15-year)', money(r.costSeg.bonusEligible)],
+    ['Year-1 straight-line on remainder', money(r.costSeg.slYear1)],
+    ['Year-1 depreciation', money(r.costSeg.immediateAvailable)],
+    ['Loss cap (Pub 925 + passive)', r.costSeg.immediateCap === Infinity ? 'Unlimited (non-passive)' : money(r.costSeg.immediateCap)],
+    ['Year-1 loss used', money(r.costSeg.immediateUsed)],
+    ['Tax savings now', money(r.costSeg.immediateTaxSavings)],
+    ['Suspended after year 1', money(r.costSeg.suspendedYear1)],
+    ['Study fee', money(deal.studyFee)],
+    ['After-tax net — straight-line only', money(slOnly.reAfterTaxNet)],
+    ['After-tax net — with cost seg', money(withCS.reAfterTaxNet)],
+    ['Cost seg advantage', money(withCS.reAfterTaxNet - slOnly.reAfterTaxNet)],
+    ['Suspended loss at exit', money(r.suspendedLossAtExit)],
+  ]);
+  y = paragraph(doc, y, `This memo is computed ${deal.useCostSeg ? 'with' : 'without'} cost segregation; the comparison rows rerun the same deal both ways, after the study fee and recapture.`, { color: MUTED, size: 8.5 });
+  y += 10;
+  y = heading(doc, y, 'Exit — sale and taxes');
+  y = kvTable(doc, y, [
+    ['Sale price', money(r.salePrice)],
+    ['Sale costs', money(r.saleCosts)],
+    ['Adjusted basis', money(r.exit.adjustedBasis)],
+    ['Total gain', money(r.exit.totalGain)],
+    ['§1245 recapture (ordinary)', money(r.exit.recapture1245Tax)],
+    ['Unrecaptured §1250 (up to 25%)', money(r.exit.unrecaptured1250Tax)],
+    ['Capital gains tax', money(r.exit.capitalGainsTax)],
+    ['NIIT', money(r.exit.niit)],
+    [r.exit.deferred ? 'Tax deferred (1031)' : 'Total exit tax', money(r.exit.deferred ? r.exit.deferredTax : r.exit.totalTax)],
+    ['After-tax proceeds', money(r.exit.afterTaxProceeds)],
+  ]);
+
+  // Page 4 — assumptions
+  doc.addPage();
+  y = heading(doc, TOP, 'Assumptions');
+  kvTable(doc, y, ASSUMPTIONS.map(([label, key, fmt]) => [label, fmt(deal[key], deal)]), { columns: 1, size: 8.5 });
+
+  // Page 5 — disclaimers and the deal code that reproduces this memo
+  doc.addPage();
+  y = heading(doc, TOP, 'Notes and disclaimers');
+  for (const note of DISCLAIMERS) y = paragraph(doc, y, note, { size: 9 }) + 4;
+  y = paragraph(doc, y + 6, 'Deal code — open either calculator with ?d= followed by this code to reproduce every number in this memo:', { size: 8.5, color: MUTED });
+  const code = encodeDeal(deal) || '(all default inputs)';
+  for (const chunk of code.match(/.{1,100}/g)) {
+    y = room(doc, y);
+    doc.text(MARGIN, y, chunk, { size: 7.5, color: MUTED });
+    y += 10;
+  }
+
+  // Footers, now that the page count is known
+  const pages = doc.pageCount;
+  for (let i = 0; i < pages; i++) {
+    doc.setPage(i);
+    doc.line(MARGIN, doc.height - 40, doc.width - MARGIN, doc.height - 40, { color: RULE, width: 0.5 });
+    doc.text(MARGIN, doc.height - 28, `RealROI investment memo — ${name}`, { size: 8, color: MUTED });
+    doc.text(doc.width - MARGIN, doc.height - 28, `Page ${i + 1} of ${pages}`, { size: 8, color: MUTED, align: 'right' });
+  }
+
+  return doc.toBytes({ title: `Investment memo — ${name}` });
+}
@@ -0,0 +1,16 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, buildMemo } from './index.js';
+
+const pageCount = (bytes) => (new TextDecoder('latin1').decode(bytes).match(/\/Type \/Page /g) ?? []).length;
+
+describe('buildMemo', () => {
+  it('is five pages for the default deal', () => {
+    expect(pageCount(buildMemo(DEFAULT_DEAL))).toBe(5);
+  });
+
+  it('continues long assumption tables and deal codes on new pages', () => {
+    const events = Array.from({ length: 40 }, (_, i) => ({ type: 'extraPrincipal', month: 6 * (i + 1), amount: 1_000 + i, recurring: false }));
+    const armResets = Array.from({ length: 20 }, (_, i) => ({ year: 6 + i, rate: 0.065 + i * 0.001 }));
+    expect(pageCount(buildMemo({ ...DEFAULT_DEAL, loanType: 'arm', armResets, events, horizonYears: 30 }))).toBeGreaterThan(5);
+  });
+});
@@ -0,0 +1,432 @@
+// ---------------------------
+// Core model — one deal in, a monthly ledger, yearly rollup and summary out.
+// ---------------------------
+
+import { withDefaults } from './schema.js';
+import { loanSchedule } from './amortization.js';
+import { eventSchedule } from './events.js';
+import { incomeSchedule, startingRent } from './income.js';
+import { operatingExpenses, capexSchedule, capexReplacements, furnishingSchedule } from './expenses.js';
+import { taxLedger, lossTreatment } from './tax.js';
+import { depreciationSchedule } from './depreciation.js';
+import { runBenchmark } from './benchmark.js';
+import { exitTaxes } from './exit.js';
+import { irr, xirr, mirr, cashOnCash, equityMultiple } from './returns.js';
+import { addMonths, isoDate } from './dates.js';
+
+/**
+ * @typedef {Object} LedgerMonth
+ * @property {number} month          1-based
+ * @property {number} year           1-based
+ * @property {string} date           month end, 'YYYY-MM-DD'
+ * @property {number} cpi            price level vs. purchase date (1 = today's dollars)
+ * @property {number} grossRent       all units' rent, or a short-term rental's bookings plus guest cleaning fees
+ * @property {number} vacancyLoss
+ * @property {number} rentCollected
+ * @property {number} nightsBooked     short-term rental only
+ * @property {number} propertyMgmt
+ * @property {number} placementFee     tenant placement plus unit turnover
+ * @property {number} platformFees     short-term booking platform
+ * @property {number} cleaning         short-term turnover cleans
+ * @property {number} propertyTax
+ * @property {number} insurance
+ * @property {number} repairs
+ * @property {number} hoa
+ * @property {number} utilities       owner-paid
+ * @property {number} landscaping
+ * @property {number} warranty
+ * @property {number} operatingExpenses
+ * @property {number} noi
+ * @property {number} capex           capex cash out: reserve contribution (plus any shortfall) or replacement spend
+ * @property {number} capexSpent      replacements bought this month (capitalized, depreciated from here)
+ * @property {number} capexReserve    capex reserve balance at month end, returned at the sale
+ * @property {number} rehab           rehab spend (capitalized like capex)
+ * @property {number} furnishing      short-term rental furnishing (capitalized, 5-year property)
+ * @property {number} rate           mortgage APR this month
+ * @property {number} interest
+ * @property {number} principal       scheduled principal
+ * @property {number} extraPrincipal  prepaid on top of the schedule
+ * @property {number} pmi
+ * @property {number} debtService     P&I + PMI
+ * @property {number} refiCashOut     new loan less payoff and closing costs, in a refinance month
+ * @property {number} loanCosts       refinance closing costs deducted this month (amortized over the new term)
+ * @property {number} cashFlow        NOI less capex, rehab, furnishing, debt service, extra principal (and any study fee), plus cash-out
+ * @property {number} depreciation    a twelfth of the year's depreciation (it's figured per tax year)
+ * @property {number} taxEffect       the year's tax effect in its last month, 0 in the others (as in the after-tax IRR)
+ * @property {number} balance         loan balance after this month's payment
+ * @property {number} homeValue
+ * @property {number} equity
+ * @property {number} stockValue      benchmark portfolio at month end
+ */
+
+/**
+ * @typedef {Object} LedgerYear
+ * @property {number} year
+ * @property {number} cpi
+ * @property {number} grossRent
+ * @property {number} vacancyLoss
+ * @property {number} rentCollected
+ * @property {number} nightsBooked
+ * @property {number} propertyMgmt    … through cleaning: each expense line, summed
+ * @property {number} operatingExpenses
+ * @property {number} noi
+ * @property {number} capex
+ * @property {number} capexSpent
+ * @property {number} capexReserve    at year end
+ * @property {number} rehab
+ * @property {number} furnishing
+ * @property {number} interest
+ * @property {number} principal
+ * @property {number} extraPrincipal
+ * @property {number} pmi
+ * @property {number} studyFee
+ * @property {number} debtService
+ * @property {number} refiCashOut
+ * @property {number} loanCosts
+ * @property {number} cashFlow
+ * @property {number} cumulativeCashFlow
+ * @property {number} depreciation
+ * @property {number} taxableIncome   property result before passive-loss limits
+ * @property {number} magi
+ * @property {number} allowance       Pub 925 special allowance at this year's MAGI
+ * @property {number} suspendedStart  passive loss carried in
+ * @property {number} lossUsed        losses (current + carried) deducted this year
+ * @property {number} lossDisallowed  added to the carryforward this year
+ * @property {number} suspendedEnd    passive loss carried out
+ * @property {number} releasedOnSale  suspended loss freed by a taxable disposition
+ * @property {number} taxEffect       positive = tax saved, negative = tax owed
+ * @property {number} balance
+ * @property {number} homeValue
+ * @property {number} equity
+ * @property {number} stockValue
+ * @property {number} reNetToDate     pre-tax gain if sold at year end (after sale costs)
+ * @property {number} stockNetToDate  benchmark gain at year end
+ */
+
+const sum = (rows, key) => rows.reduce((acc, r) => acc + r[key], 0);
+
+const EXPENSE_LINES = ['propertyMgmt', 'placementFee', 'propertyTax', 'insurance', 'repairs', 'hoa', 'utilities', 'landscaping', 'warranty', 'platformFees', 'cleaning'];
+
+/**
+ * Run the model.
+ * @param {Partial<import('./schema.js').Deal>} input
+ * @returns {{ deal: import('./schema.js').Deal, months: LedgerMonth[], years: LedgerYear[], summary: Object }}
+ */
+export function runDeal(input) {
+  const deal = withDefaults(input);
+  const months = deal.horizonYears * 12;
+
+  const events = eventSchedule(deal);
+  const loanAmount = Math.max(0, deal.purchasePrice - deal.downPayment);
+  const schedule = loanAmount > 0 ? loanSchedule(loanAmount, deal, events.extra) : { paymentMonthly: 0, rows: [] };
+  const hasPMI = deal.downPayment < deal.purchasePrice * 0.20;
+  const reserves = deal.includeReserves ? deal.reserves : 0;
+  const initialInvestment = deal.downPayment + deal.closingCosts + reserves;
+
+  const income = incomeSchedule(deal, events.downtime);
+  const capex = capexSchedule(deal);
+  const furnishing = furnishingSchedule(deal);
+
+  // Year-by-year rates; a path (simulation, backtest) overrides the flat assumption
+  const yearly = (path, flat, y) => path?.[y] ?? flat;
+  let homeValue = deal.purchasePrice;
+  let cpi = 1;
+
+  // The loan in force: a refinance swaps in a new schedule from its month on
+  let loan = { schedule, start: 0, pmiLoan: hasPMI ? loanAmount : 0, pmiValue: deal.purchasePrice, costLeft: 0, costMonthly: 0 };
+  const refinances = [];
+
+  // Monthly ledger (pre-tax)
+  const ledger = [];
+  let balance = loanAmount;
+  for (let m = 0; m < months; m++) {
+    const y = Math.floor(m / 12);
+    homeValue *= Math.pow(1 + yearly(deal.appreciationPath, deal.appreciationAnnual, y), 1 / 12);
+    if (events.arv[m] != null) homeValue = events.arv[m];
+    cpi *= Math.pow(1 + yearly(deal.inflationPath, deal.inflationRate, y), 1 / 12);
+
+    let refiCashOut = 0;
+    let loanCosts = 0;
+    const refi = events.refinance[m];
+    if (refi) {
+      const newLoan = Math.max(0, refi.ltv * homeValue);
+      refiCashOut = newLoan - balance - refi.closingCosts;
+      // Unamortized costs of the loan being paid off are deducted now
+      loanCosts += loan.costLeft;
+      loan = {
+        schedule: newLoan > 0 ? loanSchedule(newLoan, { rate: refi.rate, termYears: refi.termYears, loanType: 'fixed' }, events.extra.slice(m)) : { paymentMonthly: 0, rows: [] },
+        start: m,
+        pmiLoan: newLoan > homeValue * 0.80 ? newLoan : 0,
+        pmiValue: homeValue,
+        costLeft: refi.closingCosts,
+        costMonthly: refi.closingCosts / Math.max(1, refi.termYears * 12),
+      };
+      refinances.push({ month: m + 1, homeValue, payoff: balance, newLoan, closingCosts: refi.closingCosts, cashOut: refiCashOut, rate: refi.rate, paymentMonthly: loan.schedule.paymentMonthly });
+    }
+
+    const { grossRent, vacancyLoss, placementFee, platformFees, cleaning, nightsBooked } = income[m];
+    const rentCollected = grossRent - vacancyLoss;
+
+    const items = operatingExpenses(deal, m, rentCollected);
+    const opex = Object.values(items).reduce((a, b) => a + b, 0) + placementFee + platformFees + cleaning;
+    const noi = rentCollected - opex;
+
+    const row = loan.schedule.rows[m - loan.start];
+    const rate = row ? row.rate : 0;
+    const interest = row ? row.interest : 0;
+    const principal = row ? row.principal : 0;
+    const extraPrincipal = row ? row.extraPrincipal : 0;
+    const pmi = loan.pmiLoan > 0 && balance / loan.pmiValue > 0.80 ? (loan.pmiLoan * deal.pmiAnnualRate) / 12 : 0;
+    balance = row ? row.balance : 0;
+    const debtService = interest + principal + pmi;
+
+    // Refinance costs amortize over the new term; whatever is left goes at the sale
+    const amortized = m === months - 1 ? loan.costLeft : Math.min(loan.costLeft, loan.costMonthly);
+    loan.costLeft -= amortized;
+    loanCosts += amortized;
+
+    const studyFee = deal.useCostSeg && m === 0 ? deal.studyFee : 0;
+    const rehab = events.rehab[m];
+
+    ledger.push({
+      month: m + 1,
+      year: Math.floor(m / 12) + 1,
+      date: isoDate(addMonths(deal.purchaseDate, m + 1)),
+      cpi,
+      grossRent, vacancyLoss, rentCollected, nightsBooked,
+      ...items, placementFee, platformFees, cleaning, operatingExpenses: opex, noi,
+      capex: capex.cash[m],
+      capexSpent: capex.spent[m],
+      capexReserve: capex.reserve[m],
+      rehab,
+      furnishing: furnishing[m],
+      rate, interest, principal, extraPrincipal, pmi, debtService,
+      refiCashOut, loanCosts,
+      studyFee,
+      cashFlow: noi - capex.cash[m] - rehab - furnishing[m] - debtService - extraPrincipal - studyFee + refiCashOut,
+      balance, homeValue,
+      equity: homeValue - balance,
+      stockValue: 0,
+    });
+  }
+
+  const stocks = runBenchmark(deal, initialInvestment, ledger.map((r) => r.cashFlow));
+  ledger.forEach((r, m) => (r.stockValue = stocks.values[m]));
+  let cumCashFlow = 0;
+
+  // Yearly rollup with taxes
+  const dep = depreciationSchedule(deal, { improvements: ledger.map((r) => r.capexSpent + r.rehab), furnishing: ledger.map((r) => r.furnishing) });
+  const years = [];
+  for (let y = 1; y <= deal.horizonYears; y++) {
+    const rows = ledger.slice((y - 1) * 12, y * 12);
+    const last = rows[rows.length - 1];
+    const depreciation = dep.years[y - 1].total;
+    cumCashFlow += sum(rows, 'cashFlow');
+    years.push({
+      year: y,
+      cpi: last.cpi,
+      grossRent: sum(rows, 'grossRent'),
+      vacancyLoss: sum(rows, 'vacancyLoss'),
+      rentCollected: sum(rows, 'rentCollected'),
+      nightsBooked: sum(rows, 'nightsBooked'),
+      ...Object.fromEntries(EXPENSE_LINES.map((k) => [k, sum(rows, k)])),
+      operatingExpenses: sum(rows, 'operatingExpenses'),
+      noi: sum(rows, 'noi'),
+      capex: sum(rows, 'capex'),
+      capexSpent: sum(rows, 'capexSpent'),
+      capexReserve: last.capexReserve,
+      rehab: sum(rows, 'rehab'),
+      furnishing: sum(rows, 'furnishing'),
+      interest: sum(rows, 'interest'),
+      principal: sum(rows, 'principal'),
+      extraPrincipal: sum(rows, 'extraPrincipal'),
+      pmi: sum(rows, 'pmi'),
+      studyFee: sum(rows, 'studyFee'),
+      debtService: sum(rows, 'debtService'),
+      refiCashOut: sum(rows, 'refiCashOut'),
+      loanCosts: sum(rows, 'loanCosts'),
+      cashFlow: sum(rows, 'cashFlow'),
+      depreciation,
+      taxableIncome: sum(rows, 'noi') - sum(rows, 'interest') - sum(rows, 'pmi') - sum(rows, 'studyFee') - sum(rows, 'loanCosts') - depreciation,
+      cumulativeCashFlow: cumCashFlow,
+      balance: last.balance,
+      homeValue: last.homeValue,
+      equity: last.equity,
+      stockValue: last.stockValue,
+      reNetToDate: last.homeValue * (1 - deal.saleCostPct) - last.balance + reserves + last.capexReserve + cumCashFlow - initialInvestment,
+      stockNetToDate: stocks.nets[y * 12 - 1],
+    });
+  }
+  const taxRows = taxLedger(deal, years.map((y) => y.taxableIncome));
+  years.forEach((y, idx) => {
+    const { year: _year, ...tax } = taxRows[idx];
+    Object.assign(y, tax);
+  });
+  // Depreciation and tax are yearly figures: spread the deduction evenly over the months and
+  // book the tax effect in the month it's realized (the year's last, as the after-tax IRR does)
+  ledger.forEach((r, m) => {
+    const y = years[Math.floor(m / 12)];
+    r.depreciation = y.depreciation / 12;
+    r.taxEffect = m % 12 === 11 ? y.taxEffect : 0;
+  });
+
+  return { deal, months: ledger, years, depreciation: dep.years, summary: summarize(deal, ledger, years, { loanAmount, schedule, initialInvestment, reserves, dep, stocks, refinances }) };
+}
+
+function summarize(deal, ledger, years, { loanAmount, schedule, initialInvestment, reserves, dep, stocks, refinances }) {
+  const last = ledger[ledger.length - 1];
+  const cpiEnd = last ? last.cpi : 1;
+  const first = ledger[0];
+
+  const salePrice = last ? last.homeValue : deal.purchasePrice;
+  const appreciation = salePrice - deal.purchasePrice;
+  const apprCum = appreciation / deal.purchasePrice;
+  const principalPaydown = sum(ledger, 'principal') + sum(ledger, 'extraPrincipal');
+  const endBalance = last ? last.balance : loanAmount;
+
+  const saleCosts = salePrice * deal.saleCostPct;
+  const netProceeds = salePrice - saleCosts - endBalance;
+  // The safety net and whatever the capex reserve hasn't spent come back at the sale
+  const capexReserveReturned = last ? last.capexReserve : 0;
+  const reservesReturned = reserves + capexReserveReturned;
+
+  const exit = exitTaxes(deal, {
+    salePrice, saleCosts, netProceeds,
+    depreciation1245: dep.years.reduce((acc, y) => acc + y.bonus + y.reclass + y.furnishing, 0),
+    depreciation1250: dep.years.reduce((acc, y) => acc + y.building + y.improvements, 0),
+    capitalized: sum(ledger, 'capexSpent') + sum(ledger, 'rehab') + sum(ledger, 'furnishing'),
+  });
+
+  const totalCashFlow = sum(ledger, 'cashFlow');
+  const taxBenefit = sum(years, 'taxEffect');
+  const reBaseNet = netProceeds + reservesReturned + totalCashFlow - initialInvestment;
+  const reAfterTaxNet = reBaseNet + taxBenefit - exit.totalTax;
+
+  // Today's dollars
+  const realGains = appreciation / cpiEnd;
+  const realPrincipalPaid = principalPaydown / cpiEnd;
+  // Cash-out is in the cash flows; the extra debt behind it is repaid from the sale
+  const refiNewDebt = refinances.reduce((acc, r) => acc + r.newLoan - r.payoff, 0);
+  const realRefiDebt = refiNewDebt / cpiEnd;
+  const realCashFlow = ledger.reduce((acc, r) => acc + r.cashFlow / r.cpi, 0);
+  const realTaxSavings = years.reduce((acc, y) => acc + y.taxEffect / y.cpi, 0);
+  const realExitTax = exit.totalTax / cpiEnd;
+  const totalRealROI = realGains + realPrincipalPaid - realRefiDebt + realCashFlow + realTaxSavings - realExitTax;
+
+  // IRR on property: monthly cash flows plus sale proceeds and returned reserves
+  const cfs = [-initialInvestment, ...ledger.map((r) => r.cashFlow)];
+  if (cfs.length > 1) cfs[cfs.length - 1] += netProceeds + reservesReturned;
+  const realCfs = cfs.map((cf, t) => (t === 0 ? cf : cf / ledger[t - 1].cpi));
+  const dated = cfs.map((amount, t) => ({ date: t === 0 ? deal.purchaseDate : ledger[t - 1].date, amount }));
+  // After tax: each year's tax effect lands in its last month, exit tax at sale
+  const afterTaxCfs = cfs.slice();
+  years.forEach((y) => (afterTaxCfs[y.year * 12] += y.taxEffect));
+  if (afterTaxCfs.length > 1) afterTaxCfs[afterTaxCfs.length - 1] -= exit.totalTax;
+
+  const outOfPocket = initialInvestment + ledger.reduce((acc, r) => acc + Math.max(0, -r.cashFlow), 0);
+
+  // Cost seg year-1 usability
+  const y1 = years[0];
+  const y1Dep = dep.years[0];
+  const immediateAvailable = y1Dep ? y1Dep.total : 0;
+
+  const piti = first ? schedule.paymentMonthly + first.propertyTax + first.insurance + first.pmi : 0;
+  const rentStart = startingRent(deal);
+  const treatment = lossTreatment(deal);
+
+  return {
+    loanAmount,
+    paymentMonthly: schedule.paymentMonthly,
+    maxPaymentMonthly: ledger.reduce((acc, r) => Math.max(acc, r.interest + r.principal), 0),
+    interestPaid: sum(ledger, 'interest'),
+    piti,
+    startingRent: rentStart,
+    rentVsOwn: rentStart - piti,
+    initialInvestment,
+    outOfPocket,
+
+    apprAnnual: deal.horizonYears > 0 ? Math.pow(1 + apprCum, 1 / deal.horizonYears) - 1 : 0,
+    apprCum,
+    appreciation,
+    principalPaydown,
+    endBalance,
+    salePrice,
+    saleCosts,
+    netProceeds,
+    capexReserveReturned,
+    reservesReturned,
+    exit,
+
+    totalRentCollected: sum(ledger, 'rentCollected'),
+    totalPM: sum(ledger, 'propertyMgmt'),
+    totalPlacement: sum(ledger, 'placementFee'),
+    totalNightsBooked: sum(ledger, 'nightsBooked'),
+    totalOperatingExpenses: sum(ledger, 'operatingExpenses'),
+    expenseTotals: Object.fromEntries(EXPENSE_LINES.map((k) => [k, sum(ledger, k)])),
+    totalCapex: sum(ledger, 'capex'),
+    totalCapexSpent: sum(ledger, 'capexSpent'),
+    capexReplacements: capexReplacements(deal),
+    totalDebtService: sum(ledger, 'debtService'),
+    totalRehab: sum(ledger, 'rehab'),
+    totalFurnishing: sum(ledger, 'furnishing'),
+    totalExtraPrincipal: sum(ledger, 'extraPrincipal'),
+    totalCashOut: sum(ledger, 'refiCashOut'),
+    refiNewDebt,
+    refinances,
+    totalCashFlow,
+
+    taxBenefit,
+    reBaseNet,
+    reAfterTaxNet,
+    multipleBase: outOfPocket > 0 ? reBaseNet / outOfPocket : 0,
+    multipleAfterTax: outOfPocket > 0 ? reAfterTaxNet / outOfPocket : 0,
+    irr: irr(cfs, 12),
+    afterTaxIrr: irr(afterTaxCfs, 12),
+    realIrr: irr(realCfs, 12),
+    xirr: xirr(dated),
+    mirr: mirr(cfs, deal.mirrFinanceRate, deal.mirrReinvestRate, 12),
+    equityMultiple: equityMultiple(cfs),
+    cashOnCash: cashOnCash(years, initialInvestment),
+
+    realGains,
+    realPrincipalPaid,
+    realRefiDebt,
+    realCashFlow,
+    realTaxSavings,
+    realExitTax,
+    totalRealROI,
+    roiPct: initialInvestment > 0 ? totalRealROI / initialInvestment : 0,
+
+    costSeg: {
+      improvementBasis: dep.improvementBasis,
+      placedInService: dep.placedInService,
+      bonusPct: dep.bonusPct,
+      buildingLife: dep.buildingLife,
+      classBasis: dep.classBasis,
+      bonusEligible: dep.bonusEligible,
+      remainingImpr: dep.remainingImpr,
+      slYear1: y1Dep ? y1Dep.building : 0,
+      specialAllowance: y1 ? y1.allowance : 0,
+      immediateAvailable,
+      immediateCap: treatment.nonPassive ? Infinity : (y1 ? y1.allowance : 0) + deal.otherPassiveIncome,
+      immediateUsed: y1 ? y1.lossUsed : 0,
+      immediateTaxSavings: y1 ? Math.max(0, y1.taxEffect) : 0,
+      suspendedYear1: y1 ? y1.suspendedEnd : 0,
+    },
+    lossTreatment: treatment,
+    suspendedLossAtExit: years.length ? years[years.length - 1].suspendedEnd : 0,
+    releasedOnSale: years.length ? years[years.length - 1].releasedOnSale : 0,
+
+    stocksContrib: stocks.contributions,
+    stocksFV: stocks.fv,
+    stocksNet: stocks.net,
+    realStocksFV: stocks.fv / cpiEnd,
+    // Same portfolio after dividend tax, tax on withdrawals and liquidation at the end
+    stocksAfterTaxFV: stocks.afterTax.fv,
+    stocksAfterTaxNet: stocks.afterTax.net,
+    realStocksAfterTaxFV: stocks.afterTax.fv / cpiEnd,
+    stocksDividendTax: stocks.afterTax.dividendTax,
+    stocksSaleTax: stocks.afterTax.saleTax,
+    stocksLiquidationTax: stocks.afterTax.liquidationTax,
+  };
+}
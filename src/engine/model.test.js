@@ -0,0 +1,171 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, amortizationSchedule, runDeal, specialAllowance } from './index.js';
+
+// Golden outputs. If a change moves one of these on purpose, update the number in the same
+// commit and say why; anything else is a regression.
+const GOLDEN = [
+  {
+    name: 'long-term rental, fixed loan, passive',
+    deal: {},
+    expected: {
+      paymentMonthly: 1516.9633, totalRentCollected: 241409.7068, totalOperatingExpenses: 116362.522, totalCashFlow: -73190.6887,
+      taxBenefit: 25804.3988, netProceeds: 317673.9764, exitTax: 61699.2833, reBaseNet: 187766.075, reAfterTaxNet: 151871.1906,
+      stocksNet: 198048.8361, stocksAfterTaxNet: 161126.6542, irr: 0.1097363, afterTaxIrr: 0.10089871,
+    },
+  },
+  {
+    name: 'cost segregation with REPS',
+    deal: { useCostSeg: true, repsOrSTR: true },
+    expected: {
+      paymentMonthly: 1516.9633, totalRentCollected: 241409.7068, totalOperatingExpenses: 116362.522, totalCashFlow: -82190.6887,
+      taxBenefit: 37171.6715, netProceeds: 317673.9764, exitTax: 61335.983, reBaseNet: 178766.075, reAfterTaxNet: 154601.7636,
+      stocksNet: 198048.8361, stocksAfterTaxNet: 161126.6542, irr: 0.10018502, afterTaxIrr: 0.10637156,
+    },
+  },
+  {
+    name: 'ARM loan, unit mix, 1031 exit',
+    deal: {
+      loanType: 'arm',
+      exitMode: '1031',
+      units: [
+        { name: 'A', rentMonthly: 1_200, vacancyMonthsPer10yr: 2, placementCountPer10yr: 3, turnoverCost: 800 },
+        { name: 'B', rentMonthly: 1_100, vacancyMonthsPer10yr: 4, placementCountPer10yr: 5, turnoverCost: 800 },
+      ],
+    },
+    expected: {
+      paymentMonthly: 1516.9633, totalRentCollected: 308546.9795, totalOperatingExpenses: 131226.3701, totalCashFlow: -29515.3373,
+      taxBenefit: 11850.2805, netProceeds: 315044.512, exitTax: 0, reBaseNet: 228811.962, reAfterTaxNet: 240662.2425,
+      stocksNet: 198048.8361, stocksAfterTaxNet: 161126.6542, irr: 0.14096396, afterTaxIrr: 0.15186638,
+    },
+  },
+  {
+    name: 'short-term rental, high MAGI',
+    deal: { rentalMode: 'shortTerm', magi: 180_000, horizonYears: 7 },
+    expected: {
+      paymentMonthly: 1516.9633, totalRentCollected: 437137.5081, totalOperatingExpenses: 239513.7366, totalCashFlow: 34369.2447,
+      taxBenefit: -1880.6962, netProceeds: 220557.4179, exitTax: 43387.6951, reBaseNet: 197756.2758, reAfterTaxNet: 152487.8845,
+      stocksNet: 108695.5565, stocksAfterTaxNet: 87925.9063, irr: 0.20637003, afterTaxIrr: 0.17639841,
+    },
+  },
+];
+
+describe.each(GOLDEN)('golden: $name', ({ deal, expected }) => {
+  const { summary } = runDeal({ ...DEFAULT_DEAL, ...deal });
+  const actual = { ...summary, exitTax: summary.exit.totalTax, irr: summary.irr.value, afterTaxIrr: summary.afterTaxIrr.value };
+
+  it.each(Object.keys(expected))('%s', (key) => {
+    expect(actual[key]).toBeCloseTo(expected[key], key.toLowerCase().includes('irr') ? 7 : 2);
+  });
+});
+
+// Year 1 of the default deal, line by line from the inputs, as a spreadsheet would lay it out
+describe('default deal, year 1 by hand', () => {
+  const d = DEFAULT_DEAL;
+  const run = runDeal(d);
+  const y1 = run.years[0];
+  const loan = amortizationSchedule(d.purchasePrice - d.downPayment, d.rate, d.termYears);
+
+  const rent = 12 * d.rentMonthly;                               // no vacancy month in year 1
+  const opex = 12 * d.pmFlatMonthly                              // flat management fee
+    + d.rentMonthly                                              // first placement: one month's rent
+    + d.purchasePrice * d.taxesPct
+    + d.insuranceAnnual
+    + rent * d.repairsPctOfRent
+    + d.warrantyAnnual;
+  const capexReserve = d.capexItems.reduce((acc, i) => acc + i.cost / i.lifeYears, 0);
+  const interest = loan.rows.slice(0, 12).reduce((acc, r) => acc + r.interest, 0);
+  const depreciation = ((d.purchasePrice * (1 - d.landPct)) / 27.5) * (11.5 / 12); // mid-month convention, January
+  const taxable = rent - opex - interest - depreciation;
+
+  it('income, expenses and NOI', () => {
+    expect(y1.rentCollected).toBeCloseTo(rent, 6);
+    expect(y1.operatingExpenses).toBeCloseTo(opex, 6);
+    expect(y1.noi).toBeCloseTo(rent - opex, 6);
+  });
+
+  it('debt service and cash flow', () => {
+    expect(y1.debtService).toBeCloseTo(12 * loan.paymentMonthly, 6);
+    expect(y1.interest).toBeCloseTo(interest, 6);
+    expect(y1.capex).toBeCloseTo(capexReserve, 6);
+    expect(y1.cashFlow).toBeCloseTo(rent - opex - capexReserve - 12 * loan.paymentMonthly, 6);
+  });
+
+  it('depreciation, taxable income and the passive-loss allowance', () => {
+    expect(y1.depreciation).toBeCloseTo(depreciation, 6);
+    expect(y1.taxableIncome).toBeCloseTo(taxable, 6);
+    expect(y1.allowance).toBe(specialAllowance(d.magi));
+    expect(y1.lossUsed).toBeCloseTo(-taxable, 6);
+    expect(y1.taxEffect).toBeCloseTo(-taxable * d.taxBracket, 6);
+  });
+});
+
+// Identities that hold for any deal
+describe('ledger identities', () => {
+  const deals = [
+    ...GOLDEN.map((g) => g.deal),
+    { loanType: 'interestOnly', horizonYears: 15 },
+    { downPayment: 30_000, includeReserves: true, horizonYears: 25 },
+    { horizonYears: 1, vacancyMonthsPer10yr: 0, placementCountPer10yr: 0 },
+  ];
+
+  it.each(deals)('%j', (overrides) => {
+    const { deal, months, years, summary } = runDeal({ ...DEFAULT_DEAL, ...overrides });
+    const sum = (rows, key) => rows.reduce((acc, r) => acc + r[key], 0);
+
+    expect(months).toHaveLength(deal.horizonYears * 12);
+    expect(years).toHaveLength(deal.horizonYears);
+    years.forEach((y, i) => {
+      expect(y.cashFlow).toBeCloseTo(sum(months.slice(i * 12, i * 12 + 12), 'cashFlow'), 6);
+      expect(y.rentCollected).toBeCloseTo(y.grossRent - y.vacancyLoss, 6);
+      expect(y.depreciation).toBeCloseTo(sum(months.slice(i * 12, i * 12 + 12), 'depreciation'), 6);
+      expect(y.taxEffect).toBeCloseTo(sum(months.slice(i * 12, i * 12 + 12), 'taxEffect'), 6);
+    });
+    expect(summary.totalCashFlow).toBeCloseTo(sum(months, 'cashFlow'), 6);
+    expect(summary.totalRentCollected).toBeCloseTo(sum(months, 'rentCollected'), 6);
+    expect(summary.endBalance).toBeCloseTo(months.at(-1).balance, 6);
+    expect(summary.principalPaydown).toBeCloseTo(summary.loanAmount - summary.endBalance, 6);
+    expect(summary.reservesReturned).toBeCloseTo((deal.includeReserves ? deal.reserves : 0) + months.at(-1).capexReserve, 6);
+    expect(summary.reBaseNet).toBeCloseTo(summary.totalCashFlow + summary.netProceeds + summary.reservesReturned - summary.initialInvestment, 6);
+    expect(summary.reAfterTaxNet).toBeCloseTo(summary.reBaseNet + summary.taxBenefit - summary.exit.totalTax, 6);
+  });
+});
+
+describe('capital improvements', () => {
+  it('reserve mode pays replacements from the reserve and returns the rest at the sale', () => {
+    const { months, summary } = runDeal(DEFAULT_DEAL);
+    const sum = (key) => months.reduce((acc, r) => acc + r[key], 0);
+    expect(summary.capexReserveReturned).toBeCloseTo(sum('capex') - sum('capexSpent'), 6);
+    expect(summary.totalCapexSpent).toBeCloseTo(summary.capexReplacements.reduce((acc, r) => acc + r.cost, 0), 6);
+  });
+
+  it('a replacement bigger than the reserve is paid out of pocket', () => {
+    const { months, summary } = runDeal({ ...DEFAULT_DEAL, capexItems: [{ name: 'Roof', cost: 12_000, lifeYears: 25, ageYears: 25 }] });
+    expect(months[0].capexSpent).toBe(12_000);
+    expect(months[0].capex).toBeCloseTo(12_000, 6);
+    expect(months[0].capexReserve).toBe(0);
+    expect(summary.capexReserveReturned).toBeCloseTo(summary.totalCapex - 12_000, 6);
+  });
+
+  it('actual mode keeps no reserve', () => {
+    const { months, summary } = runDeal({ ...DEFAULT_DEAL, capexMode: 'actual' });
+    expect(months.every((r) => r.capex === r.capexSpent && r.capexReserve === 0)).toBe(true);
+    expect(summary.capexReserveReturned).toBe(0);
+  });
+
+  it('only what was bought goes into the basis, and it is depreciated', () => {
+    const rehab = { type: 'rehab', month: 13, cost: 30_000, arv: 0, downtimeMonths: 0 };
+    const { summary, depreciation } = runDeal({ ...DEFAULT_DEAL, events: [rehab] });
+    const { exit } = summary;
+    const taken = depreciation.reduce((acc, y) => acc + y.total, 0);
+    expect(depreciation[1].improvements).toBeGreaterThan(0);
+    expect(exit.accumulatedDepreciation).toBeCloseTo(taken, 6);
+    expect(exit.adjustedBasis).toBeCloseTo(DEFAULT_DEAL.purchasePrice + DEFAULT_DEAL.closingCosts + summary.totalCapexSpent + 30_000 - taken, 6);
+  });
+
+  it('short-term rental furnishing is depreciated and recaptured as §1245', () => {
+    const { summary, depreciation } = runDeal({ ...DEFAULT_DEAL, rentalMode: 'shortTerm' });
+    const furnishing = depreciation.reduce((acc, y) => acc + y.furnishing, 0);
+    expect(depreciation[0].furnishing).toBeCloseTo(DEFAULT_DEAL.strFurnishing, 6);
+    expect(summary.exit.depreciation1245).toBeCloseTo(furnishing, 6);
+  });
+});
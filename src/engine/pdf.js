@@ -0,0 +1,176 @@
+// ---------------------------
+// Minimal PDF writer — standard Helvetica fonts, text, lines, rectangles and polylines.
+// No timestamps or random IDs, so the same drawing calls always give the same bytes.
+// Coordinates are points from the top-left corner of the page.
+// ---------------------------
+
+// Helvetica advance widths (1/1000 em) for ASCII 32–126, from the Adobe core font metrics
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584,
+];
+
+// Characters outside ASCII that WinAnsiEncoding can still print: [byte, regular width, bold width]
+const WIN_ANSI = {
+  '—': [0x97, 1000, 1000], '–': [0x96, 556, 556], '‑': [0x2d, 333, 333], '’': [0x92, 222, 278], '‘': [0x91, 222, 278],
+  '“': [0x93, 333, 500], '”': [0x94, 333, 500], '•': [0x95, 350, 350], '·': [0xb7, 278, 278], '×': [0xd7, 584, 584], '§': [0xa7, 556, 556],
+  '≤': [0x3c, 584, 584], '≥': [0x3e, 584, 584], '−': [0x2d, 333, 333], '…': [0x85, 1000, 1000], '\u00a0': [0x20, 278, 278],
+};
+
+function glyph(ch, bold) {
+  const code = ch.charCodeAt(0);
+  if (code >= 32 && code <= 126) return [code, (bold ? HELVETICA_BOLD : HELVETICA)[code - 32]];
+  const mapped = WIN_ANSI[ch];
+  if (mapped) return [mapped[0], bold ? mapped[2] : mapped[1]];
+  return [0x3f, bold ? 611 : 556];
+}
+
+/** Width of `str` in points. */
+export function textWidth(str, size, bold = false) {
+  let w = 0;
+  for (const ch of String(str)) w += glyph(ch, bold)[1];
+  return (w * size) / 1000;
+}
+
+/**
+ * Break `str` into lines no wider than `maxWidth`.
+ * @returns {string[]}
+ */
+export function wrapText(str, maxWidth, size, bold = false) {
+  const lines = [];
+  for (const para of String(str).split('\n')) {
+    let line = '';
+    for (const word of para.split(/\s+/).filter(Boolean)) {
+      const next = line ? `${line} ${word}` : word;
+      if (line && textWidth(next, size, bold) > maxWidth) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+const num = (n) => String(Math.round(n * 100) / 100);
+
+function encodeText(str, bold) {
+  let out = '';
+  for (const ch of String(str)) {
+    const c = String.fromCharCode(glyph(ch, bold)[0]);
+    out += c === '\\' || c === '(' || c === ')' ? `\\${c}` : c;
+  }
+  return out;
+}
+
+// '#rrggbb' -> 'r g b'
+function rgb(hex) {
+  const v = parseInt(hex.slice(1), 16);
+  return [(v >> 16) & 255, (v >> 8) & 255, v & 255].map((c) => num(c / 255)).join(' ');
+}
+
+/**
+ * Start a document. Letter size by default.
+ * @param {{ width?: number, height?: number }} [size]
+ */
+export function createPdf({ width = 612, height = 792 } = {}) {
+  const pages = [];
+  let ops = null;
+  const Y = (y) => height - y;
+
+  return {
+    width,
+    height,
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    /** Go back to an earlier page (0-based), e.g. to stamp footers once the count is known. */
+    setPage(index) {
+      ops = pages[index];
+    },
+
+    /**
+     * @param {number} x
+     * @param {number} y  baseline
+     * @param {string} str
+     * @param {{ size?: number, bold?: boolean, align?: 'left'|'right'|'center', color?: string }} [opts]
+     */
+    text(x, y, str, { size = 10, bold = false, align = 'left', color = '#111111' } = {}) {
+      const w = align === 'left' ? 0 : textWidth(str, size, bold);
+      const left = align === 'right' ? x - w : align === 'center' ? x - w / 2 : x;
+      ops.push(`BT ${rgb(color)} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(left)} ${num(Y(y))} Td (${encodeText(str, bold)}) Tj ET`);
+    },
+
+    line(x1, y1, x2, y2, { color = '#111111', width: lw = 0.75, dash = null } = {}) {
+      ops.push(`q ${rgb(color)} RG ${num(lw)} w ${dash ? `[${dash.join(' ')}] 0 d ` : ''}${num(x1)} ${num(Y(y1))} m ${num(x2)} ${num(Y(y2))} l S Q`);
+    },
+
+    rect(x, y, w, h, { fill = null, stroke = null, width: lw = 0.75 } = {}) {
+      const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+      ops.push(`q ${fill ? `${rgb(fill)} rg ` : ''}${stroke ? `${rgb(stroke)} RG ${num(lw)} w ` : ''}${num(x)} ${num(Y(y + h))} ${num(w)} ${num(h)} re ${paint} Q`);
+    },
+
+    polyline(points, { color = '#111111', width: lw = 1.25 } = {}) {
+      if (points.length < 2) return;
+      const path = points.map(([x, y], i) => `${num(x)} ${num(Y(y))} ${i ? 'l' : 'm'}`).join(' ');
+      ops.push(`q ${rgb(color)} RG ${num(lw)} w 1 j ${path} S Q`);
+    },
+
+    /**
+     * Serialize. Only the title goes into the info dictionary — no dates — to stay deterministic.
+     * @param {{ title?: string }} [meta]
+     * @returns {Uint8Array}
+     */
+    toBytes({ title = '' } = {}) {
+      const objects = [];
+      const add = (body) => objects.push(body);
+      add('<< /Type /Catalog /Pages 2 0 R >>');
+      add(null); // pages tree, filled in below
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      add(`<< /Title (${encodeText(title, false)}) /Producer (RealROI) >>`);
+      const kids = [];
+      for (const pageOps of pages) {
+        const stream = pageOps.join('\n');
+        add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        const contentRef = objects.length;
+        add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentRef} 0 R >>`);
+        kids.push(`${objects.length} 0 R`);
+      }
+      objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+      let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+      const offsets = [];
+      objects.forEach((body, i) => {
+        offsets.push(out.length);
+        out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      });
+      const xref = out.length;
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      return Uint8Array.from(out, (c) => c.charCodeAt(0));
+    },
+  };
+}
@@ -0,0 +1,267 @@
+// ---------------------------
+// Portfolio — several deals on one calendar: combined cash flow, equity and debt, passive
+// losses pooled across properties, blended returns, and the same dated cash in the S&P.
+// ---------------------------
+
+import { DEFAULT_DEAL } from './schema.js';
+import { runDeal } from './model.js';
+import { specialAllowance, magiInYear, lossTreatment } from './tax.js';
+import { runBenchmark } from './benchmark.js';
+import { xirr, equityMultiple } from './returns.js';
+import { toDate, isoDate } from './dates.js';
+
+/**
+ * @typedef {Object} PortfolioProperty
+ * @property {string} name
+ * @property {Partial<import('./schema.js').Deal>} deal
+ */
+
+/**
+ * Owner-level inputs. They replace the matching fields of every property's deal, since one
+ * taxpayer owns them all and one brokerage account is the alternative.
+ * @typedef {Object} PortfolioOwner
+ * @property {number} taxBracket
+ * @property {number} magi                first calendar year of the portfolio
+ * @property {number} magiGrowthAnnual
+ * @property {number} otherPassiveIncome  passive income from outside the portfolio, each year
+ * @property {number} capitalGainsRate
+ * @property {number} niitRate
+ * @property {number} niitThreshold
+ * @property {number} spAnnualReturn
+ * @property {number} etfErBps
+ * @property {number} advisorFee
+ * @property {number} dividendYield
+ * @property {number} dividendTaxRate
+ */
+
+const OWNER_KEYS = ['taxBracket', 'magi', 'magiGrowthAnnual', 'otherPassiveIncome', 'capitalGainsRate', 'niitRate', 'niitThreshold',
+  'spAnnualReturn', 'etfErBps', 'advisorFee', 'dividendYield', 'dividendTaxRate'];
+
+/** @type {PortfolioOwner} */
+export const DEFAULT_OWNER = Object.freeze(Object.fromEntries(OWNER_KEYS.map((k) => [k, DEFAULT_DEAL[k]])));
+
+const sum = (rows, key) => rows.reduce((acc, r) => acc + r[key], 0);
+
+// Calendar month as a single integer, so deals bought in different months line up
+const monthIndex = (date) => {
+  const d = toDate(date);
+  return d.getUTCFullYear() * 12 + d.getUTCMonth();
+};
+const monthEnd = (index) => isoDate(new Date(Date.UTC(Math.floor(index / 12), (index % 12) + 1, 0)));
+
+/**
+ * Pool every property's passive result by tax year. A property's hold year k is taken as the
+ * tax year k - 1 after its purchase year. Passive losses (this year's plus carried) first offset
+ * passive income from any property and `otherPassiveIncome`; what's left shares one special
+ * allowance for the owner's MAGI, and only rental-activity losses can use it. The remainder is
+ * suspended with the property it came from and released when that property is sold in a
+ * taxable sale. Non-passive properties' losses are always usable.
+ * @returns {{ year: number, taxableIncome: number, magi: number, allowance: number, lossUsed: number, suspendedEnd: number, releasedOnSale: number, taxEffect: number, standaloneTaxEffect: number }[]}
+ */
+function poolTaxes(runs, owner) {
+  if (!runs.length) return [];
+  const firstYear = Math.min(...runs.map((p) => p.firstYear));
+  const lastYear = Math.max(...runs.map((p) => p.firstYear + p.run.years.length - 1));
+  const suspended = runs.map(() => 0);
+  const rows = [];
+
+  for (let year = firstYear; year <= lastYear; year++) {
+    const magi = magiInYear(owner, year - firstYear + 1);
+    const active = runs.map((p, i) => ({ p, i, row: p.run.years[year - p.firstYear] })).filter((a) => a.row);
+    const taxableIncome = active.reduce((acc, a) => acc + a.row.taxableIncome, 0);
+
+    let income = 0;
+    let lossUsed = 0;
+    const pools = [];
+    for (const { p, i, row } of active) {
+      income += Math.max(0, row.taxableIncome);
+      const loss = Math.max(0, -row.taxableIncome);
+      if (p.treatment.nonPassive) {
+        lossUsed += loss + suspended[i];
+        suspended[i] = 0;
+      } else {
+        pools.push({ i, amount: loss + suspended[i], allowance: p.treatment.allowance });
+      }
+    }
+    const passiveIncome = active.filter((a) => !a.p.treatment.nonPassive).reduce((acc, a) => acc + Math.max(0, a.row.taxableIncome), 0);
+
+    // Offset passive income pro rata, then the allowance pro rata across rental activities
+    const pool = sum(pools, 'amount');
+    const offset = Math.min(pool, passiveIncome + owner.otherPassiveIncome);
+    for (const x of pools) x.amount *= pool > 0 ? 1 - offset / pool : 0;
+    const eligible = pools.filter((x) => x.allowance).reduce((acc, x) => acc + x.amount, 0);
+    const allowance = specialAllowance(magi);
+    const allowed = Math.min(eligible, allowance);
+    for (const x of pools) if (x.allowance && eligible > 0) x.amount *= 1 - allowed / eligible;
+    lossUsed += offset + allowed;
+    for (const x of pools) suspended[x.i] = x.amount;
+
+    // Dispositions this year free that property's suspended loss
+    let releasedOnSale = 0;
+    for (const { p, i } of active) {
+      if (year !== p.firstYear + p.run.years.length - 1 || p.run.deal.exitMode === '1031') continue;
+      releasedOnSale += suspended[i];
+      suspended[i] = 0;
+    }
+
+    rows.push({
+      year,
+      taxableIncome,
+      magi,
+      allowance,
+      lossUsed,
+      suspendedEnd: suspended.reduce((a, b) => a + b, 0),
+      releasedOnSale,
+      taxEffect: (lossUsed + releasedOnSale - income) * owner.taxBracket,
+      standaloneTaxEffect: active.reduce((acc, a) => acc + a.row.taxEffect, 0),
+    });
+  }
+  return rows;
+}
+
+/**
+ * Run every property and combine them month by month from the first purchase to the last sale.
+ * Each property is bought on its own `purchaseDate` and sold at the end of its own horizon.
+ * The benchmark puts each dated contribution (down payments and closing costs, then any month
+ * the portfolio costs money) into the S&P and withdraws whatever the properties pay out; sale
+ * proceeds stay out of it, so the two net gains compare directly.
+ * `standalone` figures are each property modelled on its own, each with a full special allowance
+ * and no other property's income to offset. Each starts from the owner's MAGI grown to its
+ * purchase year, so a later property's own ledger and exit NIIT see the same MAGI as the pool.
+ * @param {PortfolioProperty[]} properties
+ * @param {Partial<PortfolioOwner>} [ownerInput]
+ */
+export function runPortfolio(properties, ownerInput = {}) {
+  const owner = { ...DEFAULT_OWNER, ...ownerInput };
+  const ownerFields = Object.fromEntries(OWNER_KEYS.map((k) => [k, owner[k]]));
+  const purchaseYear = (deal) => toDate(deal.purchaseDate ?? DEFAULT_DEAL.purchaseDate).getUTCFullYear();
+  const portfolioFirstYear = Math.min(...properties.map((p) => purchaseYear(p.deal)));
+  const runs = properties.map(({ name, deal }) => {
+    const magi = magiInYear(owner, purchaseYear(deal) - portfolioFirstYear + 1);
+    const run = runDeal({ ...deal, ...ownerFields, magi });
+    const start = monthIndex(run.deal.purchaseDate);
+    return { name, run, start, firstYear: purchaseYear(run.deal), treatment: lossTreatment(run.deal) };
+  });
+
+  const first = runs.length ? Math.min(...runs.map((p) => p.start)) : 0;
+  const last = runs.length ? Math.max(...runs.map((p) => p.start + p.run.months.length)) : 0;
+
+  // Combined monthly timeline
+  const months = [];
+  for (let idx = first; idx < last; idx++) {
+    const row = { month: idx - first + 1, date: monthEnd(idx), invested: 0, cashFlow: 0, saleProceeds: 0, netFlow: 0, homeValue: 0, debt: 0, equity: 0, held: 0, stockValue: 0 };
+    for (const p of runs) {
+      const m = p.run.months[idx - p.start];
+      if (!m) continue;
+      const s = p.run.summary;
+      if (idx === p.start) row.invested += s.initialInvestment;
+      row.cashFlow += m.cashFlow;
+      row.held += 1;
+      if (idx === p.start + p.run.months.length - 1) {
+        row.saleProceeds += s.netProceeds + s.reservesReturned;
+      } else {
+        row.homeValue += m.homeValue;
+        row.debt += m.balance;
+        row.equity += m.equity;
+      }
+    }
+    row.netFlow = row.cashFlow - row.invested + row.saleProceeds;
+    months.push(row);
+  }
+
+  const benchmarkDeal = { ...DEFAULT_DEAL, ...ownerFields, benchmarkMode: 'matched' };
+  const stocks = runBenchmark(benchmarkDeal, 0, months.map((r) => r.cashFlow - r.invested));
+  months.forEach((r, i) => (r.stockValue = stocks.values[i]));
+
+  const taxes = poolTaxes(runs, owner);
+  const taxByYear = new Map(taxes.map((t) => [t.year, t]));
+
+  // Calendar-year rollup
+  const years = [];
+  let cumulativeNet = 0;
+  for (const r of months) {
+    const year = Number(r.date.slice(0, 4));
+    let y = years[years.length - 1];
+    if (!y || y.year !== year) {
+      y = { year, invested: 0, cashFlow: 0, saleProceeds: 0, netFlow: 0 };
+      years.push(y);
+    }
+    y.invested += r.invested;
+    y.cashFlow += r.cashFlow;
+    y.saleProceeds += r.saleProceeds;
+    y.netFlow += r.netFlow;
+    cumulativeNet += r.netFlow;
+    Object.assign(y, { homeValue: r.homeValue, debt: r.debt, equity: r.equity, held: r.held, stockValue: r.stockValue, cumulativeNet });
+  }
+  for (const y of years) {
+    const t = taxByYear.get(y.year);
+    Object.assign(y, {
+      taxableIncome: t?.taxableIncome ?? 0,
+      lossUsed: t?.lossUsed ?? 0,
+      suspendedEnd: t?.suspendedEnd ?? 0,
+      releasedOnSale: t?.releasedOnSale ?? 0,
+      taxEffect: t?.taxEffect ?? 0,
+      standaloneTaxEffect: t?.standaloneTaxEffect ?? 0,
+    });
+  }
+
+  // Dated flows for the blended IRR: each year's pooled tax at year end, exit tax at each sale
+  const dated = [];
+  for (const p of runs) {
+    const s = p.run.summary;
+    const lastMonth = p.run.months[p.run.months.length - 1];
+    dated.push({ date: p.run.deal.purchaseDate, amount: -s.initialInvestment });
+    for (const m of p.run.months) dated.push({ date: m.date, amount: m.cashFlow });
+    if (lastMonth) dated.push({ date: lastMonth.date, amount: s.netProceeds + s.reservesReturned });
+  }
+  const exitTaxes = runs.filter((p) => p.run.months.length).map((p) => ({ date: p.run.months[p.run.months.length - 1].date, amount: -p.run.summary.exit.totalTax }));
+  const withTaxes = (key) => [...dated, ...taxes.map((t) => ({ date: `${t.year}-12-31`, amount: t[key] })), ...exitTaxes];
+
+  const netGain = sum(months, 'netFlow');
+  const taxBenefit = sum(taxes, 'taxEffect');
+  const exitTax = runs.reduce((acc, p) => acc + p.run.summary.exit.totalTax, 0);
+  const afterTaxNet = netGain + taxBenefit - exitTax;
+  const standaloneAfterTaxNet = runs.reduce((acc, p) => acc + p.run.summary.reAfterTaxNet, 0);
+
+  const held = runs.map((p) => ({
+    name: p.name,
+    deal: p.run.deal,
+    purchaseDate: p.run.deal.purchaseDate,
+    saleDate: p.run.months.length ? p.run.months[p.run.months.length - 1].date : p.run.deal.purchaseDate,
+    lossTreatment: p.treatment,
+    summary: p.run.summary,
+  }));
+
+  return {
+    owner,
+    properties: held,
+    months,
+    years,
+    taxes,
+    summary: {
+      startDate: held.length ? held.map((p) => p.purchaseDate).sort()[0] : null,
+      endDate: held.length ? held.map((p) => p.saleDate).sort().at(-1) : null,
+      invested: sum(months, 'invested'),
+      totalCashFlow: sum(months, 'cashFlow'),
+      saleProceeds: sum(months, 'saleProceeds'),
+      peakDebt: months.reduce((acc, r) => Math.max(acc, r.debt), 0),
+      peakEquity: months.reduce((acc, r) => Math.max(acc, r.equity), 0),
+      netGain,
+      taxBenefit,
+      exitTax,
+      afterTaxNet,
+      standaloneAfterTaxNet,
+      suspendedAtEnd: taxes.length ? taxes[taxes.length - 1].suspendedEnd : 0,
+      irr: xirr(dated),
+      afterTaxIrr: xirr(withTaxes('taxEffect')),
+      // With a flat bracket pooling mostly moves deductions earlier, so the difference shows in the IRR
+      standaloneAfterTaxIrr: xirr(withTaxes('standaloneTaxEffect')),
+      equityMultiple: equityMultiple(months.map((r) => r.netFlow)),
+      stocksContrib: stocks.contributions,
+      stocksWithdrawn: stocks.withdrawals,
+      stocksFV: stocks.fv,
+      stocksNet: stocks.net,
+      stocksAfterTaxNet: stocks.afterTax.net,
+    },
+  };
+}
@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, magiInYear, runDeal, runPortfolio } from './index.js';
+
+const owner = { magi: 120_000, magiGrowthAnnual: 0.05 };
+const first = { name: 'First', deal: { purchaseDate: '2026-01-01', horizonYears: 10 } };
+const later = { name: 'Later', deal: { purchaseDate: '2029-01-01', horizonYears: 5 } };
+
+describe('owner MAGI', () => {
+  it('grows from the first purchase year, in the pool and in each property', () => {
+    const { taxes, properties } = runPortfolio([first, later], owner);
+    expect(taxes.map((t) => t.magi)).toEqual(taxes.map((_, i) => magiInYear(owner, i + 1)));
+    expect(properties[0].deal.magi).toBe(120_000);
+    expect(properties[1].deal.magi).toBeCloseTo(120_000 * 1.05 ** 3, 6);
+  });
+
+  it('gives a later property the exit NIIT of its own sale year', () => {
+    const { properties } = runPortfolio([first, later], { ...owner, magi: 240_000 });
+    const alone = runDeal({ ...DEFAULT_DEAL, ...later.deal, magi: 240_000 * 1.05 ** 3, magiGrowthAnnual: 0.05 });
+    expect(alone.summary.exit.niit).toBeGreaterThan(0);
+    expect(properties[1].summary.exit.niit).toBeCloseTo(alone.summary.exit.niit, 6);
+  });
+});
+
+describe('runPortfolio', () => {
+  it('one property matches the deal run on its own', () => {
+    const { summary } = runPortfolio([first], { magiGrowthAnnual: 0 });
+    const alone = runDeal({ ...DEFAULT_DEAL, ...first.deal, magiGrowthAnnual: 0 }).summary;
+    expect(summary.netGain).toBeCloseTo(alone.reBaseNet, 6);
+    expect(summary.taxBenefit).toBeCloseTo(alone.taxBenefit, 6);
+    expect(summary.afterTaxNet).toBeCloseTo(alone.reAfterTaxNet, 6);
+  });
+
+  it('lays properties bought on different dates on one calendar', () => {
+    const { months, years, summary } = runPortfolio([first, later], owner);
+    expect(months).toHaveLength(120);
+    expect(years.map((y) => y.year)).toEqual(Array.from({ length: 10 }, (_, i) => 2026 + i));
+    expect(months.filter((m) => m.held === 2)).toHaveLength(60);
+    expect(summary.startDate).toBe('2026-01-01');
+  });
+});
+
+describe('pooled passive losses', () => {
+  const lossy = (purchaseDate) => ({ name: purchaseDate, deal: { purchaseDate, horizonYears: 5, rentMonthly: 800 } });
+
+  it('share one special allowance across properties', () => {
+    const { taxes, properties } = runPortfolio([lossy('2026-01-01'), lossy('2026-01-01')], { magi: 125_000, magiGrowthAnnual: 0 });
+    expect(taxes[0].allowance).toBe(12_500);
+    expect(taxes[0].lossUsed).toBeLessThanOrEqual(12_500 + 1e-6);
+    expect(taxes[0].suspendedEnd).toBeGreaterThan(0);
+    expect(taxes[0].standaloneTaxEffect).toBeCloseTo(2 * runDeal(properties[0].deal).years[0].taxEffect, 6);
+  });
+
+  it('release a property\'s suspended loss when it is sold, and carry it on in a 1031 exchange', () => {
+    const sold = runPortfolio([lossy('2026-01-01')], { magi: 200_000 }).taxes;
+    expect(sold.at(-1).releasedOnSale).toBeGreaterThan(0);
+    expect(sold.at(-1).suspendedEnd).toBe(0);
+
+    const exchanged = { name: '1031', deal: { ...lossy('2026-01-01').deal, exitMode: '1031' } };
+    const carried = runPortfolio([exchanged], { magi: 200_000 });
+    expect(carried.taxes.at(-1).releasedOnSale).toBe(0);
+    expect(carried.summary.suspendedAtEnd).toBeGreaterThan(0);
+  });
+});
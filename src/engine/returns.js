@@ -0,0 +1,197 @@
+// ---------------------------
+// Return metrics
+// ---------------------------
+
+import { toDate, yearFrac } from './dates.js';
+
+/**
+ * Net present value of evenly spaced cash flows; cashflows[0] is undiscounted.
+ * @param {number} rate  per-period rate
+ * @param {number[]} cashflows
+ */
+export function npv(rate, cashflows) {
+  return cashflows.reduce((acc, cf, t) => acc + cf / Math.pow(1 + rate, t), 0);
+}
+
+/**
+ * Per-period IRR by bisection. Returns null when the bracket has no sign change.
+ * @param {number[]} cashflows
+ * @returns {number | null}
+ */
+export function irrBisection(cashflows, low = -0.9, high = 5.0, tol = 1e-8, maxIter = 10000) {
+  let fLow = npv(low, cashflows);
+  let fHigh = npv(high, cashflows);
+  if (fLow * fHigh > 0) return null;
+  for (let i = 0; i < maxIter; i++) {
+    const mid = (low + high) / 2;
+    const fMid = npv(mid, cashflows);
+    if (Math.abs(fMid) < tol) return mid;
+    // NPV of large flows can't get within tol of zero in floating point, so a collapsed bracket
+    // is the root, but only while it still straddles a sign change (NaN flows never do)
+    if (high - low < tol) return fLow * fHigh < 0 ? mid : null;
+    if (fLow * fMid < 0) {
+      high = mid; fHigh = fMid;
+    } else {
+      low = mid; fLow = fMid;
+    }
+  }
+  return null;
+}
+
+/** Compound a monthly rate to an annual one. */
+export function annualize(monthlyRate) {
+  return monthlyRate != null ? Math.pow(1 + monthlyRate, 12) - 1 : null;
+}
+
+// ---------------------------
+// Robust IRR family. Each returns { value, reason, message, roots } so a UI can say
+// *why* a number is missing instead of printing a bare dash.
+// ---------------------------
+
+const pct = (x) => (x * 100).toFixed(2) + '%';
+
+function undefinedResult(reason, message, roots = []) {
+  return { value: null, reason, message, roots };
+}
+
+function signChanges(amounts) {
+  let changes = 0;
+  let prev = 0;
+  for (const a of amounts) {
+    if (a === 0) continue;
+    if (prev !== 0 && Math.sign(a) !== prev) changes++;
+    prev = Math.sign(a);
+  }
+  return changes;
+}
+
+// Scan f over growth factors (1+r) on a log grid and bisect every bracket.
+function findRoots(f, minFactor, maxFactor, steps = 400, tol = 1e-10) {
+  const roots = [];
+  const lo = Math.log(minFactor);
+  const hi = Math.log(maxFactor);
+  let xPrev = lo;
+  let fPrev = f(Math.exp(lo) - 1);
+  for (let k = 1; k <= steps; k++) {
+    const x = lo + ((hi - lo) * k) / steps;
+    const fx = f(Math.exp(x) - 1);
+    if (fPrev === 0) roots.push(Math.exp(xPrev) - 1);
+    else if (Number.isFinite(fPrev) && Number.isFinite(fx) && fPrev * fx < 0) {
+      let a = xPrev, b = x, fa = fPrev;
+      for (let i = 0; i < 200 && b - a > tol; i++) {
+        const mid = (a + b) / 2;
+        const fm = f(Math.exp(mid) - 1);
+        if (fa * fm <= 0) b = mid;
+        else { a = mid; fa = fm; }
+      }
+      roots.push(Math.exp((a + b) / 2) - 1);
+    }
+    xPrev = x; fPrev = fx;
+  }
+  return roots;
+}
+
+function solve(amounts, f, span, annualizeRoot) {
+  if (!amounts.some((a) => a < 0)) return undefinedResult('no-investment', 'Cash flows never go negative, so there is no investment to earn a return on.');
+  if (!amounts.some((a) => a > 0)) return undefinedResult('no-return', 'Cash flows never turn positive; none of the money invested comes back.');
+
+  // Keep (1+r)^span inside double range
+  const bound = Math.exp(Math.min(700 / Math.max(span, 1), Math.log(1e6)));
+  const roots = findRoots(f, Math.max(1e-4, 1 / bound), Math.min(11, bound)).map(annualizeRoot);
+  if (roots.length === 0) return undefinedResult('no-root', 'NPV never crosses zero between −99.99% and +1000% per period, so no IRR exists.');
+  if (roots.length > 1) {
+    return undefinedResult('multiple', `Cash flows change sign ${signChanges(amounts)} times and NPV is zero at ${roots.map(pct).join(', ')}; IRR is ambiguous — use MIRR instead.`, roots);
+  }
+  return { value: roots[0], reason: null, message: null, roots };
+}
+
+/**
+ * IRR on evenly spaced cash flows, annualized.
+ * @param {number[]} cashflows
+ * @param {number} [periodsPerYear=1]  12 for monthly flows
+ */
+export function irr(cashflows, periodsPerYear = 1) {
+  // Same sum as npv(), with the discount factor carried forward instead of re-powered per term
+  const f = (r) => {
+    const k = 1 / (1 + r);
+    let acc = 0;
+    let df = 1;
+    for (const cf of cashflows) { acc += cf * df; df *= k; }
+    return acc;
+  };
+  return solve(cashflows, f, cashflows.length, (r) => Math.pow(1 + r, periodsPerYear) - 1);
+}
+
+/**
+ * NPV of dated cash flows at an annual rate (Actual/365 from the first date).
+ * @param {number} rate
+ * @param {{ date: Date|string, amount: number }[]} flows
+ */
+export function xnpv(rate, flows) {
+  const t0 = toDate(flows[0].date);
+  return flows.reduce((acc, f) => acc + f.amount / Math.pow(1 + rate, yearFrac(t0, f.date)), 0);
+}
+
+/**
+ * IRR on irregularly dated cash flows (annual rate).
+ * @param {{ date: Date|string, amount: number }[]} flows
+ */
+export function xirr(flows) {
+  if (flows.length === 0) return undefinedResult('no-investment', 'There are no cash flows.');
+  const sorted = flows.map((f) => ({ t: toDate(f.date), amount: f.amount })).sort((a, b) => a.t - b.t);
+  const times = sorted.map((f) => yearFrac(sorted[0].t, f.t));
+  const amounts = sorted.map((f) => f.amount);
+  const f = (r) => {
+    const lr = Math.log(1 + r);
+    let acc = 0;
+    for (let i = 0; i < amounts.length; i++) acc += amounts[i] * Math.exp(-lr * times[i]);
+    return acc;
+  };
+  return solve(amounts, f, times[times.length - 1], (r) => r);
+}
+
+/**
+ * Modified IRR: outflows discounted at `financeRate`, inflows compounded at `reinvestRate`
+ * (both annual), annualized.
+ * @param {number[]} cashflows
+ * @param {number} financeRate
+ * @param {number} reinvestRate
+ * @param {number} [periodsPerYear=1]
+ */
+export function mirr(cashflows, financeRate, reinvestRate, periodsPerYear = 1) {
+  const n = cashflows.length - 1;
+  if (n < 1) return undefinedResult('too-short', 'MIRR needs at least two periods of cash flows.');
+  const fin = Math.pow(1 + financeRate, 1 / periodsPerYear) - 1;
+  const re = Math.pow(1 + reinvestRate, 1 / periodsPerYear) - 1;
+  let pvOut = 0;
+  let fvIn = 0;
+  cashflows.forEach((cf, t) => {
+    if (cf < 0) pvOut += -cf / Math.pow(1 + fin, t);
+    else fvIn += cf * Math.pow(1 + re, n - t);
+  });
+  if (pvOut === 0) return undefinedResult('no-investment', 'Cash flows never go negative, so there is no investment to earn a return on.');
+  if (fvIn === 0) return undefinedResult('no-return', 'Cash flows never turn positive; none of the money invested comes back.');
+  const perPeriod = Math.pow(fvIn / pvOut, 1 / n) - 1;
+  return { value: Math.pow(1 + perPeriod, periodsPerYear) - 1, reason: null, message: null, roots: [] };
+}
+
+/**
+ * Each year's pre-tax cash flow over the cash invested up front.
+ * @param {{ year: number, cashFlow: number }[]} years
+ * @param {number} initialInvestment
+ * @returns {{ year: number, value: number | null }[]}
+ */
+export function cashOnCash(years, initialInvestment) {
+  return years.map((y) => ({ year: y.year, value: initialInvestment > 0 ? y.cashFlow / initialInvestment : null }));
+}
+
+/**
+ * Total cash returned over total cash put in.
+ * @param {number[]} cashflows  negative = contribution, positive = distribution
+ */
+export function equityMultiple(cashflows) {
+  const contributed = cashflows.reduce((acc, cf) => acc + Math.max(0, -cf), 0);
+  const distributed = cashflows.reduce((acc, cf) => acc + Math.max(0, cf), 0);
+  if (contributed === 0) return undefinedResult('no-investment', 'No cash was ever contributed.');
+  return { value: distributed / contributed, reason: null, message: null, roots: [] };
+}
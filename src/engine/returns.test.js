@@ -0,0 +1,117 @@
+import { describe, expect, it } from 'vitest';
+import { createRng, equityMultiple, irr, irrBisection, mirr, npv, xirr, xnpv } from './index.js';
+
+// Worked examples from the spreadsheet function docs (NPV, IRR, XIRR, MIRR)
+describe('spreadsheet reference values', () => {
+  it('npv matches NPV(10%, -10000, 3000, 4200, 6800) = 1188.44', () => {
+    // npv() leaves cashflows[0] undiscounted; NPV() discounts its first value a full period
+    expect(npv(0.1, [0, -10_000, 3_000, 4_200, 6_800])).toBeCloseTo(1188.44, 2);
+  });
+
+  it('irr matches IRR over four and five years', () => {
+    expect(irr([-70_000, 12_000, 15_000, 18_000, 21_000]).value).toBeCloseTo(-0.021245, 6);
+    expect(irr([-70_000, 12_000, 15_000, 18_000, 21_000, 26_000]).value).toBeCloseTo(0.086631, 6);
+    expect(irrBisection([-70_000, 12_000, 15_000, 18_000, 21_000, 26_000])).toBeCloseTo(0.086631, 6);
+  });
+
+  it('xirr matches XIRR on irregular dates', () => {
+    const flows = [
+      { date: '2008-01-01', amount: -10_000 },
+      { date: '2008-03-01', amount: 2_750 },
+      { date: '2008-10-30', amount: 4_250 },
+      { date: '2009-02-15', amount: 3_250 },
+      { date: '2009-04-01', amount: 2_750 },
+    ];
+    expect(xirr(flows).value).toBeCloseTo(0.373363, 6);
+    expect(xnpv(0.09, flows)).toBeCloseTo(2086.65, 1);
+  });
+
+  it('mirr matches MIRR at a 10% finance and 12% reinvestment rate', () => {
+    expect(mirr([-120_000, 39_000, 30_000, 21_000, 37_000, 46_000], 0.1, 0.12).value).toBeCloseTo(0.126094, 6);
+    expect(mirr([-120_000, 39_000, 30_000, 21_000], 0.1, 0.12).value).toBeCloseTo(-0.048045, 6);
+  });
+});
+
+describe('undefined returns say why', () => {
+  it.each([
+    [[100, 200], 'no-investment'],
+    [[-100, -200], 'no-return'],
+    [[-100, 230, -132], 'multiple'],
+  ])('irr(%j) → %s', (flows, reason) => {
+    const result = irr(flows);
+    expect(result.value).toBeNull();
+    expect(result.reason).toBe(reason);
+    expect(result.message).toEqual(expect.any(String));
+  });
+
+  it('irrBisection returns null without a sign change in its bracket', () => {
+    expect(irrBisection([100, 200])).toBeNull();
+  });
+
+  it('reports two close IRRs instead of none', () => {
+    // NPV · (1+r)² = −(x − 1.10)(x − 1.14) with x = 1 + r
+    const result = irr([-1, 2.24, -1.254]);
+    expect(result.reason).toBe('multiple');
+    expect(result.roots[0]).toBeCloseTo(0.10, 8);
+    expect(result.roots[1]).toBeCloseTo(0.14, 8);
+  });
+
+  it('irrBisection accepts a collapsed bracket only across a sign change', () => {
+    expect(irrBisection([-1e15, 1.1e15])).toBeCloseTo(0.1, 7);
+    expect(irrBisection([NaN, 100])).toBeNull();
+  });
+
+  it('xirr and equityMultiple handle empty input', () => {
+    expect(xirr([]).reason).toBe('no-investment');
+    expect(equityMultiple([50, 50]).reason).toBe('no-investment');
+  });
+});
+
+// Seeded, so a failure always reproduces
+describe('round trips', () => {
+  const rng = createRng(20_260_101);
+  const between = (lo, hi) => lo + (hi - lo) * rng();
+
+  it('npv is the plain sum at 0% and linear in the flows', () => {
+    for (let k = 0; k < 50; k++) {
+      const flows = Array.from({ length: 2 + Math.floor(rng() * 30) }, () => between(-5_000, 5_000));
+      const rate = between(-0.5, 1);
+      expect(npv(0, flows)).toBeCloseTo(flows.reduce((a, b) => a + b, 0), 6);
+      expect(npv(rate, flows.map((f) => 3 * f))).toBeCloseTo(3 * npv(rate, flows), 6);
+    }
+  });
+
+  it('irr and irrBisection recover the rate that zeroes NPV', () => {
+    for (let k = 0; k < 100; k++) {
+      const rate = between(-0.3, 0.8);
+      const inflows = Array.from({ length: 1 + Math.floor(rng() * 40) }, () => between(0, 10_000));
+      const flows = [-npv(rate, [0, ...inflows]), ...inflows];
+      expect(npv(rate, flows)).toBeCloseTo(0, 6);
+      expect(irr(flows).value).toBeCloseTo(rate, 6);
+      expect(irrBisection(flows)).toBeCloseTo(rate, 6);
+    }
+  });
+
+  it('monthly irr annualizes by compounding', () => {
+    for (let k = 0; k < 20; k++) {
+      const monthly = between(0, 0.03);
+      const inflows = Array.from({ length: 120 }, () => between(100, 1_000));
+      const flows = [-npv(monthly, [0, ...inflows]), ...inflows];
+      expect(irr(flows, 12).value).toBeCloseTo(Math.pow(1 + monthly, 12) - 1, 6);
+    }
+  });
+
+  it('xirr recovers the rate that zeroes XNPV', () => {
+    for (let k = 0; k < 50; k++) {
+      const rate = between(-0.3, 0.8);
+      const start = Date.UTC(2000 + Math.floor(rng() * 30), 0, 1);
+      const later = Array.from({ length: 1 + Math.floor(rng() * 20) }, () => ({
+        date: new Date(start + Math.floor(rng() * 365 * 15) * 86_400_000),
+        amount: between(0, 10_000),
+      }));
+      const flows = [{ date: new Date(start), amount: 0 }, ...later];
+      flows[0].amount = -xnpv(rate, flows);
+      expect(xirr(flows).value).toBeCloseTo(rate, 6);
+    }
+  });
+});
@@ -0,0 +1,84 @@
+// ---------------------------
+// Scenarios — named deals, their JSON file format and input diffs
+// ---------------------------
+
+import { DEFAULT_DEAL, TRANSIENT_KEYS, fitsSchema, withDefaults } from './schema.js';
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} id
+ * @property {string} name
+ * @property {string} savedAt   ISO timestamp
+ * @property {import('./schema.js').Deal} deal
+ */
+
+export const SCENARIO_FILE_VERSION = 1;
+
+/**
+ * @param {string} name
+ * @param {Partial<import('./schema.js').Deal>} deal
+ * @param {Date} [now]
+ * @returns {Scenario}
+ */
+export function makeScenario(name, deal, now = new Date()) {
+  const clean = withDefaults(deal);
+  for (const k of TRANSIENT_KEYS) clean[k] = null;
+  return {
+    id: `${now.getTime().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim() || 'Untitled deal',
+    savedAt: now.toISOString(),
+    deal: clean,
+  };
+}
+
+/**
+ * @param {Scenario[]} scenarios
+ * @returns {string}
+ */
+export function exportScenarios(scenarios) {
+  return JSON.stringify({ version: SCENARIO_FILE_VERSION, scenarios }, null, 2);
+}
+
+/**
+ * Parse an exported file (or a bare array of scenarios). Unknown deal keys and values of the
+ * wrong type are dropped and missing ones filled from the defaults, so files from older
+ * versions (and hand-edited ones) still load.
+ * @param {string} text
+ * @returns {{ scenarios: Scenario[], error: string|null }}
+ */
+export function importScenarios(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { scenarios: [], error: 'Not a JSON file.' };
+  }
+  const list = Array.isArray(data) ? data : data?.scenarios;
+  if (!Array.isArray(list)) return { scenarios: [], error: 'No scenarios found in the file.' };
+  if (!Array.isArray(data) && data.version > SCENARIO_FILE_VERSION) {
+    return { scenarios: [], error: `The file is format version ${data.version}; this build reads up to ${SCENARIO_FILE_VERSION}.` };
+  }
+
+  const scenarios = [];
+  for (const item of list) {
+    if (!item || typeof item.deal !== 'object' || item.deal === null) continue;
+    const known = Object.fromEntries(Object.entries(item.deal).filter(([k, v]) => fitsSchema(k, v)));
+    const savedAt = new Date(item.savedAt ?? Date.now());
+    scenarios.push(makeScenario(String(item.name ?? ''), known, Number.isNaN(savedAt.getTime()) ? new Date() : savedAt));
+  }
+  if (!scenarios.length) return { scenarios, error: 'The file has no readable deals.' };
+  return { scenarios, error: null };
+}
+
+/**
+ * Inputs whose values are not identical across every deal, in schema order.
+ * @param {Partial<import('./schema.js').Deal>[]} deals
+ * @returns {string[]}
+ */
+export function diffInputs(deals) {
+  const full = deals.map(withDefaults);
+  return Object.keys(DEFAULT_DEAL).filter((k) => {
+    const first = JSON.stringify(full[0]?.[k]);
+    return full.some((d) => JSON.stringify(d[k]) !== first);
+  });
+}
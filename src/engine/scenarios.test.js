@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, decodeDeal, encodeDeal, importScenarios } from './index.js';
+
+describe('importScenarios', () => {
+  it('drops values of the wrong type and falls back to the defaults', () => {
+    const text = JSON.stringify([{ name: 'Bad', deal: { events: null, units: 'abc', rate: '0.06', capexItems: [null], purchasePrice: 400_000 } }]);
+    const { scenarios, error } = importScenarios(text);
+    expect(error).toBeNull();
+    const { deal } = scenarios[0];
+    expect(deal.events).toEqual([]);
+    expect(deal.units).toEqual([]);
+    expect(deal.rate).toBe(DEFAULT_DEAL.rate);
+    expect(deal.capexItems).toEqual(DEFAULT_DEAL.capexItems);
+    expect(deal.purchasePrice).toBe(400_000);
+  });
+
+  it('keeps well-formed lists', () => {
+    const units = [{ name: 'A', rentMonthly: 1_000, vacancyMonthsPer10yr: 2, placementCountPer10yr: 3, turnoverCost: 500 }];
+    const { scenarios } = importScenarios(JSON.stringify({ version: 1, scenarios: [{ name: 'Ok', deal: { units, strSeasonality: Array(12).fill(1) } }] }));
+    expect(scenarios[0].deal.units).toEqual(units);
+    expect(scenarios[0].deal.strSeasonality).toEqual(Array(12).fill(1));
+  });
+
+  it('ignores a __proto__ key in a deal', () => {
+    const { scenarios } = importScenarios('[{"name":"Proto","deal":{"__proto__":{"horizonYears":"x"},"rate":0.07}}]');
+    const { deal } = scenarios[0];
+    expect(Object.getPrototypeOf(deal)).toBe(Object.prototype);
+    expect(deal.horizonYears).toBe(DEFAULT_DEAL.horizonYears);
+    expect(deal.rate).toBe(0.07);
+    expect({}.horizonYears).toBeUndefined();
+  });
+});
+
+describe('share links', () => {
+  it('round-trip a deal', () => {
+    const deal = { ...DEFAULT_DEAL, purchasePrice: 412_000, events: [{ type: 'rehab', month: 1, cost: 20_000, downtimeMonths: 2 }] };
+    expect({ ...DEFAULT_DEAL, ...decodeDeal(encodeDeal(deal)).deal }).toEqual(deal);
+  });
+
+  it('drop a __proto__ key', () => {
+    const payload = btoa('{"__proto__":{"horizonYears":"x"},"rate":0.07}').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    const { deal, dropped, error } = decodeDeal(`1.${payload}`);
+    expect(error).toBeNull();
+    expect(dropped).toEqual(['__proto__']);
+    expect(Object.getPrototypeOf(deal)).toBe(Object.prototype);
+    expect(deal).toEqual({ rate: 0.07 });
+    expect({ ...DEFAULT_DEAL, ...deal }.horizonYears).toBe(DEFAULT_DEAL.horizonYears);
+  });
+});
@@ -0,0 +1,37 @@
+// ---------------------------
+// Vacancy & tenant turnover timing
+// ---------------------------
+
+// evenly-spaced integers excluding 0 and months-1 if possible
+export function spacedMonths(count, months) {
+  if (count <= 0) return [];
+  const step = Math.floor(months / (count + 1));
+  const arr = [];
+  for (let i = 1; i <= count; i++) arr.push(Math.min(step * i, months - 1));
+  return arr;
+}
+
+/**
+ * Months with zero rent and months that pay a placement fee over the hold.
+ * Counts are given per 10 years and scaled to the horizon; an explicit
+ * `vacancyMonthList` (0-based) replaces the even spacing.
+ * @param {{ vacancyMonthsPer10yr: number, placementCountPer10yr: number, horizonYears: number, vacancyMonthList?: number[] | null }} deal
+ */
+export function turnoverMonths({ vacancyMonthsPer10yr, placementCountPer10yr, horizonYears, vacancyMonthList }) {
+  const months = horizonYears * 12;
+  const vacCount = Math.round(vacancyMonthsPer10yr * (horizonYears / 10));
+  const placementCount = Math.round(placementCountPer10yr * (horizonYears / 10));
+
+  const vacancyMonths = vacancyMonthList ? vacancyMonthList.filter((m) => m >= 0 && m < months) : spacedMonths(vacCount, months);
+
+  // Placement fee months: include month 0 if placementCount>0; then after vacancies; fill if needed
+  const placementMonths = [];
+  if (placementCount > 0) placementMonths.push(0);
+  const need = Math.max(0, placementCount - 1);
+  vacancyMonths.slice(0, need).forEach((vm) => placementMonths.push(Math.min(vm + 1, months - 1)));
+  while (placementMonths.length < placementCount) {
+    placementMonths.push(Math.min(placementMonths.length * Math.floor(months / Math.max(1, placementCount)), months - 1));
+  }
+
+  return { vacancyMonths, placementMonths };
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { spacedMonths, turnoverMonths } from './index.js';
+
+describe('spacedMonths', () => {
+  it('spreads months evenly, away from the first month', () => {
+    expect(spacedMonths(3, 120)).toEqual([30, 60, 90]);
+    expect(spacedMonths(1, 12)).toEqual([6]);
+    expect(spacedMonths(0, 120)).toEqual([]);
+    expect(spacedMonths(-2, 120)).toEqual([]);
+  });
+
+  it('always returns count months inside the hold, in order', () => {
+    for (let months = 1; months <= 360; months += 7) {
+      for (let count = 1; count <= 40; count++) {
+        const arr = spacedMonths(count, months);
+        expect(arr).toHaveLength(count);
+        for (const m of arr) {
+          expect(m).toBeGreaterThanOrEqual(0);
+          expect(m).toBeLessThanOrEqual(months - 1);
+        }
+        for (let i = 1; i < arr.length; i++) expect(arr[i]).toBeGreaterThanOrEqual(arr[i - 1]);
+        // Distinct and never month 0 whenever there is room for them
+        if (count < months) {
+          expect(new Set(arr).size).toBe(count);
+          expect(arr[0]).toBeGreaterThan(0);
+        }
+      }
+    }
+  });
+});
+
+describe('turnoverMonths', () => {
+  it('scales the 10-year counts to the hold', () => {
+    const { vacancyMonths, placementMonths } = turnoverMonths({ vacancyMonthsPer10yr: 3, placementCountPer10yr: 3, horizonYears: 20 });
+    expect(vacancyMonths).toEqual(spacedMonths(6, 240));
+    expect(placementMonths).toHaveLength(6);
+  });
+
+  it('places the first tenant at purchase and the rest after vacancies', () => {
+    const { vacancyMonths, placementMonths } = turnoverMonths({ vacancyMonthsPer10yr: 3, placementCountPer10yr: 3, horizonYears: 10 });
+    expect(vacancyMonths).toEqual([30, 60, 90]);
+    expect(placementMonths).toEqual([0, 31, 61]);
+  });
+
+  it('uses an explicit vacancy list, dropping months outside the hold', () => {
+    const { vacancyMonths, placementMonths } = turnoverMonths({ vacancyMonthsPer10yr: 3, placementCountPer10yr: 4, horizonYears: 5, vacancyMonthList: [-1, 4, 11, 60] });
+    expect(vacancyMonths).toEqual([4, 11]);
+    expect(placementMonths).toEqual([0, 5]);
+  });
+});
@@ -0,0 +1,231 @@
+// ---------------------------
+// Deal schema — the one input object every engine entry point takes.
+// All rates are fractions (0.065 = 6.5%), all money is nominal USD.
+// ---------------------------
+
+/**
+ * @typedef {Object} Deal
+ * @property {string} purchaseDate        Closing date, 'YYYY-MM-DD'; dates every cash flow.
+ * @property {number} purchasePrice       Contract price.
+ * @property {number} downPayment         Cash down; loan = purchasePrice - downPayment.
+ * @property {number} closingCosts        Buyer closing costs paid at purchase.
+ * @property {boolean} includeReserves    Park `reserves` cash at purchase (returned at sale).
+ * @property {number} reserves            Safety-net cash held alongside the property.
+ * @property {number} rate                Mortgage APR (initial rate for an ARM).
+ * @property {number} termYears           Amortization term.
+ * @property {'fixed'|'interestOnly'|'arm'} loanType
+ * @property {number} ioYears             Interest-only period for 'interestOnly' loans.
+ * @property {{ year: number, rate: number }[]} armResets  ARM rate from the start of each listed year.
+ * @property {number} pmiAnnualRate       PMI as a fraction of the original loan while LTV > 80%.
+ * @property {'longTerm'|'shortTerm'} rentalMode  Leased to tenants, or booked by the night.
+ * @property {number} rentMonthly         Starting market rent (single long-term unit).
+ * @property {number} rentGrowthAnnual    Rent (and nightly rate) steps up once per year.
+ * @property {number} vacancyMonthsPer10yr  Whole months of zero rent, spread evenly.
+ * @property {number} placementCountPer10yr Tenant placements; each costs one month of rent.
+ * @property {import('./income.js').Unit[]} units  Unit mix for a long-term multi-unit; replaces the three fields above when not empty.
+ * @property {number} strNightlyRate      'shortTerm': average nightly rate.
+ * @property {number} strOccupancy        'shortTerm': share of nights booked in an average month.
+ * @property {number[]} strSeasonality    'shortTerm': occupancy multiplier for each calendar month, January first.
+ * @property {number} strAvgStayNights    'shortTerm': average stay; 7 or less changes the tax treatment.
+ * @property {number} strCleaningFee      'shortTerm': cleaning fee guests pay per stay.
+ * @property {number} strCleaningCost     'shortTerm': what each turnover clean costs.
+ * @property {number} strPlatformFeePct   'shortTerm': booking platform's cut of gross income.
+ * @property {number} strMgmtPct          'shortTerm': management fee, replacing the long-term PM fees.
+ * @property {number} strFurnishing       'shortTerm': furnishing bought in month 1 (capitalized, 5-year property).
+ * @property {number} strFurnishingLifeYears  'shortTerm': furnishing is replaced this often.
+ * @property {boolean} strMaterialParticipation  'shortTerm': owner materially participates (losses non-passive at stays ≤ 7 nights).
+ * @property {number} pmPct               Management fee as a fraction of collected rent.
+ * @property {number} pmFlatMonthly       Flat management fee.
+ * @property {number} taxesPct            Year-1 property tax as a fraction of purchase price.
+ * @property {number} taxGrowthAnnual     Reassessment growth of the tax bill.
+ * @property {number} insuranceAnnual     Year-1 premium.
+ * @property {number} insuranceGrowthAnnual
+ * @property {number} repairsPctOfRent    Repairs & maintenance as a fraction of collected rent.
+ * @property {number} hoaMonthly
+ * @property {number} hoaGrowthAnnual
+ * @property {number} utilitiesMonthly    Owner-paid utilities.
+ * @property {number} utilitiesGrowthAnnual
+ * @property {number} landscapingMonthly
+ * @property {number} landscapingGrowthAnnual
+ * @property {number} warrantyAnnual      Home warranty.
+ * @property {number} warrantyGrowthAnnual
+ * @property {'reserve'|'actual'} capexMode  Fund capex as a monthly reserve or pay replacements when due.
+ * @property {number} capexInflation      Annual growth of replacement costs.
+ * @property {{ name: string, cost: number, lifeYears: number, ageYears: number }[]} capexItems  Major systems, cost in today's dollars.
+ * @property {number} appreciationAnnual  Home price growth, compounded monthly.
+ * @property {number} inflationRate       CPI used to restate results in today's dollars.
+ * @property {number} horizonYears        Hold period; the property is sold at the end.
+ * @property {number} saleCostPct         Selling costs as a fraction of sale price.
+ * @property {number} landPct             Non-depreciable share of the purchase price.
+ * @property {boolean} useCostSeg         Depreciate with a cost segregation study.
+ * @property {'residential'|'commercial'} propertyUse  27.5-year or 39-year building.
+ * @property {string|null} placedInService  'YYYY-MM-DD'; defaults to purchaseDate.
+ * @property {number} costSeg5Pct         Share of improvements the study puts in 5-year property.
+ * @property {number} costSeg7Pct         … 7-year property.
+ * @property {number} costSeg15Pct        … 15-year land improvements.
+ * @property {number|null} bonusPct       Bonus on 5/7/15-year property; null = phase-down table for the placed-in-service date.
+ * @property {number} studyFee            Cost seg study fee (paid and deducted in year 1).
+ * @property {number} taxBracket          Marginal ordinary rate.
+ * @property {number} magi                Year-1 modified AGI for the Pub 925 special allowance.
+ * @property {number} magiGrowthAnnual    MAGI growth; the allowance phase-out is re-tested every year.
+ * @property {number} otherPassiveIncome  Passive income available to absorb losses each year.
+ * @property {boolean} repsOrSTR          Real estate professional: losses are non-passive (no allowance cap, no NIIT on sale).
+ * @property {number} capitalGainsRate    Long-term capital gains rate on the sale.
+ * @property {number} niitRate            Net investment income tax.
+ * @property {number} niitThreshold       MAGI above which NIIT applies.
+ * @property {'sale'|'1031'} exitMode     Taxable sale, or a 1031 exchange that defers all gain.
+ * @property {number} spAnnualReturn      S&P total return for the benchmark.
+ * @property {'initial'|'matched'|'dca'} benchmarkMode  Invest only the initial outlay, also mirror monthly cash flows, or dollar-cost average the initial outlay.
+ * @property {number} dcaMonths           'dca': months over which the initial outlay is bought in equal slices.
+ * @property {number} etfErBps            ETF expense ratio in basis points.
+ * @property {number} advisorFee          Annual advisory fee on the benchmark.
+ * @property {number} dividendYield       Part of the S&P return paid as dividends (taxed yearly in the after-tax benchmark).
+ * @property {number} dividendTaxRate     Tax rate on those dividends (qualified rate for most holders).
+ * @property {number} mirrFinanceRate     MIRR: annual cost of funding negative cash flows.
+ * @property {number} mirrReinvestRate    MIRR: annual rate positive cash flows are reinvested at.
+ * @property {import('./events.js').DealEvent[]} events  Rehab, refinance / cash-out and extra principal during the hold.
+ *
+ * Year-by-year overrides (index 0 = year 1), used by simulation and backtests. null = flat rate above.
+ * @property {number[]|null} appreciationPath
+ * @property {number[]|null} rentGrowthPath   growth applied going into the following year
+ * @property {number[]|null} inflationPath
+ * @property {number[]|null} spReturnPath
+ * @property {number[]|null} vacancyMonthList  explicit 0-based vacant months (single long-term unit only)
+ * @property {number[][]|null} unitVacancyMonthLists  the same for each unit of a unit mix, in rent-roll order
+ */
+
+/** @type {Deal} */
+export const DEFAULT_DEAL = Object.freeze({
+  purchaseDate: '2026-01-01',
+  purchasePrice: 300_000,
+  downPayment: 60_000,
+  closingCosts: 8_000,
+  includeReserves: false,
+  reserves: 5_000,
+
+  rate: 0.065,
+  termYears: 30,
+  loanType: 'fixed',
+  ioYears: 10,
+  armResets: [{ year: 6, rate: 0.075 }],
+  pmiAnnualRate: 0.006,
+
+  rentMonthly: 1_800,
+  rentGrowthAnnual: 0.03,
+  vacancyMonthsPer10yr: 3,
+  placementCountPer10yr: 3,
+  rentalMode: 'longTerm',
+  units: [],
+  strNightlyRate: 200,
+  strOccupancy: 0.65,
+  strSeasonality: [0.8, 0.85, 1, 1, 1.05, 1.2, 1.25, 1.2, 1, 0.95, 0.8, 0.9],
+  strAvgStayNights: 3,
+  strCleaningFee: 120,
+  strCleaningCost: 100,
+  strPlatformFeePct: 0.03,
+  strMgmtPct: 0.20,
+  strFurnishing: 25_000,
+  strFurnishingLifeYears: 7,
+  strMaterialParticipation: false,
+
+  pmPct: 0,
+  pmFlatMonthly: 119,
+  taxesPct: 0.017,
+  taxGrowthAnnual: 0.02,
+  insuranceAnnual: 1_800,
+  insuranceGrowthAnnual: 0.05,
+  repairsPctOfRent: 0.05,
+  hoaMonthly: 0,
+  hoaGrowthAnnual: 0.03,
+  utilitiesMonthly: 0,
+  utilitiesGrowthAnnual: 0.03,
+  landscapingMonthly: 0,
+  landscapingGrowthAnnual: 0.03,
+  warrantyAnnual: 500,
+  warrantyGrowthAnnual: 0.03,
+  capexMode: 'reserve',
+  capexInflation: 0.03,
+  capexItems: [
+    { name: 'Roof', cost: 12_000, lifeYears: 25, ageYears: 10 },
+    { name: 'HVAC', cost: 8_000, lifeYears: 15, ageYears: 5 },
+    { name: 'Appliances', cost: 4_000, lifeYears: 10, ageYears: 3 },
+  ],
+
+  appreciationAnnual: 0.06,
+  inflationRate: 0.03,
+  horizonYears: 10,
+  saleCostPct: 0.03,
+
+  landPct: 0.20,
+  useCostSeg: false,
+  propertyUse: 'residential',
+  placedInService: null,
+  costSeg5Pct: 0.15,
+  costSeg7Pct: 0.02,
+  costSeg15Pct: 0.08,
+  bonusPct: null,
+  studyFee: 9_000,
+  taxBracket: 0.24,
+  magi: 120_000,
+  magiGrowthAnnual: 0.03,
+  otherPassiveIncome: 0,
+  repsOrSTR: false,
+  capitalGainsRate: 0.15,
+  niitRate: 0.038,
+  niitThreshold: 200_000,
+  exitMode: 'sale',
+
+  spAnnualReturn: 0.1465,
+  benchmarkMode: 'initial',
+  dcaMonths: 12,
+  etfErBps: 3,
+  advisorFee: 0,
+  dividendYield: 0.015,
+  dividendTaxRate: 0.15,
+
+  mirrFinanceRate: 0.065,
+  mirrReinvestRate: 0.05,
+
+  events: [],
+
+  appreciationPath: null,
+  rentGrowthPath: null,
+  inflationPath: null,
+  spReturnPath: null,
+  vacancyMonthList: null,
+  unitVacancyMonthLists: null,
+});
+
+/** Run-time overrides from simulations and backtests; never saved with a deal or put in a link. */
+export const TRANSIENT_KEYS = Object.freeze(['appreciationPath', 'rentGrowthPath', 'inflationPath', 'spReturnPath', 'vacancyMonthList', 'unitVacancyMonthLists']);
+
+/**
+ * Fill in anything the caller left out.
+ * @param {Partial<Deal>} deal
+ * @returns {Deal}
+ */
+export function withDefaults(deal = {}) {
+  return { ...DEFAULT_DEAL, ...deal };
+}
+
+// Same JSON shape as the default: number, string, boolean, array, or (for nullable fields) null.
+// List items must match the default's items; the lists that default to empty hold objects.
+function sameShape(value, fallback) {
+  if (value === null) return fallback === null;
+  if (fallback === null) return typeof value === 'number' || typeof value === 'string';
+  if (Array.isArray(fallback)) {
+    const item = fallback.length ? typeof fallback[0] : 'object';
+    return Array.isArray(value) && value.every((v) => v !== null && !Array.isArray(v) && typeof v === item);
+  }
+  return typeof value === typeof fallback;
+}
+
+/**
+ * Whether `key` is a Deal field and `value` has its default's JSON type, so a deal read from
+ * a link, a file or storage can't put a string where the model and the UI expect a number.
+ * @param {string} key
+ * @param {unknown} value
+ */
+export function fitsSchema(key, value) {
+  return Object.hasOwn(DEFAULT_DEAL, key) && sameShape(value, DEFAULT_DEAL[key]);
+}
@@ -0,0 +1,195 @@
+// ---------------------------
+// Sensitivity — tornado, two-input heatmap and single-input break-even
+// ---------------------------
+
+import { withDefaults } from './schema.js';
+import { runDeal } from './model.js';
+import { FIELD_RULES } from './validate.js';
+
+/**
+ * Numeric inputs worth flexing, with the range a break-even search may roam.
+ * @type {{ key: string, label: string, unit: 'usd'|'pct'|'count', min: number, max: number }[]}
+ */
+export const SENSITIVITY_INPUTS = [
+  { key: 'purchasePrice', label: 'Purchase price', unit: 'usd', min: 10_000, max: 5_000_000 },
+  { key: 'downPayment', label: 'Down payment', unit: 'usd', min: 0, max: 5_000_000 },
+  { key: 'closingCosts', label: 'Closing costs', unit: 'usd', min: 0, max: 500_000 },
+  { key: 'rate', label: 'Mortgage rate', unit: 'pct', min: 0, max: 0.20 },
+  { key: 'rentMonthly', label: 'Rent / mo', unit: 'usd', min: 0, max: 50_000 },
+  { key: 'rentGrowthAnnual', label: 'Rent growth', unit: 'pct', min: -0.10, max: 0.20 },
+  { key: 'vacancyMonthsPer10yr', label: 'Vacancy months / 10yr', unit: 'count', min: 0, max: 60 },
+  { key: 'pmFlatMonthly', label: 'PM flat / mo', unit: 'usd', min: 0, max: 5_000 },
+  { key: 'taxesPct', label: 'Property tax %', unit: 'pct', min: 0, max: 0.05 },
+  { key: 'insuranceAnnual', label: 'Insurance / yr', unit: 'usd', min: 0, max: 50_000 },
+  { key: 'repairsPctOfRent', label: 'Repairs % of rent', unit: 'pct', min: 0, max: 0.50 },
+  { key: 'appreciationAnnual', label: 'Appreciation', unit: 'pct', min: -0.10, max: 0.20 },
+  { key: 'inflationRate', label: 'Inflation', unit: 'pct', min: 0, max: 0.15 },
+  { key: 'saleCostPct', label: 'Sale costs', unit: 'pct', min: 0, max: 0.15 },
+  { key: 'spAnnualReturn', label: 'S&P return', unit: 'pct', min: -0.10, max: 0.30 },
+  { key: 'taxBracket', label: 'Tax bracket', unit: 'pct', min: 0, max: 0.50 },
+];
+
+/** Outputs a sensitivity can be measured on. IRR may be null when it's undefined. */
+export const SENSITIVITY_METRICS = {
+  reBaseNet: { label: 'Net gain (pre-tax)', value: (s) => s.reBaseNet },
+  reAfterTaxNet: { label: 'Net gain (after tax)', value: (s) => s.reAfterTaxNet },
+  advantage: { label: 'Real estate − stocks (pre-tax)', value: (s) => s.reBaseNet - s.stocksNet },
+  afterTaxAdvantage: { label: 'Real estate − stocks (after tax)', value: (s) => s.reAfterTaxNet - s.stocksAfterTaxNet },
+  irr: { label: 'IRR', value: (s) => s.irr.value },
+};
+
+const measure = (deal, metric) => SENSITIVITY_METRICS[metric].value(runDeal(deal).summary);
+const findInput = (key) => SENSITIVITY_INPUTS.find((i) => i.key === key);
+const inputFor = (key) => findInput(key) ?? { key, label: key, unit: 'count', min: -Infinity, max: Infinity };
+
+// Break-even range: the tornado's for its inputs, otherwise the field's validation limits.
+// Open-ended dollar fields search up to ten times the current value (at least $1,000).
+function searchRange(key, current) {
+  const found = findInput(key);
+  if (found) return found;
+  const rule = Object.hasOwn(FIELD_RULES, key) ? FIELD_RULES[key] : null;
+  if (!rule || !['usd', 'pct', 'count'].includes(rule.unit)) return null;
+  const max = rule.max ?? Math.max(rule.warnAbove ?? 0, Math.abs(current ?? 0) * 10, 1_000);
+  return { key, label: rule.label, unit: rule.unit, min: rule.min, max, integer: !!rule.integer };
+}
+
+/**
+ * Flex each input by ±`pct` of its value and record net gain and IRR at both ends.
+ * Rows come back widest net-gain swing first; inputs at zero can't be flexed by a percentage and are left out.
+ * @param {Partial<import('./schema.js').Deal>} input
+ * @param {{ pct?: number, keys?: string[], netMetric?: string }} [options]
+ */
+export function tornado(input, { pct = 0.10, keys = SENSITIVITY_INPUTS.map((i) => i.key), netMetric = 'reBaseNet' } = {}) {
+  const deal = withDefaults(input);
+  const base = runDeal(deal).summary;
+  const baseNet = SENSITIVITY_METRICS[netMetric].value(base);
+  const baseIrr = base.irr.value;
+
+  const rows = [];
+  for (const key of keys) {
+    const value = deal[key];
+    if (typeof value !== 'number' || value === 0) continue;
+    const { label } = inputFor(key);
+    const ends = [value * (1 - pct), value * (1 + pct)].map((v) => {
+      const s = runDeal({ ...deal, [key]: v }).summary;
+      return { input: v, net: SENSITIVITY_METRICS[netMetric].value(s), irr: s.irr.value };
+    });
+    const [low, high] = ends;
+    rows.push({
+      key, label, value, low, high,
+      netSwing: Math.abs(high.net - low.net),
+      irrSwing: low.irr != null && high.irr != null ? Math.abs(high.irr - low.irr) : null,
+    });
+  }
+  rows.sort((a, b) => b.netSwing - a.netSwing);
+  return { baseNet, baseIrr, pct, rows };
+}
+
+/**
+ * Evenly spaced values from `from` to `to`.
+ * @param {number} from
+ * @param {number} to
+ * @param {number} steps  number of values (≥ 2)
+ */
+export function linspace(from, to, steps) {
+  const n = Math.max(2, Math.round(steps) || 2);
+  return Array.from({ length: n }, (_, i) => from + ((to - from) * i) / (n - 1));
+}
+
+/**
+ * Evaluate `metric` over a grid of two inputs. cells[j][i] is y = yValues[j], x = xValues[i].
+ * @param {Partial<import('./schema.js').Deal>} input
+ * @param {{ key: string, values: number[] }} x
+ * @param {{ key: string, values: number[] }} y
+ * @param {string} [metric]
+ */
+export function heatmap(input, x, y, metric = 'advantage') {
+  const deal = withDefaults(input);
+  const cells = y.values.map((yv) => x.values.map((xv) => measure({ ...deal, [x.key]: xv, [y.key]: yv }, metric)));
+  const flat = cells.flat().filter((v) => v != null);
+  return {
+    x, y, metric, cells,
+    min: flat.length ? Math.min(...flat) : null,
+    max: flat.length ? Math.max(...flat) : null,
+  };
+}
+
+/**
+ * Find the value of one input at which `metric` hits `target` (by default: real estate
+ * exactly matches stocks). Steps outward from the current value in doubling strides,
+ * within the input's allowed range, and bisects the first crossing found. Whole-number
+ * fields (horizon, term) come back as the whole number nearest the target. Dates, choices
+ * and keys that aren't Deal fields can't be searched.
+ * @param {Partial<import('./schema.js').Deal>} input
+ * @param {string} key
+ * @param {{ metric?: string, target?: number, min?: number, max?: number }} [options]
+ * @returns {{ value: number|null, reason: string|null, message: string|null }}
+ */
+export function breakEven(input, key, { metric = 'advantage', target = 0, min, max } = {}) {
+  const deal = withDefaults(input);
+  const range = searchRange(key, deal[key]);
+  if (!range) return { value: null, reason: 'unknown-input', message: `${key} isn't an input break-even can solve for.` };
+  const lo = min ?? range.min;
+  const hi = max ?? range.max;
+  const f = (v) => {
+    const m = measure({ ...deal, [key]: range.integer ? Math.round(v) : v }, metric);
+    return m == null ? null : m - target;
+  };
+
+  const current = Math.min(hi, Math.max(lo, deal[key]));
+  const f0 = f(current);
+  if (f0 === 0) return { value: current, reason: null, message: null };
+
+  // Nearest crossing on either side: walk both directions until each hits the range edge
+  const stride = Math.abs(current) * 0.02 || (hi - lo) / 1_000;
+  const sides = [-1, 1].map((dir) => ({ dir, x: current, fx: f0, done: false }));
+  let bracket = null;
+  for (let k = 0; !bracket && sides.some((sd) => !sd.done); k++) {
+    for (const sd of sides) {
+      if (sd.done) continue;
+      const x = Math.min(hi, Math.max(lo, current + sd.dir * stride * 2 ** k));
+      const fx = f(x);
+      if (fx != null && sd.fx != null && sd.fx * fx <= 0) {
+        bracket = sd.dir < 0 ? [x, sd.x, fx] : [sd.x, x, sd.fx];
+        break;
+      }
+      sd.done = x === lo || x === hi;
+      sd.x = x;
+      sd.fx = fx;
+    }
+  }
+  if (!bracket) {
+    const label = SENSITIVITY_METRICS[metric].label;
+    return { value: null, reason: 'no-crossing', message: `${label} stays on one side of the target for every ${range.label.toLowerCase()} from ${lo} to ${hi}.` };
+  }
+
+  let [a, b, fa] = bracket;
+  for (let i = 0; i < 60 && b - a > Math.max(Math.abs(b), 1) * 1e-9; i++) {
+    const mid = (a + b) / 2;
+    const fm = f(mid);
+    if (fm == null) break;
+    if (fa * fm <= 0) b = mid;
+    else { a = mid; fa = fm; }
+  }
+  if (range.integer) {
+    const [down, up] = [Math.floor((a + b) / 2), Math.ceil((a + b) / 2)].map((v) => Math.min(hi, Math.max(lo, v)));
+    return { value: Math.abs(f(down) ?? Infinity) <= Math.abs(f(up) ?? Infinity) ? down : up, reason: null, message: null };
+  }
+  return { value: (a + b) / 2, reason: null, message: null };
+}
+
+/**
+ * Everything the sensitivity panel shows, in one call so it can run off the main thread:
+ * the tornado, a heatmap of ±`spread` around the current x/y values and the break-even for `solveKey`.
+ * @param {Partial<import('./schema.js').Deal>} input
+ * @param {{ pct?: number, netMetric?: string, xKey?: string, yKey?: string, spread?: number, steps?: number, heatMetric?: string, solveKey?: string }} [options]
+ */
+export function sensitivityReport(input, { pct = 0.10, netMetric = 'reBaseNet', xKey = 'purchasePrice', yKey = 'rentMonthly', spread = 0.20, steps = 7, heatMetric = 'advantage', solveKey = 'rentMonthly' } = {}) {
+  const deal = withDefaults(input);
+  const around = (key) => ({ key, values: linspace(deal[key] * (1 - spread), deal[key] * (1 + spread), Math.min(15, steps)) });
+  return {
+    tornado: tornado(deal, { pct, netMetric }),
+    heatmap: heatmap(deal, around(xKey), around(yKey), heatMetric),
+    breakEven: breakEven(deal, solveKey),
+  };
+}
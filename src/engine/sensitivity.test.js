@@ -0,0 +1,41 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, SENSITIVITY_INPUTS, breakEven, runDeal, sensitivityReport } from './index.js';
+
+describe('breakEven', () => {
+  it('only solves for numeric deal fields', () => {
+    expect(breakEven(DEFAULT_DEAL, 'loanType')).toMatchObject({ value: null, reason: 'unknown-input' });
+    expect(breakEven(DEFAULT_DEAL, 'purchaseDate').reason).toBe('unknown-input');
+    expect(breakEven(DEFAULT_DEAL, 'notAField').reason).toBe('unknown-input');
+  });
+
+  it('searches inputs outside the tornado within their validation limits', () => {
+    const deal = { ...DEFAULT_DEAL, rentMonthly: 2_500 };
+    const { value } = breakEven(deal, 'hoaMonthly');
+    expect(value).toBeGreaterThan(0);
+    const { summary } = runDeal({ ...deal, hoaMonthly: value });
+    expect(summary.reBaseNet - summary.stocksNet).toBeCloseTo(0, 2);
+  });
+
+  it('solves whole-number fields to a whole number', () => {
+    const { value } = breakEven({ ...DEFAULT_DEAL, rentMonthly: 2_000 }, 'horizonYears');
+    expect(Number.isInteger(value)).toBe(true);
+    expect(value).toBeGreaterThanOrEqual(1);
+    expect(value).toBeLessThanOrEqual(50);
+  });
+
+  it('finds the rent at which real estate matches stocks', () => {
+    const { value } = breakEven(DEFAULT_DEAL, 'rentMonthly');
+    const { summary } = runDeal({ ...DEFAULT_DEAL, rentMonthly: value });
+    expect(summary.reBaseNet - summary.stocksNet).toBeCloseTo(0, 2);
+  });
+});
+
+describe('sensitivityReport', () => {
+  it('bundles the tornado, a heatmap around the current values and the break-even', () => {
+    const report = sensitivityReport(DEFAULT_DEAL, { xKey: 'rate', yKey: 'rentMonthly', spread: 0.1, steps: 3, solveKey: 'rentMonthly' });
+    expect(report.tornado.rows.length).toBeLessThanOrEqual(SENSITIVITY_INPUTS.length);
+    expect(report.heatmap.x.values).toEqual([DEFAULT_DEAL.rate * 0.9, DEFAULT_DEAL.rate, DEFAULT_DEAL.rate * 1.1]);
+    expect(report.heatmap.cells).toHaveLength(3);
+    expect(report.breakEven).toEqual(breakEven(DEFAULT_DEAL, 'rentMonthly'));
+  });
+});
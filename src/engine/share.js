@@ -0,0 +1,86 @@
+// ---------------------------
+// Share links — a deal as a compact, versioned URL-safe string.
+// Format: '<version>.<base64url(JSON of the inputs that differ from DEFAULT_DEAL)>'
+// ---------------------------
+
+import { DEFAULT_DEAL, TRANSIENT_KEYS, fitsSchema } from './schema.js';
+
+export const SHARE_VERSION = 1;
+
+/**
+ * Upgrades keyed by the version they read: MIGRATIONS[n] turns a version-n payload into
+ * version n+1. Whenever a Deal field is renamed or changes meaning, bump SHARE_VERSION and
+ * add the step here so links already sent keep opening the same deal.
+ * @type {Record<number, (payload: Object) => Object>}
+ */
+const MIGRATIONS = {};
+
+// Trim float noise (0.1 + 0.2) so links stay short and stable
+const tidy = (v) => {
+  if (typeof v === 'number') return Number.isFinite(v) ? +v.toPrecision(12) : null;
+  if (Array.isArray(v)) return v.map(tidy);
+  if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, tidy(x)]));
+  return v;
+};
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = '';
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+/**
+ * @param {Partial<import('./schema.js').Deal>} deal
+ * @returns {string}  '' when the deal is all defaults
+ */
+export function encodeDeal(deal) {
+  const diff = {};
+  for (const [k, fallback] of Object.entries(DEFAULT_DEAL)) {
+    if (TRANSIENT_KEYS.includes(k) || !(k in deal)) continue;
+    const v = tidy(deal[k]);
+    if (JSON.stringify(v) !== JSON.stringify(fallback)) diff[k] = v;
+  }
+  return Object.keys(diff).length ? `${SHARE_VERSION}.${toBase64Url(JSON.stringify(diff))}` : '';
+}
+
+/**
+ * Read a share string back into deal inputs (only the fields it sets).
+ * Fields this build doesn't know, or with the wrong type, are dropped and listed.
+ * @param {string} text
+ * @returns {{ deal: Partial<import('./schema.js').Deal>, dropped: string[], error: string|null }}
+ */
+export function decodeDeal(text) {
+  const match = /^(\d+)\.([A-Za-z0-9_-]*)$/.exec(String(text ?? '').trim());
+  if (!match) return { deal: {}, dropped: [], error: 'The link is not a deal link.' };
+  const version = Number(match[1]);
+  if (version > SHARE_VERSION) {
+    return { deal: {}, dropped: [], error: `The link was made by a newer version (v${version}); this page reads up to v${SHARE_VERSION}.` };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(match[2]));
+  } catch {
+    return { deal: {}, dropped: [], error: 'The link is damaged — it may have been cut off when copied.' };
+  }
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { deal: {}, dropped: [], error: 'The link is damaged — it may have been cut off when copied.' };
+  }
+
+  for (let v = version; v < SHARE_VERSION; v++) payload = MIGRATIONS[v] ? MIGRATIONS[v](payload) : payload;
+
+  // Collected as entries so a '__proto__' key can never reach an assignment
+  const kept = [];
+  const dropped = [];
+  for (const [k, v] of Object.entries(payload)) {
+    if (!TRANSIENT_KEYS.includes(k) && fitsSchema(k, v)) kept.push([k, v]);
+    else dropped.push(k);
+  }
+  return { deal: Object.fromEntries(kept), dropped, error: null };
+}
@@ -0,0 +1,195 @@
+// ---------------------------
+// Monte Carlo — re-run the deal over sampled year-by-year paths
+// ---------------------------
+
+import { withDefaults } from './schema.js';
+import { runDeal } from './model.js';
+import { rentRoll } from './income.js';
+
+/**
+ * @typedef {Object} Distribution
+ * @property {'normal'|'uniform'|'triangular'|'fixed'} dist
+ * @property {number|null} [mean]  normal/fixed centre; null = the deal's own assumption
+ * @property {number} [sd]
+ * @property {number} [min]
+ * @property {number|null} [mode]  triangular peak; null = the deal's own assumption
+ * @property {number} [max]
+ */
+
+/**
+ * @typedef {Object} SimulationConfig
+ * @property {number} paths
+ * @property {number} seed
+ * @property {Distribution} appreciation      drawn every year
+ * @property {Distribution} rentGrowth        drawn every year
+ * @property {Distribution} spReturn          drawn every year
+ * @property {Distribution} vacancyMonthsPer10yr  long-term rentals: drawn once per path for each unit; vacant months then land at random
+ * @property {Distribution} strOccupancy      short-term rentals: drawn once per path
+ * @property {number} correlation             between the home-price and S&P draws in the same year
+ */
+
+/** @type {SimulationConfig} */
+export const DEFAULT_SIMULATION = Object.freeze({
+  paths: 2_000,
+  seed: 1,
+  appreciation: { dist: 'normal', mean: null, sd: 0.06 },
+  rentGrowth: { dist: 'normal', mean: null, sd: 0.02 },
+  spReturn: { dist: 'normal', mean: null, sd: 0.17 },
+  vacancyMonthsPer10yr: { dist: 'triangular', min: 0, mode: null, max: 10 },
+  strOccupancy: { dist: 'normal', mean: null, sd: 0.08 },
+  correlation: 0.3,
+});
+
+// mulberry32 — small, fast and reproducible for a given seed
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function standardNormal(rng) {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Standard normal CDF (Abramowitz & Stegun 26.2.17), so correlated z's can drive any distribution
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989422804014327 * Math.exp((-z * z) / 2);
+  const p = d * t * (0.31938153 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+  return z > 0 ? 1 - p : p;
+}
+
+/**
+ * Map a standard normal draw onto a distribution.
+ * @param {Distribution} spec
+ * @param {number} z
+ * @param {number} centre  the deal's own value, used where the spec leaves mean/mode null
+ */
+export function fromNormal(spec, z, centre) {
+  switch (spec.dist) {
+    case 'fixed':
+      return spec.mean ?? centre;
+    case 'uniform':
+      return spec.min + (spec.max - spec.min) * normalCdf(z);
+    case 'triangular': {
+      const u = normalCdf(z);
+      const { min, max } = spec;
+      const mode = Math.min(max, Math.max(min, spec.mode ?? centre));
+      const f = (mode - min) / (max - min || 1);
+      return u < f
+        ? min + Math.sqrt(u * (max - min) * (mode - min))
+        : max - Math.sqrt((1 - u) * (max - min) * (max - mode));
+    }
+    default:
+      return (spec.mean ?? centre) + (spec.sd ?? 0) * z;
+  }
+}
+
+/**
+ * Nearest-rank percentiles of an unsorted sample.
+ * @param {number[]} values
+ * @param {number[]} [ps]
+ */
+export function percentiles(values, ps = [5, 25, 50, 75, 95]) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const out = {};
+  for (const p of ps) {
+    const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+    out[`p${p}`] = sorted.length ? sorted[idx] : null;
+  }
+  return out;
+}
+
+// Each month is vacant with the drawn rate's probability, so the count varies around it too
+function vacancyMonths(spec, centre, months, rng) {
+  const per10 = Math.max(0, fromNormal(spec, standardNormal(rng), centre));
+  const p = Math.min(1, per10 / 120);
+  const list = [];
+  for (let m = 0; m < months; m++) if (rng() < p) list.push(m);
+  return list;
+}
+
+/**
+ * Draw one path of year-by-year overrides for `deal`. A single long-term rental gets one
+ * vacancy draw; each unit of a unit mix gets its own, centred on that unit's rate; a
+ * short-term rental draws its occupancy instead.
+ * @param {import('./schema.js').Deal} deal
+ * @param {SimulationConfig} config
+ * @param {() => number} rng
+ */
+export function samplePath(deal, config, rng) {
+  const H = deal.horizonYears;
+  const rho = Math.max(-1, Math.min(1, config.correlation));
+  const appreciationPath = [];
+  const spReturnPath = [];
+  const rentGrowthPath = [];
+  for (let y = 0; y < H; y++) {
+    const z1 = standardNormal(rng);
+    const z2 = rho * z1 + Math.sqrt(1 - rho * rho) * standardNormal(rng);
+    appreciationPath.push(Math.max(-0.99, fromNormal(config.appreciation, z1, deal.appreciationAnnual)));
+    spReturnPath.push(Math.max(-0.99, fromNormal(config.spReturn, z2, deal.spAnnualReturn)));
+    rentGrowthPath.push(Math.max(-0.99, fromNormal(config.rentGrowth, standardNormal(rng), deal.rentGrowthAnnual)));
+  }
+
+  const path = { appreciationPath, spReturnPath, rentGrowthPath };
+  if (deal.rentalMode === 'shortTerm') {
+    path.strOccupancy = Math.min(1, Math.max(0, fromNormal(config.strOccupancy, standardNormal(rng), deal.strOccupancy)));
+  } else if (deal.units?.length) {
+    path.unitVacancyMonthLists = rentRoll(deal).map((unit) => vacancyMonths(config.vacancyMonthsPer10yr, unit.vacancyMonthsPer10yr, H * 12, rng));
+  } else {
+    path.vacancyMonthList = vacancyMonths(config.vacancyMonthsPer10yr, deal.vacancyMonthsPer10yr, H * 12, rng);
+  }
+  return path;
+}
+
+/**
+ * Run the deal over `config.paths` sampled paths.
+ * Reports percentile bands of pre-tax net gain for real estate and the S&P by year,
+ * the chance real estate finishes ahead, and the chance of at least one month with
+ * negative cash flow.
+ * @param {Partial<import('./schema.js').Deal>} input
+ * @param {Partial<SimulationConfig>} [options]
+ * @param {(done: number, total: number) => void} [onProgress]
+ */
+export function simulateDeal(input, options = {}, onProgress) {
+  const deal = withDefaults(input);
+  const config = { ...DEFAULT_SIMULATION, ...options };
+  const rng = createRng(config.seed);
+  const n = Math.max(1, Math.round(config.paths));
+
+  const reNet = [];
+  const stocksNet = [];
+  const byYear = Array.from({ length: deal.horizonYears }, () => ({ re: [], stocks: [] }));
+  let reWins = 0;
+  let negativeMonthPaths = 0;
+
+  for (let i = 0; i < n; i++) {
+    const { years, months, summary } = runDeal({ ...deal, ...samplePath(deal, config, rng) });
+    reNet.push(summary.reBaseNet);
+    stocksNet.push(summary.stocksNet);
+    if (summary.reBaseNet > summary.stocksNet) reWins++;
+    if (months.some((m) => m.cashFlow < 0)) negativeMonthPaths++;
+    years.forEach((y, idx) => {
+      byYear[idx].re.push(y.reNetToDate);
+      byYear[idx].stocks.push(y.stockNetToDate);
+    });
+    if (onProgress && ((i + 1) % 100 === 0 || i + 1 === n)) onProgress(i + 1, n);
+  }
+
+  return {
+    paths: n,
+    reNet: percentiles(reNet),
+    stocksNet: percentiles(stocksNet),
+    advantage: percentiles(reNet.map((v, i) => v - stocksNet[i])),
+    probReBeatsStocks: reWins / n,
+    probNegativeCashMonth: negativeMonthPaths / n,
+    bands: byYear.map((b, idx) => ({ year: idx + 1, re: percentiles(b.re), stocks: percentiles(b.stocks) })),
+  };
+}
@@ -0,0 +1,37 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, DEFAULT_SIMULATION, createRng, incomeSchedule, samplePath } from './index.js';
+
+describe('samplePath vacancy and occupancy', () => {
+  const units = [
+    { name: 'A', rentMonthly: 1_000, vacancyMonthsPer10yr: 0, placementCountPer10yr: 0, turnoverCost: 0 },
+    { name: 'B', rentMonthly: 1_000, vacancyMonthsPer10yr: 60, placementCountPer10yr: 0, turnoverCost: 0 },
+  ];
+  const fixedAtCentre = { ...DEFAULT_SIMULATION, vacancyMonthsPer10yr: { dist: 'fixed', mean: null } };
+
+  it('draws one list for a single unit', () => {
+    const path = samplePath(DEFAULT_DEAL, DEFAULT_SIMULATION, createRng(1));
+    expect(Array.isArray(path.vacancyMonthList)).toBe(true);
+    expect(path.unitVacancyMonthLists).toBeUndefined();
+  });
+
+  it('draws each unit of a mix around its own rate', () => {
+    const deal = { ...DEFAULT_DEAL, units, horizonYears: 30 };
+    const { unitVacancyMonthLists, vacancyMonthList } = samplePath(deal, fixedAtCentre, createRng(1));
+    expect(vacancyMonthList).toBeUndefined();
+    expect(unitVacancyMonthLists[0]).toEqual([]);
+    expect(unitVacancyMonthLists[1].length).toBeGreaterThan(120);
+  });
+
+  it('applies the per-unit lists to the rent roll', () => {
+    const deal = { ...DEFAULT_DEAL, units, horizonYears: 1, unitVacancyMonthLists: [[0], [1, 2]], inflationRate: 0, rentGrowthAnnual: 0 };
+    expect(incomeSchedule(deal).slice(0, 4).map((m) => m.vacancyLoss)).toEqual([1_000, 1_000, 1_000, 0]);
+  });
+
+  it('draws occupancy for a short-term rental, within 0–100%', () => {
+    const deal = { ...DEFAULT_DEAL, rentalMode: 'shortTerm' };
+    const rng = createRng(7);
+    const draws = Array.from({ length: 200 }, () => samplePath(deal, { ...DEFAULT_SIMULATION, strOccupancy: { dist: 'normal', mean: null, sd: 0.5 } }, rng));
+    expect(draws.every((p) => p.strOccupancy >= 0 && p.strOccupancy <= 1 && p.vacancyMonthList === undefined)).toBe(true);
+    expect(new Set(draws.map((p) => p.strOccupancy)).size).toBeGreaterThan(100);
+  });
+});
@@ -0,0 +1,25 @@
+// ---------------------------
+// Web worker wrapper so simulations and sensitivity sweeps run off the main thread.
+// In: { id, task: 'simulate'|'sensitivity', deal, config }.
+// Out: { id, type: 'progress', done, total } (simulations only) then { id, type: 'result', result }.
+// ---------------------------
+
+import { simulateDeal } from './simulate.js';
+import { sensitivityReport } from './sensitivity.js';
+
+const TASKS = {
+  simulate: (deal, config, onProgress) => simulateDeal(deal, config, onProgress),
+  sensitivity: (deal, config) => sensitivityReport(deal, config),
+};
+
+self.onmessage = (e) => {
+  const { id, task = 'simulate', deal, config } = e.data;
+  try {
+    const run = TASKS[task];
+    if (!run) throw new Error(`Unknown task: ${task}`);
+    const result = run(deal, config, (done, total) => self.postMessage({ id, type: 'progress', done, total }));
+    self.postMessage({ id, type: 'result', result });
+  } catch (err) {
+    self.postMessage({ id, type: 'error', message: String(err?.message ?? err) });
+  }
+};
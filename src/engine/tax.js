@@ -0,0 +1,99 @@
+// ---------------------------
+// Passive-loss rules (illustrative only; not tax advice)
+// ---------------------------
+
+/**
+ * Pub 925 special allowance (non-REPS): $25k phased out 100k→150k MAGI.
+ * @param {number} magi
+ */
+export function specialAllowance(magi) {
+  if (magi <= 100_000) return 25_000;
+  if (magi >= 150_000) return 0;
+  return Math.max(0, 25_000 - 0.5 * (magi - 100_000));
+}
+
+/**
+ * MAGI in hold year `year` (1-based): `magi` in year 1, growing `magiGrowthAnnual` a year.
+ * @param {{ magi: number, magiGrowthAnnual: number }} deal
+ * @param {number} year
+ */
+export function magiInYear(deal, year) {
+  return deal.magi * Math.pow(1 + deal.magiGrowthAnnual, Math.max(0, year - 1));
+}
+
+/** Average customer stay (nights) at or under which a rental isn't a "rental activity" (Reg. §1.469-1T(e)(3)). */
+export const STR_MAX_AVERAGE_STAY = 7;
+
+/**
+ * How the property's losses are treated.
+ * - REPS: non-passive.
+ * - Short-term rental with an average stay of 7 nights or less: not a rental activity, so no
+ *   special allowance; losses are non-passive only with material participation.
+ * - Anything else: a passive rental activity with the Pub 925 special allowance.
+ * @param {import('./schema.js').Deal} deal
+ * @returns {{ nonPassive: boolean, allowance: boolean, label: string }}
+ */
+export function lossTreatment(deal) {
+  if (deal.repsOrSTR) return { nonPassive: true, allowance: false, label: 'Non-passive (REPS)' };
+  if (deal.rentalMode === 'shortTerm' && deal.strAvgStayNights <= STR_MAX_AVERAGE_STAY) {
+    return deal.strMaterialParticipation
+      ? { nonPassive: true, allowance: false, label: 'Non-passive (STR, material participation)' }
+      : { nonPassive: false, allowance: false, label: `Passive, no allowance (STR, stays ≤ ${STR_MAX_AVERAGE_STAY} nights)` };
+  }
+  return { nonPassive: false, allowance: true, label: 'Passive rental (Pub 925 allowance)' };
+}
+
+/**
+ * Year-by-year passive activity ledger.
+ * Each year's rental loss plus any suspended carryforward first offsets passive income
+ * (this property's and `otherPassiveIncome`), then the special allowance for that year's MAGI.
+ * Whatever is left is suspended and carried forward. A fully taxable sale releases the
+ * remaining suspended loss against ordinary income; a 1031 exchange carries it over.
+ * Non-passive losses (see `lossTreatment`) are always usable; a short-term rental without
+ * material participation gets no special allowance.
+ * @param {import('./schema.js').Deal} deal
+ * @param {number[]} taxableByYear  rent less deductible expenses, interest and depreciation
+ * @returns {{ year: number, magi: number, allowance: number, suspendedStart: number, lossUsed: number, lossDisallowed: number, suspendedEnd: number, releasedOnSale: number, taxEffect: number }[]}
+ */
+export function taxLedger(deal, taxableByYear) {
+  const treatment = lossTreatment(deal);
+  const rows = [];
+  let suspended = 0;
+  taxableByYear.forEach((taxableIncome, idx) => {
+    const year = idx + 1;
+    const magi = magiInYear(deal, year);
+    const allowance = treatment.allowance ? specialAllowance(magi) : 0;
+    const suspendedStart = suspended;
+    const income = Math.max(0, taxableIncome);
+    const loss = Math.max(0, -taxableIncome);
+
+    let lossUsed;
+    if (treatment.nonPassive) {
+      lossUsed = loss + suspended;
+      suspended = 0;
+    } else {
+      const pool = loss + suspended;
+      const offset = Math.min(pool, income + deal.otherPassiveIncome);
+      const allowed = Math.min(pool - offset, allowance);
+      lossUsed = offset + allowed;
+      suspended = pool - lossUsed;
+    }
+
+    const isLast = year === taxableByYear.length;
+    const releasedOnSale = isLast && deal.exitMode !== '1031' ? suspended : 0;
+    suspended -= releasedOnSale;
+
+    rows.push({
+      year,
+      magi,
+      allowance,
+      suspendedStart,
+      lossUsed,
+      lossDisallowed: Math.max(0, suspended - suspendedStart),
+      suspendedEnd: suspended,
+      releasedOnSale,
+      taxEffect: (lossUsed + releasedOnSale - income) * deal.taxBracket,
+    });
+  });
+  return rows;
+}
@@ -0,0 +1,120 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, exitTaxes, lossTreatment, magiInYear, runBenchmark, specialAllowance, taxLedger } from './index.js';
+
+// Pub 925: $25,000 allowance, reduced by half of MAGI over $100,000, gone at $150,000
+describe('specialAllowance phase-out', () => {
+  it.each([
+    [0, 25_000],
+    [99_999, 25_000],
+    [100_000, 25_000],
+    [100_001, 24_999.5],
+    [100_002, 24_999],
+    [110_000, 20_000],
+    [125_000, 12_500],
+    [149_998, 1],
+    [149_999, 0.5],
+    [150_000, 0],
+    [150_001, 0],
+    [1_000_000, 0],
+  ])('MAGI %d → %d', (magi, allowance) => {
+    expect(specialAllowance(magi)).toBeCloseTo(allowance, 8);
+  });
+
+  it('never increases with MAGI', () => {
+    for (let magi = 90_000; magi < 160_000; magi += 250) {
+      expect(specialAllowance(magi + 250)).toBeLessThanOrEqual(specialAllowance(magi));
+    }
+  });
+});
+
+describe('taxLedger', () => {
+  const deal = (overrides) => ({ ...DEFAULT_DEAL, magiGrowthAnnual: 0, taxBracket: 0.24, ...overrides });
+
+  it('uses the full allowance at $100k MAGI and suspends the rest', () => {
+    const [y1, y2] = taxLedger(deal({ magi: 100_000 }), [-30_000, -30_000, 0]);
+    expect(y1).toMatchObject({ allowance: 25_000, lossUsed: 25_000, lossDisallowed: 5_000, suspendedEnd: 5_000 });
+    expect(y2).toMatchObject({ suspendedStart: 5_000, lossUsed: 25_000, suspendedEnd: 10_000 });
+    expect(y1.taxEffect).toBeCloseTo(6_000, 8);
+  });
+
+  it('halves the allowance at $125k and suspends everything at $150k', () => {
+    expect(taxLedger(deal({ magi: 125_000 }), [-30_000, 0])[0]).toMatchObject({ allowance: 12_500, lossUsed: 12_500, suspendedEnd: 17_500 });
+    expect(taxLedger(deal({ magi: 150_000 }), [-30_000, 0])[0]).toMatchObject({ allowance: 0, lossUsed: 0, suspendedEnd: 30_000 });
+  });
+
+  it('phases out as MAGI grows across the boundary', () => {
+    const rows = taxLedger(deal({ magi: 100_000, magiGrowthAnnual: 0.25 }), [-30_000, -30_000, -30_000, 0]);
+    expect(rows.map((r) => r.magi)).toEqual([100_000, 125_000, 156_250, 195_312.5]);
+    expect(rows.map((r) => r.allowance)).toEqual([25_000, 12_500, 0, 0]);
+  });
+
+  it('offsets passive income before the allowance', () => {
+    const [y1] = taxLedger(deal({ magi: 150_000, otherPassiveIncome: 8_000 }), [-30_000, 0]);
+    expect(y1).toMatchObject({ lossUsed: 8_000, suspendedEnd: 22_000 });
+  });
+
+  it('carries suspended losses against later income', () => {
+    const rows = taxLedger(deal({ magi: 150_000 }), [-30_000, 12_000, 0]);
+    expect(rows[1]).toMatchObject({ suspendedStart: 30_000, lossUsed: 12_000, suspendedEnd: 18_000 });
+    expect(rows[1].taxEffect).toBeCloseTo(0, 8);
+  });
+
+  it('releases suspended losses on a taxable sale but not in a 1031 exchange', () => {
+    const sale = taxLedger(deal({ magi: 200_000 }), [-10_000, -10_000]);
+    expect(sale[1]).toMatchObject({ suspendedStart: 10_000, releasedOnSale: 20_000, suspendedEnd: 0 });
+    expect(sale.reduce((acc, r) => acc + r.taxEffect, 0)).toBeCloseTo(4_800, 8);
+
+    const exchange = taxLedger(deal({ magi: 200_000, exitMode: '1031' }), [-10_000, -10_000]);
+    expect(exchange[1]).toMatchObject({ releasedOnSale: 0, suspendedEnd: 20_000 });
+  });
+
+  it('lets a real estate professional use every loss regardless of MAGI', () => {
+    const rows = taxLedger(deal({ magi: 500_000, repsOrSTR: true }), [-40_000, -40_000]);
+    expect(rows.map((r) => r.lossUsed)).toEqual([40_000, 40_000]);
+    expect(rows.every((r) => r.allowance === 0 && r.suspendedEnd === 0)).toBe(true);
+  });
+
+  it('gives a short-stay rental no allowance unless the owner materially participates', () => {
+    const str = { rentalMode: 'shortTerm', strAvgStayNights: 7, magi: 90_000 };
+    expect(taxLedger(deal(str), [-20_000, 0])[0]).toMatchObject({ allowance: 0, lossUsed: 0, suspendedEnd: 20_000 });
+    expect(taxLedger(deal({ ...str, strMaterialParticipation: true }), [-20_000, 0])[0]).toMatchObject({ lossUsed: 20_000 });
+    // Longer average stays are an ordinary rental activity again
+    expect(taxLedger(deal({ ...str, strAvgStayNights: 8 }), [-20_000, 0])[0]).toMatchObject({ allowance: 25_000, lossUsed: 20_000 });
+  });
+});
+
+describe('lossTreatment', () => {
+  it.each([
+    [{}, { nonPassive: false, allowance: true }],
+    [{ repsOrSTR: true }, { nonPassive: true, allowance: false }],
+    [{ rentalMode: 'shortTerm', strAvgStayNights: 3 }, { nonPassive: false, allowance: false }],
+    [{ rentalMode: 'shortTerm', strAvgStayNights: 3, strMaterialParticipation: true }, { nonPassive: true, allowance: false }],
+    [{ rentalMode: 'shortTerm', strAvgStayNights: 30 }, { nonPassive: false, allowance: true }],
+  ])('%j', (overrides, expected) => {
+    expect(lossTreatment({ ...DEFAULT_DEAL, ...overrides })).toMatchObject(expected);
+  });
+});
+
+describe('NIIT at exit uses the sale year\'s MAGI', () => {
+  const deal = { ...DEFAULT_DEAL, magi: 150_000, magiGrowthAnnual: 0.03, horizonYears: 10 };
+  const exitMagi = magiInYear(deal, 10);
+
+  it('matches the ledger\'s MAGI growth', () => {
+    expect(exitMagi).toBeCloseTo(150_000 * Math.pow(1.03, 9), 6);
+    expect(taxLedger(deal, Array(10).fill(0)).at(-1).magi).toBeCloseTo(exitMagi, 6);
+  });
+
+  it('on the property sale', () => {
+    const sale = { salePrice: 500_000, saleCosts: 0, netProceeds: 0, depreciation1245: 0, depreciation1250: 0, capitalized: 0 };
+    const { totalGain, niit } = exitTaxes(deal, sale);
+    expect(niit).toBeCloseTo((totalGain - (deal.niitThreshold - exitMagi)) * deal.niitRate, 6);
+  });
+
+  it('on the stock liquidation', () => {
+    const flows = Array(120).fill(0);
+    const flat = runBenchmark({ ...deal, magiGrowthAnnual: 0 }, 68_000, flows).afterTax.liquidationTax;
+    const grown = runBenchmark(deal, 68_000, flows).afterTax.liquidationTax;
+    expect(grown - flat).toBeCloseTo((exitMagi - deal.magi) * deal.niitRate, 6);
+  });
+});
+
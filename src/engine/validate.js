@@ -0,0 +1,282 @@
+// ---------------------------
+// Input validation — per-field ranges, cross-field rules, and a repaired deal the engine can
+// always run. Errors block a value (it is clamped or reset for the run); warnings flag values
+// that are legal but unusual.
+// ---------------------------
+
+import { DEFAULT_DEAL } from './schema.js';
+import { startingRent } from './income.js';
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {string} label
+ * @property {'usd'|'pct'|'count'|'date'|'choice'} unit   'pct' fields are fractions (0.065 = 6.5%).
+ * @property {Record<string, string>} [options]  'choice' fields: each allowed value and how to name it
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {boolean} [integer]
+ * @property {boolean} [nullable]   null is a legal value (e.g. "use the default table").
+ * @property {number} [warnBelow]   legal but unusual under this
+ * @property {number} [warnAbove]   … or over this
+ */
+
+const usd = (label, extra = {}) => ({ label, unit: 'usd', min: 0, ...extra });
+const pct = (label, min, max, extra = {}) => ({ label, unit: 'pct', min, max, ...extra });
+const growth = (label) => pct(label, -0.20, 0.30, { warnBelow: -0.05, warnAbove: 0.10 });
+const choice = (label, options) => ({ label, unit: 'choice', options });
+
+/** @type {Record<string, FieldRule>} */
+export const FIELD_RULES = {
+  purchaseDate: { label: 'Purchase date', unit: 'date' },
+  purchasePrice: usd('Purchase price', { min: 1, warnBelow: 20_000, warnAbove: 20_000_000 }),
+  downPayment: usd('Down payment'),
+  closingCosts: usd('Closing costs'),
+  reserves: usd('Safety net amount'),
+
+  loanType: choice('Loan type', { fixed: 'fixed', interestOnly: 'interest-only', arm: 'ARM' }),
+  rate: pct('Rate (APR)', 0, 0.30, { warnBelow: 0.01, warnAbove: 0.12 }),
+  termYears: { label: 'Term', unit: 'count', min: 1, max: 40, integer: true },
+  ioYears: { label: 'Interest-only years', unit: 'count', min: 0, max: 40, integer: true },
+  pmiAnnualRate: pct('PMI rate', 0, 0.05, { warnAbove: 0.02 }),
+
+  rentalMode: choice('Rental mode', { longTerm: 'long-term', shortTerm: 'short-term' }),
+  rentMonthly: usd('Start rent'),
+  rentGrowthAnnual: growth('Rent growth'),
+  vacancyMonthsPer10yr: { label: 'Vacancy per 10yr', unit: 'count', min: 0, max: 120, warnAbove: 24 },
+  placementCountPer10yr: { label: 'Placements per 10yr', unit: 'count', min: 0, max: 120, warnAbove: 20 },
+  strNightlyRate: usd('Nightly rate', { warnAbove: 2_000 }),
+  strOccupancy: pct('Occupancy', 0, 1, { warnBelow: 0.30, warnAbove: 0.85 }),
+  strAvgStayNights: { label: 'Average stay (nights)', unit: 'count', min: 1, max: 365, warnAbove: 30 },
+  strCleaningFee: usd('Cleaning fee / stay'),
+  strCleaningCost: usd('Cleaning cost / stay'),
+  strPlatformFeePct: pct('Platform fee', 0, 0.30, { warnAbove: 0.18 }),
+  strMgmtPct: pct('STR management', 0, 0.60, { warnAbove: 0.35 }),
+  strFurnishing: usd('Furnishing'),
+  strFurnishingLifeYears: { label: 'Furnishing life', unit: 'count', min: 1, max: 30 },
+
+  pmPct: pct('PM (% of rent)', 0, 0.50, { warnAbove: 0.12 }),
+  pmFlatMonthly: usd('PM flat / mo'),
+  taxesPct: pct('Property tax', 0, 0.10, { warnAbove: 0.04 }),
+  taxGrowthAnnual: growth('Tax reassessment growth'),
+  insuranceAnnual: usd('Insurance / yr'),
+  insuranceGrowthAnnual: growth('Insurance growth'),
+  repairsPctOfRent: pct('Repairs (% of rent)', 0, 0.50, { warnAbove: 0.15 }),
+  hoaMonthly: usd('HOA / mo'),
+  hoaGrowthAnnual: growth('HOA growth'),
+  utilitiesMonthly: usd('Owner-paid utilities / mo'),
+  utilitiesGrowthAnnual: growth('Utilities growth'),
+  landscapingMonthly: usd('Landscaping / mo'),
+  landscapingGrowthAnnual: growth('Landscaping growth'),
+  warrantyAnnual: usd('Home warranty / yr'),
+  warrantyGrowthAnnual: growth('Warranty growth'),
+  capexMode: choice('Capex', { reserve: 'a monthly reserve', actual: 'paid when due' }),
+  capexInflation: growth('Capex cost inflation'),
+
+  appreciationAnnual: pct('Appreciation', -0.30, 0.30, { warnBelow: -0.03, warnAbove: 0.10 }),
+  inflationRate: pct('Inflation', -0.05, 0.25, { warnBelow: 0, warnAbove: 0.08 }),
+  horizonYears: { label: 'Horizon', unit: 'count', min: 1, max: 50, integer: true },
+  saleCostPct: pct('Sale costs', 0, 0.20, { warnAbove: 0.10 }),
+  exitMode: choice('Exit', { sale: 'a taxable sale', 1031: 'a 1031 exchange' }),
+
+  propertyUse: choice('Building', { residential: 'residential', commercial: 'commercial' }),
+  landPct: pct('Land %', 0, 1, { warnBelow: 0.05, warnAbove: 0.60 }),
+  placedInService: { label: 'Placed in service', unit: 'date', nullable: true },
+  costSeg5Pct: pct('5-yr % of improvements', 0, 1),
+  costSeg7Pct: pct('7-yr % of improvements', 0, 1),
+  costSeg15Pct: pct('15-yr % of improvements', 0, 1),
+  bonusPct: pct('Bonus %', 0, 1, { nullable: true }),
+  studyFee: usd('Study fee'),
+  taxBracket: pct('Tax bracket', 0, 0.50, { warnBelow: 0.10 }),
+  magi: usd('MAGI'),
+  magiGrowthAnnual: growth('MAGI growth'),
+  otherPassiveIncome: usd('Other passive income'),
+  capitalGainsRate: pct('LT capital gains rate', 0, 0.40, { warnAbove: 0.20 }),
+  niitRate: pct('NIIT rate', 0, 0.10),
+  niitThreshold: usd('NIIT threshold'),
+
+  benchmarkMode: choice('Stock benchmark', { initial: 'initial outlay', matched: 'same cash flows', dca: 'dollar-cost averaged' }),
+  spAnnualReturn: pct('S&P return', -0.50, 0.50, { warnBelow: 0, warnAbove: 0.15 }),
+  etfErBps: { label: 'ETF expense ratio (bps)', unit: 'count', min: 0, max: 300, warnAbove: 100 },
+  dcaMonths: { label: 'DCA months', unit: 'count', min: 1, max: 120, integer: true, warnAbove: 36 },
+  advisorFee: pct('Advisor fee', 0, 0.05, { warnAbove: 0.02 }),
+  dividendYield: pct('Dividend yield', 0, 0.10, { warnAbove: 0.04 }),
+  dividendTaxRate: pct('Dividend tax rate', 0, 0.50, { warnAbove: 0.25 }),
+  mirrFinanceRate: pct('MIRR finance rate', 0, 0.50, { warnAbove: 0.20 }),
+  mirrReinvestRate: pct('MIRR reinvest rate', 0, 0.50, { warnAbove: 0.20 }),
+};
+
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+const isDate = (v) => typeof v === 'string' && DATE.test(v) && !Number.isNaN(Date.parse(v));
+const clamp = (v, lo, hi) => Math.min(hi ?? Infinity, Math.max(lo ?? -Infinity, v));
+const either = (names) => names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names.at(-1)}` : names[0];
+const show = (v, unit) => unit === 'pct' ? `${+(v * 100).toFixed(4)}%` : unit === 'usd' ? `$${v.toLocaleString('en-US')}` : String(v);
+
+// One field on its own: [error|null, warning|null, repaired value]
+function checkField(rule, value, fallback) {
+  if (rule.unit === 'choice') {
+    return typeof value === 'string' && Object.hasOwn(rule.options, value) ? [null, null, value] : [`${rule.label} must be ${either(Object.values(rule.options))}.`, null, fallback];
+  }
+  if (rule.unit === 'date') {
+    if (value == null && rule.nullable) return [null, null, null];
+    return isDate(value) ? [null, null, value] : [`${rule.label} must be a date (YYYY-MM-DD).`, null, fallback];
+  }
+  if (value == null && rule.nullable) return [null, null, null];
+  if (typeof value !== 'number' || !Number.isFinite(value)) return [`${rule.label} is required.`, null, fallback];
+
+  // 6.5 typed into a fraction field almost always means 6.5%
+  if (rule.unit === 'pct' && rule.max <= 1 && value > 1 && value / 100 <= rule.max) {
+    return [`${rule.label} is a fraction — for ${value}% enter ${+(value / 100).toFixed(6)}.`, null, clamp(value / 100, rule.min, rule.max)];
+  }
+  if (rule.min != null && value < rule.min) return [`${rule.label} must be at least ${show(rule.min, rule.unit)}.`, null, rule.min];
+  if (rule.max != null && value > rule.max) return [`${rule.label} must be at most ${show(rule.max, rule.unit)}.`, null, rule.max];
+  if (rule.integer && !Number.isInteger(value)) return [`${rule.label} must be a whole number.`, null, Math.round(value)];
+
+  if (rule.warnBelow != null && value < rule.warnBelow) return [null, `${show(value, rule.unit)} is unusually low for ${rule.label.toLowerCase()}.`, value];
+  if (rule.warnAbove != null && value > rule.warnAbove) return [null, `${show(value, rule.unit)} is unusually high for ${rule.label.toLowerCase()}.`, value];
+  return [null, null, value];
+}
+
+const finite = (v, lo, hi = Infinity) => Number.isFinite(v) && v >= lo && v <= hi;
+
+// What's wrong with one unit of the rent roll, or null
+function unitProblem(u) {
+  if (!u || !finite(u.rentMonthly, 0)) return 'rent must be 0 or more.';
+  if (!finite(u.vacancyMonthsPer10yr, 0, 120) || !finite(u.placementCountPer10yr, 0, 120)) return 'vacancy and placements must be from 0 to 120 per 10 years.';
+  if (u.vacancyMonthsPer10yr + u.placementCountPer10yr > 120) return 'vacancy plus placements can’t exceed 120 months per 10 years.';
+  if (!finite(u.turnoverCost ?? 0, 0)) return 'turnover cost must be 0 or more.';
+  return null;
+}
+
+// What's wrong with one mid-hold event, or null
+function eventProblem(e, months) {
+  if (!e || !Number.isInteger(e.month) || e.month < 1 || e.month > months) return `month must be a whole number from 1 to ${months}.`;
+  if (e.type === 'rehab') {
+    if (!finite(e.cost, 0)) return 'rehab cost must be 0 or more.';
+    if (!finite(e.arv ?? 0, 0)) return 'after-repair value must be 0 (unchanged) or more.';
+    if (!finite(e.downtimeMonths ?? 0, 0, months)) return 'downtime must be 0 or more months.';
+    return null;
+  }
+  if (e.type === 'refinance') {
+    if (!finite(e.rate, 0, FIELD_RULES.rate.max)) return `rate must be from 0 to ${show(FIELD_RULES.rate.max, 'pct')}.`;
+    if (!Number.isInteger(e.termYears) || e.termYears < 1 || e.termYears > 40) return 'term must be a whole number of years from 1 to 40.';
+    if (!finite(e.ltv, 0, 1)) return 'LTV must be a fraction from 0 to 1.';
+    if (!finite(e.closingCosts, 0)) return 'closing costs must be 0 or more.';
+    return null;
+  }
+  if (e.type === 'extraPrincipal') return finite(e.amount, 0) ? null : 'extra principal must be 0 or more.';
+  return 'unknown event type.';
+}
+
+/**
+ * Check every input and build a deal that is safe to run: fields with errors are clamped
+ * into range, or reset to the default when missing. Messages are keyed by field name.
+ * @param {Partial<import('./schema.js').Deal>} input
+ * @returns {{ valid: boolean, errors: Record<string, string>, warnings: Record<string, string>, deal: import('./schema.js').Deal }}
+ */
+export function validateDeal(input) {
+  const deal = { ...DEFAULT_DEAL, ...input };
+  const errors = {};
+  const warnings = {};
+
+  for (const [key, rule] of Object.entries(FIELD_RULES)) {
+    const [error, warning, value] = checkField(rule, deal[key], DEFAULT_DEAL[key]);
+    if (error) errors[key] = error;
+    if (warning) warnings[key] = warning;
+    deal[key] = value;
+  }
+
+  // --- Cross-field rules (run on the repaired values so one bad box doesn't cascade) ---
+  if (deal.downPayment > deal.purchasePrice) {
+    errors.downPayment ??= 'Down payment can’t be more than the purchase price.';
+    deal.downPayment = deal.purchasePrice;
+  } else if (!errors.downPayment && deal.downPayment < deal.purchasePrice * 0.03) {
+    warnings.downPayment ??= 'Under 3% down is unusual; most loans need at least 3–3.5%.';
+  }
+  if (!errors.closingCosts && deal.closingCosts > deal.purchasePrice * 0.10) {
+    warnings.closingCosts ??= 'Closing costs above 10% of the price are unusual.';
+  }
+  if (!Array.isArray(deal.units)) {
+    errors.units = 'Units must be a list.';
+    deal.units = [];
+  } else {
+    const problems = deal.units.map(unitProblem);
+    const bad = problems.findIndex(Boolean);
+    if (bad >= 0) errors.units = `${deal.units[bad]?.name || `Unit ${bad + 1}`}: ${problems[bad]}`;
+    // Like events, a broken unit is left out of the run
+    deal.units = deal.units.filter((_, i) => !problems[i]);
+  }
+  if (!Array.isArray(deal.strSeasonality) || deal.strSeasonality.length !== 12 || !deal.strSeasonality.every((v) => finite(v, 0, 5))) {
+    errors.strSeasonality = 'Seasonality needs 12 monthly multipliers from 0 to 5.';
+    deal.strSeasonality = DEFAULT_DEAL.strSeasonality;
+  } else if (deal.rentalMode === 'shortTerm' && !errors.strOccupancy && deal.strOccupancy * Math.max(...deal.strSeasonality) > 1) {
+    warnings.strSeasonality = 'Peak months would book more than every night; they are capped at 100% occupancy.';
+  }
+  const rent = startingRent(deal);
+  const rentKey = deal.rentalMode === 'shortTerm' ? 'strNightlyRate' : deal.units.length ? 'units' : 'rentMonthly';
+  if (!errors[rentKey] && rent > 0 && (rent < deal.purchasePrice * 0.003 || rent > deal.purchasePrice * 0.03)) {
+    warnings[rentKey] ??= `${deal.rentalMode === 'shortTerm' ? 'Expected income' : 'Rent'} is ${+(rent / deal.purchasePrice * 100).toFixed(2)}% of the price per month; 0.3–3% is typical.`;
+  }
+  if (deal.loanType === 'interestOnly' && deal.ioYears > deal.termYears) {
+    errors.ioYears ??= 'Interest-only years can’t exceed the loan term.';
+    deal.ioYears = deal.termYears;
+  }
+  if (deal.vacancyMonthsPer10yr + deal.placementCountPer10yr > 120) {
+    errors.vacancyMonthsPer10yr ??= 'Vacancy plus placements can’t exceed 120 months per 10 years.';
+    deal.placementCountPer10yr = Math.max(0, 120 - deal.vacancyMonthsPer10yr);
+  }
+  const segShare = deal.costSeg5Pct + deal.costSeg7Pct + deal.costSeg15Pct;
+  if (segShare > 1) {
+    errors.costSeg5Pct ??= `The 5/7/15-year shares add up to ${+(segShare * 100).toFixed(2)}%; they can’t exceed 100%.`;
+    deal.costSeg5Pct /= segShare;
+    deal.costSeg7Pct /= segShare;
+    deal.costSeg15Pct /= segShare;
+  } else if (deal.useCostSeg && segShare > 0.50 && !errors.costSeg5Pct) {
+    warnings.costSeg5Pct ??= 'Studies rarely put more than 40–50% of improvements in 5/7/15-year property.';
+  }
+  if (!errors.taxBracket && deal.taxBracket === 0) {
+    warnings.taxBracket = 'A 0% bracket means depreciation saves no tax.';
+  }
+
+  if (!Array.isArray(deal.armResets)) {
+    errors.armResets = 'ARM resets must be a list.';
+    deal.armResets = DEFAULT_DEAL.armResets;
+  } else if (deal.loanType === 'arm') {
+    const bad = deal.armResets.findIndex((r) => !Number.isInteger(r?.year) || r.year < 2 || r.year > deal.termYears
+      || !Number.isFinite(r.rate) || r.rate < 0 || r.rate > FIELD_RULES.rate.max);
+    if (bad >= 0) errors.armResets = `Reset ${bad + 1} needs a whole year from 2 to ${deal.termYears} and a rate from 0 to ${show(FIELD_RULES.rate.max, 'pct')}.`;
+    deal.armResets = deal.armResets
+      .filter((r) => Number.isFinite(r?.year) && Number.isFinite(r?.rate))
+      .map((r) => ({ year: clamp(Math.round(r.year), 2, deal.termYears), rate: clamp(r.rate, 0, FIELD_RULES.rate.max) }));
+  }
+
+  if (!Array.isArray(deal.capexItems)) {
+    errors.capexItems = 'Capex items must be a list.';
+    deal.capexItems = DEFAULT_DEAL.capexItems;
+  } else {
+    const bad = deal.capexItems.findIndex((c) => !Number.isFinite(c?.cost) || c.cost < 0
+      || !Number.isFinite(c.lifeYears) || c.lifeYears < 1 || !Number.isFinite(c.ageYears) || c.ageYears < 0);
+    if (bad >= 0) errors.capexItems = `${deal.capexItems[bad]?.name || `Item ${bad + 1}`}: cost and age must be 0 or more, life at least 1 year.`;
+    deal.capexItems = deal.capexItems.map((c) => ({
+      ...c,
+      cost: Number.isFinite(c?.cost) ? Math.max(0, c.cost) : 0,
+      lifeYears: Number.isFinite(c?.lifeYears) ? Math.max(1, c.lifeYears) : 1,
+      ageYears: Number.isFinite(c?.ageYears) ? Math.max(0, c.ageYears) : 0,
+    }));
+  }
+
+  if (!Array.isArray(deal.events)) {
+    errors.events = 'Events must be a list.';
+    deal.events = [];
+  } else {
+    const months = deal.horizonYears * 12;
+    const problems = deal.events.map((e) => eventProblem(e, months));
+    const bad = problems.findIndex(Boolean);
+    if (bad >= 0) errors.events = `Event ${bad + 1}: ${problems[bad]}`;
+    // Invalid events are left out of the run rather than guessed at
+    deal.events = deal.events.filter((_, i) => !problems[i]);
+    const refi = deal.events.find((e) => e.type === 'refinance' && e.ltv > 0.80);
+    if (!errors.events && refi) warnings.events = `Month ${refi.month} refinance at ${show(refi.ltv, 'pct')} LTV — most cash-out loans stop at 75–80%.`;
+  }
+
+  return { valid: Object.keys(errors).length === 0, errors, warnings, deal };
+}
@@ -0,0 +1,23 @@
+import { describe, expect, it } from 'vitest';
+import { DEFAULT_DEAL, validateDeal } from './index.js';
+
+describe('choice fields', () => {
+  it.each([
+    ['loanType', 'balloon'],
+    ['rentalMode', 'weekly'],
+    ['capexMode', 'never'],
+    ['propertyUse', 'industrial'],
+    ['exitMode', 1031],
+    ['benchmarkMode', 'toString'],
+  ])('%s = %j is an error and runs as the default', (key, value) => {
+    const { valid, errors, deal } = validateDeal({ [key]: value });
+    expect(valid).toBe(false);
+    expect(errors[key]).toEqual(expect.any(String));
+    expect(deal[key]).toBe(DEFAULT_DEAL[key]);
+  });
+
+  it('accepts every allowed value', () => {
+    const { errors } = validateDeal({ loanType: 'interestOnly', rentalMode: 'shortTerm', capexMode: 'actual', propertyUse: 'commercial', exitMode: '1031', benchmarkMode: 'dca' });
+    expect(errors).toEqual({});
+  });
+});
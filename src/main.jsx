@@ -3,6 +3,7 @@ import ReactDOM from "react-dom/client";
 import { HashRouter, Routes, Route } from "react-router-dom";
 import App from "./App.jsx";
 import RealROICalculator from "./realroi/RealROICalculator";
+import Portfolio from "./realroi/Portfolio";
 import "./index.css";
 
 ReactDOM.createRoot(document.getElementById("root")).render(
@@ -11,6 +12,7 @@ ReactDOM.createRoot(document.getElementById("root")).render(
       <Routes>
         <Route path="/" element={<App />} />
         <Route path="/realroi" element={<RealROICalculator />} />
+        <Route path="/portfolio" element={<Portfolio />} />
       </Routes>
     </HashRouter>
   </React.StrictMode>
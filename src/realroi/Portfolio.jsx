@@ -0,0 +1,302 @@
+// Portfolio.jsx — several saved deals combined on one calendar
+// - Tailwind for styling, Recharts for the charts
+// - Properties come from saved scenarios or pasted deal links; all client-side
+// -------------------------------------------------------------
+
+
+'use client';
+import React, { useMemo, useState } from 'react';
+import { Area, Bar, BarChart, CartesianGrid, ComposedChart, Legend, Line, Tooltip, XAxis, YAxis, ResponsiveContainer } from 'recharts';
+import { FIELD_RULES, decodeDeal, encodeDeal, runPortfolio, validateDeal } from '../engine/index.js';
+import { usePortfolio } from './usePortfolio.js';
+import { useScenarios } from './useScenarios.js';
+import { currency } from './format.js';
+import { Field, KV, Metric } from './ui.jsx';
+
+
+// ---------------------------
+// Helpers
+// ---------------------------
+
+
+function rate(result) {
+  return result.value != null ? (result.value*100).toFixed(2) + '%/yr' : '—';
+}
+
+
+// A full calculator link or just the code after `?d=`
+function linkCode(text) {
+  return /[?&]d=([^&#\s]+)/.exec(text)?.[1] ?? text.trim();
+}
+
+
+// Owner settings shown on the page; the rest of DEFAULT_OWNER keeps its default
+const OWNER_FIELDS = [
+  ['taxBracket', 0.01], ['magi', 1000], ['magiGrowthAnnual', 0.005], ['otherPassiveIncome', 1000], ['capitalGainsRate', 0.01],
+  ['spAnnualReturn', 0.0025], ['etfErBps', 1], ['advisorFee', 0.0025], ['dividendYield', 0.001], ['dividendTaxRate', 0.01],
+];
+
+
+// ---------------------------
+// UI Component
+// ---------------------------
+
+
+export default function Portfolio() {
+  const { properties, owner, add, update, remove, setOwner } = usePortfolio();
+  const { scenarios } = useScenarios();
+  const [pick, setPick] = useState('');
+  const [pasted, setPasted] = useState('');
+  const [pasteError, setPasteError] = useState(null);
+
+  // Each property runs on its repaired deal, like the calculator does
+  const checked = useMemo(() => properties.map((p) => ({ ...p, check: validateDeal(p.deal) })), [properties]);
+  const ownerCheck = useMemo(() => validateDeal(owner), [owner]);
+  const result = useMemo(() => {
+    const cleanOwner = Object.fromEntries(Object.keys(owner).map((k) => [k, ownerCheck.deal[k]]));
+    return runPortfolio(checked.map((p) => ({ name: p.name, deal: p.check.deal })), cleanOwner);
+  }, [checked, owner, ownerCheck]);
+  const s = result.summary;
+
+  const addScenario = () => {
+    const sc = scenarios.find((x) => x.id === pick);
+    if (sc) add(sc.name, sc.deal);
+    setPick('');
+  };
+  const addLink = () => {
+    const { deal, error } = decodeDeal(linkCode(pasted));
+    setPasteError(error);
+    if (error) return;
+    add('', deal);
+    setPasted('');
+  };
+
+  const bars = [
+    { key: 'Real estate — pre-tax', value: s.netGain },
+    { key: 'Real estate — after tax', value: s.afterTaxNet },
+    { key: 'Stocks — pre-tax', value: s.stocksNet },
+    { key: 'Stocks — after tax', value: s.stocksAfterTaxNet },
+  ];
+
+
+  return (
+    <div className="min-h-screen bg-neutral-50 text-neutral-900">
+      <div className="mx-auto max-w-7xl px-4 py-8">
+        <div className="flex items-center justify-between gap-4 mb-2">
+          <h1 className="text-2xl md:text-3xl font-bold">Portfolio</h1>
+          <a className="px-3 py-2 rounded bg-neutral-100 hover:bg-neutral-200 text-sm" href="#/realroi">Calculator</a>
+        </div>
+        <p className="text-sm text-neutral-600 mb-6">Every property on one calendar: each is bought on its own purchase date and sold at the end of its own hold. Passive losses are pooled across properties under one owner’s MAGI, and the stock comparison invests the same dated contributions.</p>
+
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Controls */}
+          <div className="lg:col-span-1 space-y-6">
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Properties</h2>
+              {checked.length === 0 && <p className="text-sm text-neutral-500 mb-3">No properties yet. Add a saved scenario or paste a link copied from the calculator.</p>}
+              <div className="space-y-3">
+                {checked.map((p) => (
+                  <div key={p.id} className="rounded-xl border border-neutral-200 p-3 space-y-2">
+                    <div className="grid grid-cols-[1fr_auto] gap-2 items-end">
+                      <label className="block text-sm">
+                        <div className="mb-1 text-neutral-700">Name</div>
+                        <input value={p.name} onChange={(e)=>update(p.id, { name: e.target.value })}
+                          className="w-full rounded-xl border border-neutral-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                      </label>
+                      <button className="px-2 py-2 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>remove(p.id)}>Remove</button>
+                    </div>
+                    <div className="grid grid-cols-2 gap-2">
+                      <label className="block text-sm">
+                        <div className="mb-1 text-neutral-700">Purchase date</div>
+                        <input type="date" value={p.deal.purchaseDate} onChange={(e)=>e.target.value && update(p.id, { deal: { ...p.deal, purchaseDate: e.target.value } })}
+                          className="w-full rounded-xl border border-neutral-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                      </label>
+                      <Field label="Hold (years)" value={p.deal.horizonYears} onChange={(v)=>update(p.id, { deal: { ...p.deal, horizonYears: v } })} error={p.check.errors.horizonYears} />
+                    </div>
+                    <div className="text-xs text-neutral-500">{currency(p.check.deal.purchasePrice)} · {p.check.deal.rentalMode === 'shortTerm' ? 'short-term rental' : p.check.deal.units.length ? `${p.check.deal.units.length} units` : 'single unit'} · <a className="underline" href={`#/realroi?d=${encodeDeal(p.deal)}`}>open in calculator</a></div>
+                    {!p.check.valid && <p className="text-xs text-red-600">{Object.keys(p.check.errors).length} input{Object.keys(p.check.errors).length === 1 ? '' : 's'} out of range — nearest valid values are used.</p>}
+                  </div>
+                ))}
+              </div>
+              <div className="grid grid-cols-[1fr_auto] gap-2 items-end mt-3">
+                <label className="block text-sm">
+                  <div className="mb-1 text-neutral-700">Saved scenario</div>
+                  <select value={pick} onChange={(e)=>setPick(e.target.value)}
+                    className="w-full rounded-xl border border-neutral-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500">
+                    <option value="">{scenarios.length ? 'Choose…' : 'None saved yet'}</option>
+                    {scenarios.map((sc) => <option key={sc.id} value={sc.id}>{sc.name}</option>)}
+                  </select>
+                </label>
+                <button className="px-3 py-2 rounded bg-indigo-600 text-white text-sm hover:bg-indigo-700 disabled:opacity-50" disabled={!pick} onClick={addScenario}>Add</button>
+              </div>
+              <div className="grid grid-cols-[1fr_auto] gap-2 items-end mt-2">
+                <label className="block text-sm">
+                  <div className="mb-1 text-neutral-700">Deal link</div>
+                  <input value={pasted} onChange={(e)=>setPasted(e.target.value)} placeholder="Paste a calculator link"
+                    className="w-full rounded-xl border border-neutral-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                </label>
+                <button className="px-3 py-2 rounded bg-neutral-100 hover:bg-neutral-200 text-sm disabled:opacity-50" disabled={!pasted.trim()} onClick={addLink}>Add</button>
+              </div>
+              {pasteError && <p className="text-xs text-red-600 mt-1">{pasteError}</p>}
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Owner</h2>
+              <div className="grid grid-cols-2 gap-3">
+                {OWNER_FIELDS.map(([key, step]) => (
+                  <Field key={key} label={FIELD_RULES[key].label} step={step} value={owner[key]} onChange={(v)=>setOwner({ ...owner, [key]: v })}
+                    error={ownerCheck.errors[key]} warning={ownerCheck.warnings[key]} />
+                ))}
+              </div>
+              <p className="text-xs text-neutral-500 mt-2">These replace each property’s own tax and S&P settings: one taxpayer owns every property, and one brokerage account is the alternative.</p>
+            </section>
+          </div>
+
+
+          {/* Results */}
+          <div className="lg:col-span-2 space-y-6">
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-4">Headlines{s.startDate && <span className="font-normal text-sm text-neutral-500"> — {s.startDate} to {s.endDate}</span>}</h2>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                <Metric label="Real estate — pre-tax" value={s.netGain} />
+                <Metric label="Real estate — after tax" value={s.afterTaxNet} />
+                <Metric label="Stocks — pre-tax" value={s.stocksNet} />
+                <Metric label="Stocks — after tax" value={s.stocksAfterTaxNet} />
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mt-3 text-sm">
+                <KV label="Blended IRR" value={rate(s.irr)} hint={s.irr.message} />
+                <KV label="After-tax IRR (pooled)" value={rate(s.afterTaxIrr)} />
+                <KV label="After-tax IRR (each alone)" value={rate(s.standaloneAfterTaxIrr)} />
+                <KV label="Equity multiple" value={s.equityMultiple.value != null ? s.equityMultiple.value.toFixed(2) + '×' : '—'} />
+                <KV label="Invested up front" value={currency(s.invested)} />
+                <KV label="Operating cash flow" value={currency(s.totalCashFlow)} />
+                <KV label="Peak debt" value={currency(s.peakDebt)} />
+                <KV label="Peak equity" value={currency(s.peakEquity)} />
+                <KV label="Tax saved over the hold (pooled)" value={currency(s.taxBenefit)} />
+                <KV label="Exit taxes" value={currency(s.exitTax)} />
+                <KV label="Put into stocks / taken out" value={`${currency(s.stocksContrib)} / ${currency(s.stocksWithdrawn)}`} />
+                <KV label="Suspended loss at the end" value={currency(s.suspendedAtEnd)} />
+              </div>
+              <p className="text-xs text-neutral-500 mt-2">“Each alone” gives every property its own special allowance and no other property’s income to offset — what you get by adding up separate calculator runs. Pooling shares one allowance and lets one property’s passive income absorb another’s losses, which mostly changes <em>when</em> deductions land.</p>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-4">Net Gain over Contributions</h2>
+              <div className="h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={bars}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="key" />
+                    <YAxis tickFormatter={(v)=>'$'+(v/1000).toFixed(0)+'k'} />
+                    <Tooltip formatter={(v)=>currency(Number(v))} />
+                    <Bar dataKey="value" fill="#4f46e5" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-4">Equity, Debt and Stocks over Time</h2>
+              <div className="h-72">
+                <ResponsiveContainer width="100%" height="100%">
+                  <ComposedChart data={result.years}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis tickFormatter={(v)=>'$'+(v/1000).toFixed(0)+'k'} />
+                    <Tooltip formatter={(v)=>currency(Number(v))} />
+                    <Legend />
+                    <Area dataKey="equity" name="Total equity" stroke="#4f46e5" fill="#c7d2fe" />
+                    <Line dataKey="debt" name="Total debt" stroke="#6b7280" dot={false} />
+                    <Line dataKey="stockValue" name="Stock portfolio" stroke="#059669" dot={false} />
+                  </ComposedChart>
+                </ResponsiveContainer>
+              </div>
+              <div className="h-56 mt-4">
+                <ResponsiveContainer width="100%" height="100%">
+                  <BarChart data={result.years}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="year" />
+                    <YAxis tickFormatter={(v)=>'$'+(v/1000).toFixed(0)+'k'} />
+                    <Tooltip formatter={(v)=>currency(Number(v))} />
+                    <Legend />
+                    <Bar dataKey="cashFlow" name="Operating cash flow" fill="#4f46e5" />
+                    <Bar dataKey="taxEffect" name="Tax effect (pooled)" fill="#818cf8" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+              <p className="text-xs text-neutral-500 mt-2">Year-end values; a property stops counting toward equity and debt in the month it’s sold. Purchases and sale proceeds are in the table below.</p>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-4">Properties</h2>
+              <div className="overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-neutral-500">
+                    <tr className="text-right">
+                      <th className="text-left py-1">Property</th><th>Bought</th><th>Sold</th><th>Invested</th><th>Net — pre-tax</th><th>Net — after tax (alone)</th><th>IRR</th><th className="text-left pl-3">Losses</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.properties.map((p, i) => (
+                      <tr key={i} className="text-right border-t border-neutral-100">
+                        <td className="text-left py-1">{p.name}</td>
+                        <td>{p.purchaseDate}</td>
+                        <td>{p.saleDate}</td>
+                        <td>{currency(p.summary.initialInvestment)}</td>
+                        <td>{currency(p.summary.reBaseNet)}</td>
+                        <td>{currency(p.summary.reAfterTaxNet)}</td>
+                        <td>{rate(p.summary.xirr)}</td>
+                        <td className="text-left pl-3 text-xs">{p.lossTreatment.label}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-4">By Calendar Year</h2>
+              <div className="overflow-x-auto">
+                <table className="text-xs whitespace-nowrap w-full">
+                  <thead className="text-neutral-500">
+                    <tr className="text-right">
+                      <th className="text-left px-2 py-1">Year</th><th className="px-2">Held</th><th className="px-2">Invested</th><th className="px-2">Cash flow</th><th className="px-2">Sale proceeds</th>
+                      <th className="px-2">Taxable income</th><th className="px-2">Loss used</th><th className="px-2">Suspended</th><th className="px-2">Tax effect</th><th className="px-2">Alone</th>
+                      <th className="px-2">Equity</th><th className="px-2">Debt</th><th className="px-2">Stocks</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.years.map((y) => (
+                      <tr key={y.year} className="text-right border-t border-neutral-100">
+                        <td className="text-left px-2 py-1">{y.year}</td>
+                        <td className="px-2">{y.held}</td>
+                        <td className="px-2">{currency(y.invested)}</td>
+                        <td className={'px-2 ' + (y.cashFlow < 0 ? 'text-red-700' : '')}>{currency(y.cashFlow)}</td>
+                        <td className="px-2">{currency(y.saleProceeds)}</td>
+                        <td className="px-2">{currency(y.taxableIncome)}</td>
+                        <td className="px-2">{currency(y.lossUsed)}</td>
+                        <td className="px-2">{currency(y.suspendedEnd)}</td>
+                        <td className="px-2">{currency(y.taxEffect)}</td>
+                        <td className="px-2 text-neutral-500">{currency(y.standaloneTaxEffect)}</td>
+                        <td className="px-2">{currency(y.equity)}</td>
+                        <td className="px-2">{currency(y.debt)}</td>
+                        <td className="px-2">{currency(y.stockValue)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-neutral-500 mt-2">Each property’s hold years are taxed in the calendar year they start. A taxable sale releases that property’s own suspended loss; a 1031 exchange carries it on.</p>
+            </section>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -11,44 +11,15 @@
 
 'use client';
 import React, { useMemo, useState } from 'react';
-import { Bar, BarChart, CartesianGrid, Tooltip, XAxis, YAxis, ResponsiveContainer } from 'recharts';
-
-// ---------------------------
-// Types (removed for build compatibility)
-// ---------------------------
-
-// (formerly ModelInputs type definition, now omitted because JSX can’t parse it)
-
-
-  startRentMonthly: number;     // e.g., 1800
-  rentGrowthAnnual: number;     // e.g., 0.03
-  pmFlatMonthly: number;        // e.g., 119
-
-
-  vacancyMonthsPer10yr: number;   // e.g., 3
-  placementCountPer10yr: number;  // e.g., 3
-
-
-  includeSafetyNet: boolean;
-  safetyNetAmount: number;        // e.g., 5000
-
-
-  horizonYears: number;          // 10 / 25 / 30 / any
-
-
-  landPct: number;              // 0.20
-  reclassPct: number;           // 0.25 of improvements eligible for 5/7/15
-  bonusPct: number;             // 1.00 = 100% bonus (illustrative)
-  taxBracket: number;           // e.g., 0.24
-  magi: number;                 // e.g., 120000
-  otherPassiveIncome: number;     // e.g., 0 or 20000
-  studyFee: number;             // CS study fee
-  useCostSeg: boolean;          // Toggle to include immediate used deduction in net
-  repsOrSTR: boolean;           // If true, ignore special allowance cap (for demo)
-
-
-  spAnnualReturn: number;         // S&P total-return annualized (user-controlled)
-};
+import { Area, Bar, BarChart, CartesianGrid, ComposedChart, Legend, Line, LineChart, Tooltip, XAxis, YAxis, ResponsiveContainer } from 'recharts';
+import { DEFAULT_DEAL, DEFAULT_SIMULATION, EVENT_TEMPLATES, HISTORY, MONTH_COLUMNS, SENSITIVITY_INPUTS, SENSITIVITY_METRICS, STR_MAX_AVERAGE_STAY, UNIT_TEMPLATE, backtestDeal, buildMemo, diffInputs, exportScenarios, rentRoll, runDeal, toCsv, toXlsx, trailingCagr, validateDeal, YEAR_COLUMNS } from '../engine/index.js';
+import { useSimulation } from './useSimulation.js';
+import { useSensitivity } from './useSensitivity.js';
+import { useScenarios } from './useScenarios.js';
+import { useDealUrl } from './useDealUrl.js';
+import { downloadFile } from './download.js';
+import { currency } from './format.js';
+import { Field, KV, Metric, Select, Toggle } from './ui.jsx';
 
 
 // ---------------------------
@@ -56,167 +27,55 @@ import { Bar, BarChart, CartesianGrid, Tooltip, XAxis, YAxis, ResponsiveContaine
 // ---------------------------
 
 
-function currency(n: number): string {
-  return n.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+// Engine rate results carry a reason when undefined; the dash gets a tooltip via KV's hint.
+function rate(result) {
+  return result.value != null ? (result.value*100).toFixed(1) + '%/yr' : '—';
 }
 
 
-function npv(rate: number, cashflows: number[]): number {
-  return cashflows.reduce((acc, cf, t) => acc + cf / Math.pow(1 + rate, t), 0);
+// Ledger cells follow the export column's format
+function formatCell(column, v) {
+  if (v == null) return '';
+  if (column.format === 'usd') return currency(v);
+  if (column.format === 'pct') return (v*100).toFixed(3) + '%';
+  if (column.format === 'int') return String(Math.round(v));
+  return String(v);
 }
 
 
-function irrBisection(cashflows: number[], low = -0.9, high = 5.0, tol = 1e-8, maxIter = 10000): number | null {
-  let fLow = npv(low, cashflows);
-  let fHigh = npv(high, cashflows);
-  if (fLow * fHigh > 0) return null;
-  for (let i = 0; i < maxIter; i++) {
-    const mid = (low + high) / 2;
-    const fMid = npv(mid, cashflows);
-    if (Math.abs(fMid) < tol) return mid;
-    if (fLow * fMid < 0) {
-      high = mid; fHigh = fMid;
-    } else {
-      low = mid; fLow = fMid;
-    }
-  }
-  return null;
+// Compact cell text for any deal input (numbers, toggles, lists)
+function formatValue(v) {
+  if (v == null) return '—';
+  if (typeof v === 'number') return Math.abs(v) < 1 && v !== 0 ? String(+v.toFixed(4)) : v.toLocaleString();
+  if (typeof v === 'boolean') return v ? 'Yes' : 'No';
+  if (Array.isArray(v)) return v.map((x) => (typeof x === 'object' ? Object.values(x).join(' ') : x)).join('; ');
+  return String(v);
 }
 
 
-// evenly-spaced integers excluding 0 and months-1 if possible
-function spacedMonths(count: number, months: number): number[] {
-  if (count <= 0) return [];
-  const step = Math.floor(months / (count + 1));
-  const arr: number[] = [];
-  for (let i = 1; i <= count; i++) arr.push(Math.min(step * i, months - 1));
-  return arr;
-}
-
-
-// ---------------------------
-// Core Model (FIXED STOCKS LOGIC)
-// ---------------------------
-
-
-function runModel(i: ModelInputs) {
-  const months = i.horizonYears * 12;
-
-
-  // Appreciation annual rate from 10-year +80% (or whatever user sets)
-  const apprAnnual = Math.pow(1 + i.appreciationCum10yr, 1 / 10) - 1;
-  const apprCum = Math.pow(1 + apprAnnual, i.horizonYears) - 1;
-
-
-  // Principal paydown scales linearly with years
-  const principalPaydown = i.principalPaydown10yr * (i.horizonYears / 10);
-
-
-  // Vacancy & placement scaling
-  const vacCount = Math.round(i.vacancyMonthsPer10yr * (i.horizonYears / 10));
-  const placementCount = Math.round(i.placementCountPer10yr * (i.horizonYears / 10));
-
-
-  // Monthly rents with annual step growth
-  const rents: number[] = Array.from({ length: months }, (_, m) => i.startRentMonthly * Math.pow(1 + i.rentGrowthAnnual, Math.floor(m / 12)));
-
-
-  // Apply vacancy
-  const vacancyMonths = spacedMonths(vacCount, months);
-  const rentsAdj = rents.slice();
-  vacancyMonths.forEach((vm) => (rentsAdj[vm] = 0));
-
-
-  // Placement fee months: include month 0 if placementCount>0; then after vacancies; fill if needed
-  const placementMonths: number[] = [];
-  if (placementCount > 0) placementMonths.push(0);
-  const need = Math.max(0, placementCount - 1);
-  vacancyMonths.slice(0, need).forEach((vm) => placementMonths.push(Math.min(vm + 1, months - 1)));
-  while (placementMonths.length < placementCount) {
-    placementMonths.push(Math.min(placementMonths.length * Math.floor(months / Math.max(1, placementCount)), months - 1));
-  }
-
-
-  // Fees = one month of prevailing rent at that month (pre-vacancy schedule)
-  const placementFees: number[] = Array.from({ length: months }, () => 0);
-  placementMonths.forEach((fm) => (placementFees[fm] = rents[fm] || i.startRentMonthly));
-
-
-  // PM monthly flat
-  const pmCosts: number[] = Array.from({ length: months }, () => i.pmFlatMonthly);
-
-
-  const totalRentCollected = rentsAdj.reduce((a, b) => a + b, 0);
-  const totalPM = pmCosts.reduce((a, b) => a + b, 0);
-  const totalPlacement = placementFees.reduce((a, b) => a + b, 0);
-  const carryingTotal = totalPM + totalPlacement + (i.includeSafetyNet ? i.safetyNetAmount : 0);
-
-
-  // Real estate base net
-  const reBaseNet = (i.purchasePrice * apprCum + principalPaydown + totalRentCollected) - carryingTotal - i.downPayment;
-
+const EVENT_LABELS = { rehab: 'Rehab', refinance: 'Refinance', extraPrincipal: 'Extra principal' };
+const BENCHMARK_LABELS = { initial: 'initial outlay', matched: 'same cash flows', dca: 'dollar-cost averaged' };
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
-  // Cost seg sweet spot (illustrative only; not tax advice)
-  const improvementBasis = i.purchasePrice * (1 - i.landPct);
-  const bonusEligible = improvementBasis * i.reclassPct * i.bonusPct;
-  const remainingImpr = improvementBasis - improvementBasis * i.reclassPct;
-  const slYear1 = remainingImpr / 27.5; // 1 year of straight-line on remainder
 
+const COMPARE_COLORS = ['#4f46e5', '#059669', '#d97706', '#dc2626', '#0891b2', '#7c3aed'];
+const MAX_COMPARE = 6;
 
-  // Pub 925 special allowance cap (non-REPS): $25k phased out 100k→150k MAGI
-  let specialAllowance = 0;
-  if (i.magi <= 100_000) specialAllowance = 25_000;
-  else if (i.magi >= 150_000) specialAllowance = 0;
-  else specialAllowance = Math.max(0, 25_000 - 0.5 * (i.magi - 100_000));
 
-
-  const immediateCap = i.repsOrSTR ? Infinity : (specialAllowance + i.otherPassiveIncome);
-  const immediateAvailable = bonusEligible + slYear1;
-  const immediateUsed = Math.min(immediateAvailable, immediateCap);
-  const immediateTaxSavings = immediateUsed * i.taxBracket; // pre-recapture, assumes usability
-
-
-  const reWithCostSeg = i.useCostSeg ? reBaseNet + immediateTaxSavings : reBaseNet;
-
-
-  // STOCKS FIX: Stocks comparison mirrors only the initial capital (Down Payment + Safety Net).
-  const monthlyRate = Math.pow(1 + i.spAnnualReturn, 1 / 12) - 1;
-  
-  const stocksContrib = i.downPayment + (i.includeSafetyNet ? i.safetyNetAmount : 0);
-  let stocksFV = stocksContrib * Math.pow(1 + monthlyRate, months);
-  
-  const stocksNet = stocksFV - stocksContrib;
-
-
-  // IRR on property: cash flows include monthly net operating cash and terminal value
-  const cfs: number[] = [];
-  cfs.push(- (i.downPayment + (i.includeSafetyNet ? i.safetyNetAmount : 0)));
-  for (let m = 0; m < months; m++) {
-    const op = rentsAdj[m] - pmCosts[m] - placementFees[m];
-    cfs.push(op);
-  }
-  // terminal wealth at end month: appreciation + principal
-  cfs[cfs.length - 1] += (i.purchasePrice * apprCum + principalPaydown);
-  const monthlyIRR = irrBisection(cfs);
-  const annualIRR = monthlyIRR != null ? (Math.pow(1 + monthlyIRR, 12) - 1) : null;
-
-
-  const outOfPocket = i.downPayment + carryingTotal;
-  const multipleBase = reBaseNet / outOfPocket;
-  const multipleCS = reWithCostSeg / outOfPocket;
+// Sensitivity inputs carry a unit so axis values print the way the field is entered
+function formatInput(key, v) {
+  const unit = SENSITIVITY_INPUTS.find((i) => i.key === key)?.unit;
+  if (unit === 'pct') return (v*100).toFixed(2) + '%';
+  if (unit === 'usd') return currency(v);
+  return v.toFixed(1);
+}
 
 
-  return {
-    rentsAdj, pmCosts, placementFees,
-    totalRentCollected, totalPM, totalPlacement, carryingTotal,
-    reBaseNet, reWithCostSeg,
-    improvementBasis, bonusEligible, remainingImpr, slYear1,
-    specialAllowance, immediateAvailable, immediateCap, immediateUsed, immediateTaxSavings,
-    stocksContrib, stocksNet,
-    apprAnnual, apprCum, principalPaydown,
-    annualIRR,
-    outOfPocket, multipleBase, multipleCS,
-  };
+// Green when real estate leads, red when stocks do; intensity scales with the largest cell
+function heatColor(v, scale) {
+  if (v == null || !scale) return 'transparent';
+  const a = Math.min(1, Math.abs(v) / scale) * 0.75 + 0.05;
+  return v >= 0 ? `rgba(5,150,105,${a})` : `rgba(220,38,38,${a})`;
 }
 
 
@@ -226,75 +85,244 @@ function runModel(i: ModelInputs) {
 
 
 export default function RealROICalculator() {
-  const [inputs, setInputs] = useState<ModelInputs>({
-    purchasePrice: 300_000,
-    downPayment: 60_000,
-    appreciationCum10yr: 0.80,
-    principalPaydown10yr: 48_000,
-
-
-    startRentMonthly: 1_800,
-    rentGrowthAnnual: 0.03,
-    pmFlatMonthly: 119,
-
-
-    vacancyMonthsPer10yr: 3,
-    placementCountPer10yr: 3,
-
-
-    includeSafetyNet: false,
-    safetyNetAmount: 5_000,
-
-
-    horizonYears: 10,
-
-
-    landPct: 0.20,
-    reclassPct: 0.25,
-    bonusPct: 1.0,
-    taxBracket: 0.24,
-    magi: 120_000,
-    otherPassiveIncome: 0,
-    studyFee: 9_000,
-    useCostSeg: false,
-    repsOrSTR: false,
-
-
-    spAnnualReturn: 0.1465,
-  });
+  const [inputs, setInputs, link] = useDealUrl(DEFAULT_DEAL);
+  const [copied, setCopied] = useState(null);
+  // Engine calls use the repaired deal so a half-typed or out-of-range box never reaches the results
+  const checked = useMemo(() => validateDeal(inputs), [inputs]);
+  const deal = checked.deal;
+  const shortTerm = deal.rentalMode === 'shortTerm';
+  const issue = (key) => ({ error: checked.errors[key], warning: checked.warnings[key] });
+
+
+  const { months, years, depreciation, summary: r } = useMemo(() => runDeal(deal), [deal]);
+  // Same deal with the depreciation method flipped, for the cost seg comparison
+  const alt = useMemo(() => runDeal({ ...deal, useCostSeg: !deal.useCostSeg }).summary, [deal]);
+  const [simOn, setSimOn] = useState(false);
+  const [simConfig, setSimConfig] = useState({ ...DEFAULT_SIMULATION });
+  const sim = useSimulation(deal, simConfig, simOn);
+  const [backtestOn, setBacktestOn] = useState(false);
+  const [backtestRent, setBacktestRent] = useState('deal');
+  const backtest = useMemo(() => backtestOn ? backtestDeal(deal, { rentGrowth: backtestRent }) : null, [deal, backtestOn, backtestRent]);
+  const [sens, setSens] = useState({ open: false, pct: 0.10, netMetric: 'reBaseNet', tornadoOn: 'net', xKey: 'purchasePrice', yKey: 'rentMonthly', spread: 0.20, steps: 7, heatMetric: 'advantage', solveKey: 'rentMonthly' });
+  // Tornado, heatmap and break-even each re-run the model dozens of times, so they go to the worker
+  const sensOptions = useMemo(() => ({ pct: sens.pct, netMetric: sens.netMetric, xKey: sens.xKey, yKey: sens.yKey, spread: sens.spread, steps: sens.steps, heatMetric: sens.heatMetric, solveKey: sens.solveKey }),
+    [sens.pct, sens.netMetric, sens.xKey, sens.yKey, sens.spread, sens.steps, sens.heatMetric, sens.solveKey]);
+  const sensitivity = useSensitivity(deal, sensOptions, sens.open);
+  const tornadoResult = sensitivity.result?.tornado ?? null;
+  const heat = sensitivity.result?.heatmap ?? null;
+  const solved = sensitivity.result?.breakEven ?? null;
+  const tornadoData = tornadoResult ? tornadoResult.rows.map((row) => sens.tornadoOn === 'net'
+    ? { label: row.label, low: row.low.net - tornadoResult.baseNet, high: row.high.net - tornadoResult.baseNet }
+    : { label: row.label, low: row.low.irr != null && tornadoResult.baseIrr != null ? (row.low.irr - tornadoResult.baseIrr) * 100 : 0, high: row.high.irr != null && tornadoResult.baseIrr != null ? (row.high.irr - tornadoResult.baseIrr) * 100 : 0 }) : [];
+  const heatScale = heat ? Math.max(Math.abs(heat.min ?? 0), Math.abs(heat.max ?? 0)) : 0;
+  const inputOptions = SENSITIVITY_INPUTS.map((i) => [i.key, i.label]);
+
+  const { scenarios, save: saveScenario, remove: removeScenario, addImported } = useScenarios();
+  const [scenarioName, setScenarioName] = useState('');
+  const [compareIds, setCompareIds] = useState([]);
+  const [compareCurrent, setCompareCurrent] = useState(true);
+  const [importError, setImportError] = useState(null);
+  const compared = useMemo(() => {
+    // Saved deals go through the same repair as the live inputs (older saves may predate a rule)
+    const picked = scenarios.filter((s) => compareIds.includes(s.id)).map((s) => ({ name: s.name, deal: validateDeal(s.deal).deal }));
+    const list = (compareCurrent ? [{ name: 'Current inputs', deal }, ...picked] : picked).slice(0, MAX_COMPARE);
+    return list.length >= 2 ? list.map((c) => ({ ...c, ...runDeal(c.deal) })) : [];
+  }, [scenarios, compareIds, compareCurrent, deal]);
+  const differing = useMemo(() => diffInputs(compared.map((c) => c.deal)), [compared]);
+  const compareCashFlows = compared.length
+    ? Array.from({ length: Math.max(...compared.map((c) => c.years.length)) }, (_, i) =>
+      Object.fromEntries([['year', i + 1], ...compared.map((c, j) => [`d${j}`, c.years[i]?.cashFlow ?? null])]))
+    : [];
+  const toggleCompare = (id) => setCompareIds(compareIds.includes(id) ? compareIds.filter((x) => x !== id) : [...compareIds, id]);
+  const importFile = async (file) => {
+    if (!file) return;
+    setImportError(addImported(await file.text()));
+  };
 
+  const [ledgerView, setLedgerView] = useState(null);
+  const ledgerColumns = ledgerView === 'monthly' ? MONTH_COLUMNS : YEAR_COLUMNS;
+  const ledgerRows = ledgerView === 'monthly' ? months : years;
+  const exportCsv = () => downloadFile(`realroi-ledger-${ledgerView ?? 'annual'}.csv`, toCsv(ledgerRows, ledgerColumns), 'text/csv');
+  const exportXlsx = () => downloadFile('realroi-ledger.xlsx', new Blob([toXlsx([
+    { name: 'Annual', columns: YEAR_COLUMNS, rows: years },
+    { name: 'Monthly', columns: MONTH_COLUMNS, rows: months },
+  ])], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }));
 
-  const r = useMemo(() => runModel(inputs), [inputs]);
+  const slOnly = deal.useCostSeg ? alt : r;
+  const withCS = deal.useCostSeg ? r : alt;
 
 
   const data = [
     { key: 'Real Estate — base (pre-tax)', value: r.reBaseNet },
-    { key: 'Real Estate — with cost seg (used now)', value: r.reWithCostSeg },
-    { key: 'Stocks — same cash timing', value: r.stocksNet },
+    { key: 'Real Estate — after tax', value: r.reAfterTaxNet },
+    { key: 'Stocks — pre-tax', value: r.stocksNet },
+    { key: 'Stocks — after tax', value: r.stocksAfterTaxNet },
   ];
 
-
-  function Num({ v }: { v: number }) { return <span className="font-semibold">{currency(v)}</span>; }
+  const bands = sim.result ? sim.result.bands.map((b) => ({
+    year: b.year,
+    reOuter: [b.re.p5, b.re.p95], reInner: [b.re.p25, b.re.p75], reMedian: b.re.p50,
+    stocksOuter: [b.stocks.p5, b.stocks.p95], stocksInner: [b.stocks.p25, b.stocks.p75], stocksMedian: b.stocks.p50,
+  })) : [];
 
 
   return (
     <div className="min-h-screen bg-neutral-50 text-neutral-900">
       <div className="mx-auto max-w-7xl px-4 py-8">
-        <h1 className="text-2xl md:text-3xl font-bold mb-2">Real ROI Calculator</h1>
-        <p className="text-sm text-neutral-600 mb-6">A simple, auditable model that matches real cash timing. Adjust horizon and S&P return for 10 / 25 / 30-year windows. Cost seg shows only the <em>immediately usable</em> deduction under Pub 925 rules (non‑REPS) or unlimited if REPS/STR is toggled.</p>
+        <div className="flex items-center justify-between gap-4 mb-2">
+          <h1 className="text-2xl md:text-3xl font-bold">Real ROI Calculator</h1>
+          <div className="flex gap-2">
+            <a className="px-3 py-2 rounded bg-neutral-100 hover:bg-neutral-200 text-sm" href="#/portfolio">Portfolio</a>
+            <button className="px-3 py-2 rounded bg-neutral-100 hover:bg-neutral-200 text-sm" onClick={async ()=>setCopied(await link.copyLink())}>
+              {copied === true ? 'Link copied' : copied === false ? 'Copy failed — use the address bar' : 'Copy link'}
+            </button>
+            <button className="px-3 py-2 rounded bg-indigo-600 text-white hover:bg-indigo-700 text-sm" onClick={()=>downloadFile('realroi-memo.pdf', new Blob([buildMemo(deal, { title: scenarioName })], { type: 'application/pdf' }))}>Generate report</button>
+          </div>
+        </div>
+        {link.notice && <p className="text-sm text-amber-700 mb-2">{link.notice}</p>}
+        {!checked.valid && <p className="text-sm text-red-600 mb-2">{Object.keys(checked.errors).length === 1 ? 'One input needs' : `${Object.keys(checked.errors).length} inputs need`} attention — results below use the nearest valid values in the meantime.</p>}
+        <p className="text-sm text-neutral-600 mb-6">A simple, auditable model that matches real cash timing. Adjust horizon and S&P return for 10 / 25 / 30-year windows. Losses are usable only up to the Pub 925 special allowance plus other passive income, or without limit for a real estate professional or a short-term rental you materially participate in.</p>
 
 
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           {/* Controls */}
           <div className="lg:col-span-1 space-y-6">
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Scenarios</h2>
+              <div className="grid grid-cols-[1fr_auto] gap-2 items-end">
+                <label className="block text-sm">
+                  <div className="mb-1 text-neutral-700">Name</div>
+                  <input value={scenarioName} onChange={(e)=>setScenarioName(e.target.value)} placeholder="e.g. 12 Oak St"
+                    className="w-full rounded-xl border border-neutral-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                </label>
+                <button className="px-3 py-2 rounded bg-indigo-600 text-white text-sm hover:bg-indigo-700" onClick={()=>{ saveScenario(scenarioName, deal); setScenarioName(''); }}>Save</button>
+              </div>
+              {scenarios.length > 0 && (
+                <ul className="mt-3 divide-y divide-neutral-100 text-sm">
+                  {scenarios.map((sc) => (
+                    <li key={sc.id} className="flex items-center gap-2 py-1">
+                      <input type="checkbox" className="h-4 w-4" title="Compare" checked={compareIds.includes(sc.id)} onChange={()=>toggleCompare(sc.id)} />
+                      <span className="flex-1 truncate" title={`Saved ${new Date(sc.savedAt).toLocaleString()}`}>{sc.name}</span>
+                      <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>{ setInputs({ ...DEFAULT_DEAL, ...sc.deal }); setScenarioName(sc.name); }}>Load</button>
+                      <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>{ removeScenario(sc.id); setCompareIds(compareIds.filter((x) => x !== sc.id)); }}>Delete</button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex flex-wrap items-center gap-2 mt-3 text-xs">
+                <Toggle label="Compare current inputs too" checked={compareCurrent} onChange={setCompareCurrent} />
+                <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" disabled={!scenarios.length} onClick={()=>downloadFile('realroi-scenarios.json', exportScenarios(scenarios), 'application/json')}>Export JSON</button>
+                <label className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200 cursor-pointer">
+                  Import JSON
+                  <input type="file" accept="application/json,.json" className="hidden" onChange={(e)=>{ importFile(e.target.files[0]); e.target.value = ''; }} />
+                </label>
+              </div>
+              {importError && <p className="text-xs text-red-700 mt-2">{importError}</p>}
+              <p className="text-xs text-neutral-500 mt-2">Saved in this browser. Tick 1–{MAX_COMPARE - 1} scenarios (or up to {MAX_COMPARE} without the current inputs) to compare them side by side.</p>
+            </section>
+
+
             <section className="bg-white rounded-2xl shadow p-4">
               <h2 className="font-semibold mb-3">Deal</h2>
               <div className="grid grid-cols-2 gap-3">
-                <Field label="Purchase price" value={inputs.purchasePrice} onChange={(v)=>setInputs({...inputs, purchasePrice:v})} />
-                <Field label="Down payment" value={inputs.downPayment} onChange={(v)=>setInputs({...inputs, downPayment:v})} />
-                <Field label="Appreciation +10yr (cum)" step={0.01} value={inputs.appreciationCum10yr} onChange={(v)=>setInputs({...inputs, appreciationCum10yr:v})} helper="e.g., 0.80 = +80% total over 10 years" />
-                <Field label="Principal paydown +10yr" value={inputs.principalPaydown10yr} onChange={(v)=>setInputs({...inputs, principalPaydown10yr:v})} />
-                <Field label="Horizon (years)" value={inputs.horizonYears} onChange={(v)=>setInputs({...inputs, horizonYears:v})} />
+                <Field label="Purchase price" value={inputs.purchasePrice} onChange={(v)=>setInputs({...inputs, purchasePrice:v})} {...issue('purchasePrice')} />
+                <label className="block text-sm">
+                  <div className="mb-1 text-neutral-700">Purchase date</div>
+                  <input type="date" value={inputs.purchaseDate} onChange={(e)=>e.target.value && setInputs({...inputs, purchaseDate:e.target.value})}
+                    className="w-full rounded-xl border border-neutral-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                  {checked.errors.purchaseDate && <div className="mt-1 text-xs text-red-600">{checked.errors.purchaseDate}</div>}
+                </label>
+                <Field label="Down payment" value={inputs.downPayment} onChange={(v)=>setInputs({...inputs, downPayment:v})} {...issue('downPayment')} />
+                <Field label="Closing costs" value={inputs.closingCosts} onChange={(v)=>setInputs({...inputs, closingCosts:v})} {...issue('closingCosts')} />
+                <Field label="Appreciation (annual)" step={0.001} value={inputs.appreciationAnnual} onChange={(v)=>setInputs({...inputs, appreciationAnnual:v})} helper="e.g., 0.06 ≈ +79% over 10 years" {...issue('appreciationAnnual')} />
+                <Field label="Horizon (years)" value={inputs.horizonYears} onChange={(v)=>setInputs({...inputs, horizonYears:v})} {...issue('horizonYears')} />
+                <Field label="Sale costs" step={0.005} value={inputs.saleCostPct} onChange={(v)=>setInputs({...inputs, saleCostPct:v})} {...issue('saleCostPct')} />
+              </div>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Financing</h2>
+              <div className="grid grid-cols-2 gap-3">
+                <Field label={inputs.loanType === 'arm' ? 'Initial rate (APR)' : 'Rate (APR)'} step={0.00125} value={inputs.rate} onChange={(v)=>setInputs({...inputs, rate:v})} {...issue('rate')} />
+                <Field label="Term (years)" value={inputs.termYears} onChange={(v)=>setInputs({...inputs, termYears:v})} {...issue('termYears')} />
+                <Select label="Loan type" value={inputs.loanType} onChange={(v)=>setInputs({...inputs, loanType:v})} {...issue('loanType')}
+                  options={[['fixed', 'Fixed'], ['interestOnly', 'Interest-only period'], ['arm', 'ARM']]} />
+                {inputs.loanType === 'interestOnly' && (
+                  <Field label="Interest-only (years)" value={inputs.ioYears} onChange={(v)=>setInputs({...inputs, ioYears:v})} {...issue('ioYears')} />
+                )}
+              </div>
+              {inputs.loanType === 'arm' && (
+                <div className="mt-3 space-y-2">
+                  <div className="text-sm text-neutral-700">Rate resets (from start of year)</div>
+                  {inputs.armResets.map((reset, idx) => (
+                    <div key={idx} className="grid grid-cols-[1fr_1fr_auto] gap-2 items-end">
+                      <Field label="Year" value={reset.year} onChange={(v)=>setInputs({...inputs, armResets: inputs.armResets.map((x, j) => j === idx ? {...x, year:v} : x)})} />
+                      <Field label="Rate" step={0.00125} value={reset.rate} onChange={(v)=>setInputs({...inputs, armResets: inputs.armResets.map((x, j) => j === idx ? {...x, rate:v} : x)})} />
+                      <button className="px-2 py-2 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>setInputs({...inputs, armResets: inputs.armResets.filter((_, j) => j !== idx)})}>Remove</button>
+                    </div>
+                  ))}
+                  <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>{
+                    const lastReset = inputs.armResets[inputs.armResets.length - 1];
+                    const next = lastReset ? { year: lastReset.year + 1, rate: lastReset.rate + 0.005 } : { year: 6, rate: inputs.rate + 0.01 };
+                    setInputs({...inputs, armResets: [...inputs.armResets, next]});
+                  }}>Add reset</button>
+                  {checked.errors.armResets && <p className="text-xs text-red-600">{checked.errors.armResets}</p>}
+                </div>
+              )}
+              <p className="text-xs text-neutral-500 mt-2">Loan {currency(r.loanAmount)} · P&I {currency(r.paymentMonthly)}/mo{r.maxPaymentMonthly > r.paymentMonthly + 0.5 ? ` (peaks at ${currency(r.maxPaymentMonthly)}/mo)` : ''} · balance at exit {currency(r.endBalance)}.</p>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Rehab, Refinance & Prepayments</h2>
+              <div className="space-y-3">
+                {inputs.events.map((ev, idx) => {
+                  const setEvent = (patch) => setInputs({...inputs, events: inputs.events.map((x, j) => j === idx ? {...x, ...patch} : x)});
+                  return (
+                    <div key={idx} className="rounded-xl border border-neutral-200 p-3">
+                      <div className="flex items-center justify-between mb-2">
+                        <span className="text-sm font-medium">{EVENT_LABELS[ev.type]}</span>
+                        <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>setInputs({...inputs, events: inputs.events.filter((_, j) => j !== idx)})}>Remove</button>
+                      </div>
+                      <div className="grid grid-cols-3 gap-2 items-end">
+                        <Field label="Month" value={ev.month} onChange={(v)=>setEvent({ month: v })} />
+                        {ev.type === 'rehab' && (
+                          <>
+                            <Field label="Cost" step={1000} value={ev.cost} onChange={(v)=>setEvent({ cost: v })} />
+                            <Field label="After-repair value" step={1000} value={ev.arv} onChange={(v)=>setEvent({ arv: v })} helper="0 = no change" />
+                            <Field label="Downtime (mo)" value={ev.downtimeMonths} onChange={(v)=>setEvent({ downtimeMonths: v })} />
+                          </>
+                        )}
+                        {ev.type === 'refinance' && (
+                          <>
+                            <Field label="Rate (APR)" step={0.00125} value={ev.rate} onChange={(v)=>setEvent({ rate: v })} />
+                            <Field label="Term (years)" value={ev.termYears} onChange={(v)=>setEvent({ termYears: v })} />
+                            <Field label="LTV" step={0.05} value={ev.ltv} onChange={(v)=>setEvent({ ltv: v })} />
+                            <Field label="Closing costs" step={500} value={ev.closingCosts} onChange={(v)=>setEvent({ closingCosts: v })} />
+                          </>
+                        )}
+                        {ev.type === 'extraPrincipal' && (
+                          <>
+                            <Field label="Amount" step={50} value={ev.amount} onChange={(v)=>setEvent({ amount: v })} />
+                            <Toggle label="Every month from then" checked={ev.recurring} onChange={(b)=>setEvent({ recurring: b })} />
+                          </>
+                        )}
+                      </div>
+                    </div>
+                  );
+                })}
+                <div className="flex gap-2 text-xs">
+                  {Object.entries(EVENT_TEMPLATES).map(([type, template]) => (
+                    <button key={type} className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={()=>setInputs({...inputs, events: [...inputs.events, { ...template }]})}>Add {EVENT_LABELS[type].toLowerCase()}</button>
+                  ))}
+                </div>
+                {checked.errors.events && <p className="text-xs text-red-600">{checked.errors.events}</p>}
+                {checked.warnings.events && <p className="text-xs text-amber-700">{checked.warnings.events}</p>}
+                {r.refinances.map((f) => (
+                  <p key={f.month} className="text-xs text-neutral-500">Month {f.month} refinance: home {currency(f.homeValue)}, pays off {currency(f.payoff)}, new loan {currency(f.newLoan)} at {currency(f.paymentMonthly)}/mo P&I — {f.cashOut >= 0 ? `${currency(f.cashOut)} cash-out` : `${currency(-f.cashOut)} cash in`}.</p>
+                ))}
+                <p className="text-xs text-neutral-500">Months count from closing (1 = first month). Rehab is capitalized like capex; cash-out flows back to you and, in “same cash flows” mode, out of the stock portfolio too.</p>
               </div>
             </section>
 
@@ -302,47 +330,209 @@ export default function RealROICalculator() {
             <section className="bg-white rounded-2xl shadow p-4">
               <h2 className="font-semibold mb-3">Operations</h2>
               <div className="grid grid-cols-2 gap-3">
-                <Field label="Start rent / mo" value={inputs.startRentMonthly} onChange={(v)=>setInputs({...inputs, startRentMonthly:v})} />
-                <Field label="Rent growth (annual)" step={0.001} value={inputs.rentGrowthAnnual} onChange={(v)=>setInputs({...inputs, rentGrowthAnnual:v})} />
-                <Field label="PM flat / mo" value={inputs.pmFlatMonthly} onChange={(v)=>setInputs({...inputs, pmFlatMonthly:v})} />
-                <Field label="Vacancy per 10yr (mo)" value={inputs.vacancyMonthsPer10yr} onChange={(v)=>setInputs({...inputs, vacancyMonthsPer10yr:v})} />
-                <Field label="Placements per 10yr (×)" value={inputs.placementCountPer10yr} onChange={(v)=>setInputs({...inputs, placementCountPer10yr:v})} />
-                <Toggle label="Safety net reserve" checked={inputs.includeSafetyNet} onChange={(b)=>setInputs({...inputs, includeSafetyNet:b})} />
-                {inputs.includeSafetyNet && (
-                  <Field label="Safety net amount" value={inputs.safetyNetAmount} onChange={(v)=>setInputs({...inputs, safetyNetAmount:v})} />
+                <Select label="Rental" value={inputs.rentalMode} onChange={(v)=>setInputs({...inputs, rentalMode:v})} {...issue('rentalMode')}
+                  options={[['longTerm', 'Long-term lease'], ['shortTerm', 'Short-term (nightly)']]} />
+                <Field label={shortTerm ? 'Rate growth (annual)' : 'Rent growth (annual)'} step={0.001} value={inputs.rentGrowthAnnual} onChange={(v)=>setInputs({...inputs, rentGrowthAnnual:v})} {...issue('rentGrowthAnnual')} />
+                {shortTerm ? (
+                  <>
+                    <Field label="Nightly rate" step={5} value={inputs.strNightlyRate} onChange={(v)=>setInputs({...inputs, strNightlyRate:v})} {...issue('strNightlyRate')} />
+                    <Field label="Occupancy (avg month)" step={0.01} value={inputs.strOccupancy} onChange={(v)=>setInputs({...inputs, strOccupancy:v})} {...issue('strOccupancy')} />
+                    <Field label="Average stay (nights)" step={0.5} value={inputs.strAvgStayNights} onChange={(v)=>setInputs({...inputs, strAvgStayNights:v})} {...issue('strAvgStayNights')} />
+                    <Field label="Platform fee (% of gross)" step={0.005} value={inputs.strPlatformFeePct} onChange={(v)=>setInputs({...inputs, strPlatformFeePct:v})} {...issue('strPlatformFeePct')} />
+                    <Field label="Cleaning fee / stay (guest)" step={5} value={inputs.strCleaningFee} onChange={(v)=>setInputs({...inputs, strCleaningFee:v})} {...issue('strCleaningFee')} />
+                    <Field label="Cleaning cost / stay" step={5} value={inputs.strCleaningCost} onChange={(v)=>setInputs({...inputs, strCleaningCost:v})} {...issue('strCleaningCost')} />
+                    <Field label="Furnishing" step={1000} value={inputs.strFurnishing} onChange={(v)=>setInputs({...inputs, strFurnishing:v})} {...issue('strFurnishing')} />
+                    <Field label="Furnishing life (years)" value={inputs.strFurnishingLifeYears} onChange={(v)=>setInputs({...inputs, strFurnishingLifeYears:v})} {...issue('strFurnishingLifeYears')} />
+                  </>
+                ) : (
+                  <>
+                    {!inputs.units.length && (
+                      <>
+                        <Field label="Start rent / mo" value={inputs.rentMonthly} onChange={(v)=>setInputs({...inputs, rentMonthly:v})} {...issue('rentMonthly')} />
+                        <Field label="Vacancy per 10yr (mo)" value={inputs.vacancyMonthsPer10yr} onChange={(v)=>setInputs({...inputs, vacancyMonthsPer10yr:v})} {...issue('vacancyMonthsPer10yr')} />
+                        <Field label="Placements per 10yr (×)" value={inputs.placementCountPer10yr} onChange={(v)=>setInputs({...inputs, placementCountPer10yr:v})} {...issue('placementCountPer10yr')} />
+                      </>
+                    )}
+                    <Field label="PM flat / mo" value={inputs.pmFlatMonthly} onChange={(v)=>setInputs({...inputs, pmFlatMonthly:v})} {...issue('pmFlatMonthly')} />
+                  </>
+                )}
+                <Toggle label="Safety net reserve" checked={inputs.includeReserves} onChange={(b)=>setInputs({...inputs, includeReserves:b})} />
+                {inputs.includeReserves && (
+                  <Field label="Safety net amount" value={inputs.reserves} onChange={(v)=>setInputs({...inputs, reserves:v})} {...issue('reserves')} />
                 )}
               </div>
+              {shortTerm ? (
+                <div className="mt-3 space-y-2">
+                  <div className="text-sm text-neutral-700">Seasonality (occupancy multiplier by calendar month)</div>
+                  <div className="grid grid-cols-6 gap-2">
+                    {inputs.strSeasonality.map((v, idx) => (
+                      <Field key={idx} label={MONTH_NAMES[idx]} step={0.05} value={v} onChange={(x)=>setInputs({...inputs, strSeasonality: inputs.strSeasonality.map((y, j) => j === idx ? x : y)})} />
+                    ))}
+                  </div>
+                  {checked.errors.strSeasonality && <p className="text-xs text-red-600">{checked.errors.strSeasonality}</p>}
+                  {checked.warnings.strSeasonality && <p className="text-xs text-amber-700">{checked.warnings.strSeasonality}</p>}
+                  <p className="text-xs text-neutral-500">Year 1: {Math.round(years[0]?.nightsBooked ?? 0)} nights booked, {currency(r.startingRent)}/mo in an average month including guest cleaning fees. Management uses the STR fee under Operating Expenses; furnishing is 5-year property (bonus-eligible, recaptured on sale) and replaced at the end of its life.</p>
+                </div>
+              ) : (
+                <div className="mt-3 space-y-2">
+                  <div className="text-sm text-neutral-700">Unit mix (rent · vacancy months and placements per 10yr · turnover cost)</div>
+                  {inputs.units.map((unit, idx) => {
+                    const setUnit = (patch) => setInputs({...inputs, units: inputs.units.map((x, j) => j === idx ? {...x, ...patch} : x)});
+                    return (
+                      <div key={idx} className="grid grid-cols-[1fr_1fr_0.8fr_0.8fr_0.9fr_auto] gap-2 items-end">
+                        <label className="block text-sm">
+                          <div className="mb-1 text-neutral-700">Unit</div>
+                          <input value={unit.name} onChange={(e)=>setUnit({ name: e.target.value })}
+                            className="w-full rounded-xl border border-neutral-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                        </label>
+                        <Field label="Rent" step={50} value={unit.rentMonthly} onChange={(v)=>setUnit({ rentMonthly: v })} />
+                        <Field label="Vacancy" value={unit.vacancyMonthsPer10yr} onChange={(v)=>setUnit({ vacancyMonthsPer10yr: v })} />
+                        <Field label="Placements" value={unit.placementCountPer10yr} onChange={(v)=>setUnit({ placementCountPer10yr: v })} />
+                        <Field label="Turnover" step={50} value={unit.turnoverCost} onChange={(v)=>setUnit({ turnoverCost: v })} />
+                        <button className="px-2 py-2 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>setInputs({...inputs, units: inputs.units.filter((_, j) => j !== idx)})}>Remove</button>
+                      </div>
+                    );
+                  })}
+                  <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>{
+                    // The first added unit joins the single unit the flat fields describe
+                    const roll = rentRoll(inputs);
+                    setInputs({...inputs, units: [...roll, { ...UNIT_TEMPLATE, name: `Unit ${roll.length + 1}` }]});
+                  }}>Add unit</button>
+                  {checked.errors.units && <p className="text-xs text-red-600">{checked.errors.units}</p>}
+                  {checked.warnings.units && <p className="text-xs text-amber-700">{checked.warnings.units}</p>}
+                  <p className="text-xs text-neutral-500">{inputs.units.length
+                    ? `${inputs.units.length} units, ${currency(r.startingRent)}/mo combined. Each placement costs one month of that unit's rent plus its turnover cost.`
+                    : 'Single unit. Add units for a duplex, fourplex or small multifamily.'}</p>
+                </div>
+              )}
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Operating Expenses</h2>
+              <div className="grid grid-cols-2 gap-3">
+                <Field label="Property tax (% of price)" step={0.001} value={inputs.taxesPct} onChange={(v)=>setInputs({...inputs, taxesPct:v})} {...issue('taxesPct')} />
+                <Field label="Tax reassessment growth" step={0.005} value={inputs.taxGrowthAnnual} onChange={(v)=>setInputs({...inputs, taxGrowthAnnual:v})} {...issue('taxGrowthAnnual')} />
+                <Field label="Insurance / yr" value={inputs.insuranceAnnual} onChange={(v)=>setInputs({...inputs, insuranceAnnual:v})} {...issue('insuranceAnnual')} />
+                <Field label="Insurance growth" step={0.005} value={inputs.insuranceGrowthAnnual} onChange={(v)=>setInputs({...inputs, insuranceGrowthAnnual:v})} {...issue('insuranceGrowthAnnual')} />
+                <Field label="Repairs (% of rent)" step={0.005} value={inputs.repairsPctOfRent} onChange={(v)=>setInputs({...inputs, repairsPctOfRent:v})} {...issue('repairsPctOfRent')} />
+                {shortTerm
+                  ? <Field label="STR management (% of income)" step={0.01} value={inputs.strMgmtPct} onChange={(v)=>setInputs({...inputs, strMgmtPct:v})} {...issue('strMgmtPct')} />
+                  : <Field label="PM (% of rent)" step={0.005} value={inputs.pmPct} onChange={(v)=>setInputs({...inputs, pmPct:v})} {...issue('pmPct')} />}
+                <Field label="HOA / mo" value={inputs.hoaMonthly} onChange={(v)=>setInputs({...inputs, hoaMonthly:v})} {...issue('hoaMonthly')} />
+                <Field label="HOA growth" step={0.005} value={inputs.hoaGrowthAnnual} onChange={(v)=>setInputs({...inputs, hoaGrowthAnnual:v})} {...issue('hoaGrowthAnnual')} />
+                <Field label="Owner-paid utilities / mo" value={inputs.utilitiesMonthly} onChange={(v)=>setInputs({...inputs, utilitiesMonthly:v})} {...issue('utilitiesMonthly')} />
+                <Field label="Utilities growth" step={0.005} value={inputs.utilitiesGrowthAnnual} onChange={(v)=>setInputs({...inputs, utilitiesGrowthAnnual:v})} {...issue('utilitiesGrowthAnnual')} />
+                <Field label="Landscaping / mo" value={inputs.landscapingMonthly} onChange={(v)=>setInputs({...inputs, landscapingMonthly:v})} {...issue('landscapingMonthly')} />
+                <Field label="Landscaping growth" step={0.005} value={inputs.landscapingGrowthAnnual} onChange={(v)=>setInputs({...inputs, landscapingGrowthAnnual:v})} {...issue('landscapingGrowthAnnual')} />
+                <Field label="Home warranty / yr" value={inputs.warrantyAnnual} onChange={(v)=>setInputs({...inputs, warrantyAnnual:v})} {...issue('warrantyAnnual')} />
+                <Field label="Warranty growth" step={0.005} value={inputs.warrantyGrowthAnnual} onChange={(v)=>setInputs({...inputs, warrantyGrowthAnnual:v})} {...issue('warrantyGrowthAnnual')} />
+                <Select label="Capex" value={inputs.capexMode} onChange={(v)=>setInputs({...inputs, capexMode:v})} {...issue('capexMode')}
+                  options={[['reserve', 'Monthly reserve'], ['actual', 'Pay when due']]} />
+                <Field label="Capex cost inflation" step={0.005} value={inputs.capexInflation} onChange={(v)=>setInputs({...inputs, capexInflation:v})} {...issue('capexInflation')} />
+              </div>
+              <div className="mt-3 space-y-2">
+                <div className="text-sm text-neutral-700">Capex items (cost today · life · current age, years)</div>
+                {inputs.capexItems.map((item, idx) => {
+                  const setItem = (patch) => setInputs({...inputs, capexItems: inputs.capexItems.map((x, j) => j === idx ? {...x, ...patch} : x)});
+                  return (
+                    <div key={idx} className="grid grid-cols-[1.2fr_1fr_0.7fr_0.7fr_auto] gap-2 items-end">
+                      <label className="block text-sm">
+                        <div className="mb-1 text-neutral-700">Item</div>
+                        <input value={item.name} onChange={(e)=>setItem({ name: e.target.value })}
+                          className="w-full rounded-xl border border-neutral-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+                      </label>
+                      <Field label="Cost" value={item.cost} onChange={(v)=>setItem({ cost: v })} />
+                      <Field label="Life" value={item.lifeYears} onChange={(v)=>setItem({ lifeYears: v })} />
+                      <Field label="Age" value={item.ageYears} onChange={(v)=>setItem({ ageYears: v })} />
+                      <button className="px-2 py-2 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>setInputs({...inputs, capexItems: inputs.capexItems.filter((_, j) => j !== idx)})}>Remove</button>
+                    </div>
+                  );
+                })}
+                <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200 text-xs" onClick={()=>setInputs({...inputs, capexItems: [...inputs.capexItems, { name: 'Item', cost: 5_000, lifeYears: 15, ageYears: 0 }]})}>Add capex item</button>
+                {checked.errors.capexItems && <p className="text-xs text-red-600">{checked.errors.capexItems}</p>}
+              </div>
             </section>
 
 
             <section className="bg-white rounded-2xl shadow p-4">
               <h2 className="font-semibold mb-3">Cost Seg & Taxes</h2>
               <div className="grid grid-cols-2 gap-3">
-                <Toggle label="Use cost seg (add immediate used deduction)" checked={inputs.useCostSeg} onChange={(b)=>setInputs({...inputs, useCostSeg:b})} />
-                <Toggle label="REPS / STR (ignore cap)" checked={inputs.repsOrSTR} onChange={(b)=>setInputs({...inputs, repsOrSTR:b})} />
-                <Field label="Land %" step={0.01} value={inputs.landPct} onChange={(v)=>setInputs({...inputs, landPct:v})} />
-                <Field label="Reclass % of impr" step={0.01} value={inputs.reclassPct} onChange={(v)=>setInputs({...inputs, reclassPct:v})} />
-                <Field label="Bonus % (eligible)" step={0.01} value={inputs.bonusPct} onChange={(v)=>setInputs({...inputs, bonusPct:v})} />
-                <Field label="Tax bracket" step={0.01} value={inputs.taxBracket} onChange={(v)=>setInputs({...inputs, taxBracket:v})} />
-                <Field label="MAGI" value={inputs.magi} onChange={(v)=>setInputs({...inputs, magi:v})} />
-                <Field label="Other passive income (Yr-1)" value={inputs.otherPassiveIncome} onChange={(v)=>setInputs({...inputs, otherPassiveIncome:v})} />
-                <Field label="Study fee" value={inputs.studyFee} onChange={(v)=>setInputs({...inputs, studyFee:v})} />
+                <Toggle label="Use cost seg" checked={inputs.useCostSeg} onChange={(b)=>setInputs({...inputs, useCostSeg:b})} />
+                <Toggle label="REPS (real estate professional)" checked={inputs.repsOrSTR} onChange={(b)=>setInputs({...inputs, repsOrSTR:b})} />
+                {shortTerm && <Toggle label="Material participation (STR)" checked={inputs.strMaterialParticipation} onChange={(b)=>setInputs({...inputs, strMaterialParticipation:b})} />}
+                <Field label="Land %" step={0.01} value={inputs.landPct} onChange={(v)=>setInputs({...inputs, landPct:v})} {...issue('landPct')} />
+                <Select label="Building" value={inputs.propertyUse} onChange={(v)=>setInputs({...inputs, propertyUse:v})} {...issue('propertyUse')}
+                  options={[['residential', 'Residential (27.5y)'], ['commercial', 'Commercial (39y)']]} />
+                <Field label="5-yr % of impr" step={0.01} value={inputs.costSeg5Pct} onChange={(v)=>setInputs({...inputs, costSeg5Pct:v})} {...issue('costSeg5Pct')} />
+                <Field label="7-yr % of impr" step={0.01} value={inputs.costSeg7Pct} onChange={(v)=>setInputs({...inputs, costSeg7Pct:v})} {...issue('costSeg7Pct')} />
+                <Field label="15-yr % of impr" step={0.01} value={inputs.costSeg15Pct} onChange={(v)=>setInputs({...inputs, costSeg15Pct:v})} {...issue('costSeg15Pct')} />
+                <Toggle label="Override bonus %" checked={inputs.bonusPct != null} onChange={(b)=>setInputs({...inputs, bonusPct: b ? r.costSeg.bonusPct : null})} />
+                {inputs.bonusPct != null
+                  ? <Field label="Bonus % (eligible)" step={0.01} value={inputs.bonusPct} onChange={(v)=>setInputs({...inputs, bonusPct:v})} {...issue('bonusPct')} />
+                  : <KV label={`Bonus % (placed ${r.costSeg.placedInService})`} value={(r.costSeg.bonusPct*100).toFixed(0) + '%'} />}
+                <Field label="Tax bracket" step={0.01} value={inputs.taxBracket} onChange={(v)=>setInputs({...inputs, taxBracket:v})} {...issue('taxBracket')} />
+                <Field label="MAGI" value={inputs.magi} onChange={(v)=>setInputs({...inputs, magi:v})} {...issue('magi')} />
+                <Field label="MAGI growth (annual)" step={0.005} value={inputs.magiGrowthAnnual} onChange={(v)=>setInputs({...inputs, magiGrowthAnnual:v})} {...issue('magiGrowthAnnual')} />
+                <Field label="Other passive income / yr" value={inputs.otherPassiveIncome} onChange={(v)=>setInputs({...inputs, otherPassiveIncome:v})} {...issue('otherPassiveIncome')} />
+                <Field label="Study fee" value={inputs.studyFee} onChange={(v)=>setInputs({...inputs, studyFee:v})} {...issue('studyFee')} />
+                <Field label="LT capital gains rate" step={0.01} value={inputs.capitalGainsRate} onChange={(v)=>setInputs({...inputs, capitalGainsRate:v})} {...issue('capitalGainsRate')} />
+                <Select label="Exit" value={inputs.exitMode} onChange={(v)=>setInputs({...inputs, exitMode:v})} {...issue('exitMode')}
+                  options={[['sale', 'Taxable sale'], ['1031', '1031 exchange (defer)']]} />
               </div>
-              <p className="text-xs text-neutral-500 mt-2">Non‑REPS special allowance cap: {currency(r.specialAllowance)} (Pub 925 phase‑out @ $100k–$150k MAGI). Immediate used deduction = min(available, cap+passive).</p>
+              <p className="text-xs text-neutral-500 mt-2">Loss treatment: <span className="font-medium text-neutral-700">{r.lossTreatment.label}</span>. {r.lossTreatment.allowance
+                ? `Special allowance cap: ${currency(r.costSeg.specialAllowance)} in year 1 (Pub 925 phase‑out @ $100k–$150k MAGI, re-tested each year). `
+                : shortTerm && !r.lossTreatment.nonPassive ? `With an average stay of ${STR_MAX_AVERAGE_STAY} nights or less the STR isn't a rental activity, so there's no special allowance; material participation makes its losses non-passive. ` : ''}
+                {!r.lossTreatment.nonPassive && 'Losses beyond passive income + allowance are suspended and carried forward.'}</p>
             </section>
 
 
             <section className="bg-white rounded-2xl shadow p-4">
               <h2 className="font-semibold mb-3">S&P Benchmark</h2>
               <div className="grid grid-cols-2 gap-3">
-                <Field label="S&P annualized return" step={0.0001} value={inputs.spAnnualReturn} onChange={(v)=>setInputs({...inputs, spAnnualReturn:v})} helper="Set to 10yr, 25yr, or 30yr CAGR as needed." />
+                <Field label="S&P annualized return" step={0.0001} value={inputs.spAnnualReturn} onChange={(v)=>setInputs({...inputs, spAnnualReturn:v})} helper="Set to 10yr, 25yr, or 30yr CAGR as needed." {...issue('spAnnualReturn')} />
+                <Select label="Invest in stocks" value={inputs.benchmarkMode} onChange={(v)=>setInputs({...inputs, benchmarkMode:v})} {...issue('benchmarkMode')}
+                  options={[['initial', 'Initial outlay only'], ['matched', 'Same cash flows'], ['dca', 'Initial outlay, dollar-cost averaged']]} />
+                {inputs.benchmarkMode === 'dca' && (
+                  <Field label="DCA over (months)" value={inputs.dcaMonths} onChange={(v)=>setInputs({...inputs, dcaMonths:v})} {...issue('dcaMonths')} />
+                )}
+                <Field label="ETF expense ratio (bps)" value={inputs.etfErBps} onChange={(v)=>setInputs({...inputs, etfErBps:v})} {...issue('etfErBps')} />
+                <Field label="Advisor fee (annual)" step={0.0025} value={inputs.advisorFee} onChange={(v)=>setInputs({...inputs, advisorFee:v})} {...issue('advisorFee')} />
+                <Field label="Dividend yield" step={0.001} value={inputs.dividendYield} onChange={(v)=>setInputs({...inputs, dividendYield:v})} helper="Part of the return above; taxed each year." {...issue('dividendYield')} />
+                <Field label="Dividend tax rate" step={0.01} value={inputs.dividendTaxRate} onChange={(v)=>setInputs({...inputs, dividendTaxRate:v})} {...issue('dividendTaxRate')} />
               </div>
+              <p className="text-xs text-neutral-500 mt-1">“Same cash flows” buys more stock in months the property costs money and sells in months it pays out. After tax, sales pay the LT capital gains rate (plus NIIT above the threshold on the final liquidation).</p>
               <div className="flex gap-2 mt-2 text-xs">
-                <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={()=>setInputs({...inputs, spAnnualReturn:0.1465, horizonYears:10})}>10y 14.65%</button>
-                <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={()=>setInputs({...inputs, spAnnualReturn:0.09, horizonYears:25})}>25y 9% (placeholder)</button>
-                <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={()=>setInputs({...inputs, spAnnualReturn:0.095, horizonYears:30})}>30y 9.5% (placeholder)</button>
+                {[10, 25, 30].map((n) => {
+                  const cagr = trailingCagr('sp', n);
+                  return <button key={n} className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={()=>setInputs({...inputs, spAnnualReturn:+cagr.toFixed(4), horizonYears:n})}>{n}y {(cagr*100).toFixed(2)}%</button>;
+                })}
+              </div>
+              <p className="text-xs text-neutral-500 mt-1">Trailing S&P 500 total return to {HISTORY[HISTORY.length - 1].year}, from the bundled history.</p>
+              <div className="grid grid-cols-2 gap-3 mt-3">
+                <Toggle label="Backtest every start year" checked={backtestOn} onChange={setBacktestOn} />
+                <Select label="Rent growth in backtest" value={backtestRent} onChange={setBacktestRent}
+                  options={[['deal', 'Deal assumption'], ['cpi', 'Track CPI']]} />
               </div>
             </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Monte Carlo</h2>
+              <div className="grid grid-cols-2 gap-3">
+                <Toggle label="Simulate" checked={simOn} onChange={setSimOn} />
+                <Field label="Paths" step={500} value={simConfig.paths} onChange={(v)=>setSimConfig({...simConfig, paths:v})} />
+                <Field label="Seed" value={simConfig.seed} onChange={(v)=>setSimConfig({...simConfig, seed:v})} />
+                <Field label="Home price ↔ S&P correlation" step={0.05} value={simConfig.correlation} onChange={(v)=>setSimConfig({...simConfig, correlation:v})} />
+              </div>
+              <DistributionFields label="Appreciation (each year)" step={0.005} spec={simConfig.appreciation} centre={deal.appreciationAnnual} onChange={(d)=>setSimConfig({...simConfig, appreciation:d})} />
+              <DistributionFields label="Rent growth (each year)" step={0.005} spec={simConfig.rentGrowth} centre={deal.rentGrowthAnnual} onChange={(d)=>setSimConfig({...simConfig, rentGrowth:d})} />
+              <DistributionFields label="S&P return (each year)" step={0.005} spec={simConfig.spReturn} centre={deal.spAnnualReturn} onChange={(d)=>setSimConfig({...simConfig, spReturn:d})} />
+              {shortTerm
+                ? <DistributionFields label="Occupancy (per path)" step={0.01} spec={simConfig.strOccupancy} centre={deal.strOccupancy} onChange={(d)=>setSimConfig({...simConfig, strOccupancy:d})} />
+                : <DistributionFields label={`Vacancy months per 10yr (${deal.units.length ? 'per unit, ' : ''}per path)`} step={1} spec={simConfig.vacancyMonthsPer10yr} centre={deal.vacancyMonthsPer10yr} onChange={(d)=>setSimConfig({...simConfig, vacancyMonthsPer10yr:d})} />}
+              <p className="text-xs text-neutral-500 mt-2">Centres left at the deal's value follow the inputs above{deal.units.length && !shortTerm ? '; with a unit mix each unit centres on its own vacancy' : ''}. {shortTerm ? 'Occupancy is drawn once per path and scaled by the seasonality as usual.' : 'Vacant months land at random within each path instead of being spread evenly.'} Runs in a background worker.</p>
+            </section>
           </div>
 
 
@@ -350,24 +540,158 @@ export default function RealROICalculator() {
           <div className="lg:col-span-2 space-y-6">
             <section className="bg-white rounded-2xl shadow p-4">
               <h2 className="font-semibold mb-4">Headlines</h2>
-              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
                 <Metric label="Real Estate — base (pre-tax)" value={r.reBaseNet} />
-                <Metric label="Real Estate — with cost seg (used now)" value={r.reWithCostSeg} />
-                <Metric label="Stocks — same cash timing" value={r.stocksNet} />
+                <Metric label={deal.useCostSeg ? 'Real Estate — after tax (with cost seg)' : 'Real Estate — after tax'} value={r.reAfterTaxNet} />
+                <Metric label={`Stocks — ${BENCHMARK_LABELS[deal.benchmarkMode]} (pre-tax)`} value={r.stocksNet} />
+                <Metric label="Stocks — after tax" value={r.stocksAfterTaxNet} />
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                <KV label="Stocks: dividend tax" value={currency(r.stocksDividendTax)} />
+                <KV label="Stocks: tax on withdrawals" value={currency(r.stocksSaleTax)} />
+                <KV label="Stocks: tax at liquidation" value={currency(r.stocksLiquidationTax)} />
               </div>
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
                 <KV label="Out-of-pocket" value={currency(r.outOfPocket)} />
                 <KV label="Multiple (base)" value={r.multipleBase.toFixed(2) + '×'} />
-                <KV label="Multiple (with CS)" value={r.multipleCS.toFixed(2) + '×'} />
+                <KV label="Multiple (after tax)" value={r.multipleAfterTax.toFixed(2) + '×'} />
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
+                <KV label="Monthly P&I" value={currency(r.paymentMonthly)} />
+                <KV label="Total interest paid" value={currency(r.interestPaid)} />
+                <KV label="Loan balance at exit" value={currency(r.endBalance)} />
               </div>
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mt-4">
                 <KV label="Appreciation annual" value={(r.apprAnnual*100).toFixed(2) + '%/yr'} />
-                <KV label="Principal paydown (scaled)" value={currency(r.principalPaydown)} />
-                <KV label="IRR (annual)" value={r.annualIRR != null ? (r.annualIRR*100).toFixed(1) + '%/yr' : '—'} />
+                <KV label="Principal paydown (amortized)" value={currency(r.principalPaydown)} />
+                <KV label="IRR (annual)" value={rate(r.irr)} hint={r.irr.message} />
+              </div>
+            </section>
+
+
+            {compared.length >= 2 && (
+              <section className="bg-white rounded-2xl shadow p-4">
+                <h2 className="font-semibold mb-4">Comparison — {compared.length} deals</h2>
+                <div className="overflow-x-auto">
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-right">
+                        <th className="text-left py-1"></th>
+                        {compared.map((c, j) => <th key={j} className="px-2" style={{ color: COMPARE_COLORS[j] }}>{c.name}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {[
+                        ['Net gain (pre-tax)', (c) => currency(c.summary.reBaseNet)],
+                        ['Net gain (after tax)', (c) => currency(c.summary.reAfterTaxNet)],
+                        ['Stocks net', (c) => currency(c.summary.stocksNet)],
+                        ['Stocks net (after tax)', (c) => currency(c.summary.stocksAfterTaxNet)],
+                        ['Initial investment', (c) => currency(c.summary.initialInvestment)],
+                        ['Out-of-pocket', (c) => currency(c.summary.outOfPocket)],
+                        ['IRR', (c) => rate(c.summary.irr)],
+                        ['After-tax IRR', (c) => rate(c.summary.afterTaxIrr)],
+                        ['XIRR', (c) => rate(c.summary.xirr)],
+                        ['MIRR', (c) => rate(c.summary.mirr)],
+                        ['Equity multiple', (c) => c.summary.equityMultiple.value != null ? c.summary.equityMultiple.value.toFixed(2) + '×' : '—'],
+                        ['Multiple (base / after tax)', (c) => `${c.summary.multipleBase.toFixed(2)}× / ${c.summary.multipleAfterTax.toFixed(2)}×`],
+                        ['Cash-on-cash Y1', (c) => c.summary.cashOnCash[0]?.value != null ? (c.summary.cashOnCash[0].value*100).toFixed(1) + '%' : '—'],
+                      ].map(([label, cell]) => (
+                        <tr key={label} className="text-right border-t border-neutral-100">
+                          <td className="text-left py-1 text-neutral-600">{label}</td>
+                          {compared.map((c, j) => <td key={j} className="px-2">{cell(c)}</td>)}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="h-64 mt-4">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={compareCashFlows}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="year" />
+                      <YAxis tickFormatter={(v)=>'$'+(v/1000).toFixed(0)+'k'} />
+                      <Tooltip formatter={(v)=>currency(Number(v))} labelFormatter={(y)=>`Year ${y} cash flow`} />
+                      <Legend />
+                      {compared.map((c, j) => <Line key={j} dataKey={`d${j}`} name={c.name} stroke={COMPARE_COLORS[j]} dot={false} />)}
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+                <h3 className="font-medium mt-4 mb-2 text-sm">Inputs that differ</h3>
+                {differing.length === 0 ? <p className="text-xs text-neutral-500">All inputs are identical.</p> : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-xs">
+                      <tbody>
+                        {differing.map((key) => (
+                          <tr key={key} className="text-right border-t border-neutral-100">
+                            <td className="text-left py-1 text-neutral-600 font-mono">{key}</td>
+                            {compared.map((c, j) => {
+                              const changed = JSON.stringify(c.deal[key]) !== JSON.stringify(compared[0].deal[key]);
+                              return <td key={j} className={'px-2 ' + (changed ? 'bg-amber-50 text-amber-900 font-medium' : '')}>{formatValue(c.deal[key])}</td>;
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                <p className="text-xs text-neutral-500 mt-2">Highlighted cells differ from the first column. Annual cash flow is pre-tax, after debt service and capex.</p>
+              </section>
+            )}
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-4">Returns</h2>
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <KV label="XIRR (dated cash flows)" value={rate(r.xirr)} hint={r.xirr.message} />
+                <KV label="Real IRR (today's dollars)" value={rate(r.realIrr)} hint={r.realIrr.message} />
+                <KV label="MIRR" value={rate(r.mirr)} hint={r.mirr.message} />
+                <KV label="Equity multiple" value={r.equityMultiple.value != null ? r.equityMultiple.value.toFixed(2) + '×' : '—'} hint={r.equityMultiple.message} />
+                <Field label="MIRR finance rate" step={0.0025} value={inputs.mirrFinanceRate} onChange={(v)=>setInputs({...inputs, mirrFinanceRate:v})} helper="Cost of funding negative months." {...issue('mirrFinanceRate')} />
+                <Field label="MIRR reinvest rate" step={0.0025} value={inputs.mirrReinvestRate} onChange={(v)=>setInputs({...inputs, mirrReinvestRate:v})} helper="Rate positive months earn." {...issue('mirrReinvestRate')} />
+              </div>
+              <div className="mt-4 text-sm">
+                <div className="mb-1 text-neutral-700">Cash-on-cash by year (pre-tax cash flow ÷ {currency(r.initialInvestment)} invested)</div>
+                <div className="flex flex-wrap gap-2 text-xs">
+                  {r.cashOnCash.map((c) => (
+                    <span key={c.year} className={'rounded px-2 py-1 ' + (c.value != null && c.value < 0 ? 'bg-red-50 text-red-700' : 'bg-neutral-100')}>Y{c.year}: {c.value != null ? (c.value*100).toFixed(1) + '%' : '—'}</span>
+                  ))}
+                </div>
               </div>
             </section>
 
 
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-4">Operating Expenses over {deal.horizonYears} years</h2>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+                <KV label="Management" value={currency(r.expenseTotals.propertyMgmt)} />
+                {shortTerm ? (
+                  <>
+                    <KV label="Platform fees" value={currency(r.expenseTotals.platformFees)} />
+                    <KV label="Cleaning" value={currency(r.expenseTotals.cleaning)} />
+                  </>
+                ) : <KV label="Placement & turnover" value={currency(r.expenseTotals.placementFee)} />}
+                <KV label="Property tax" value={currency(r.expenseTotals.propertyTax)} />
+                <KV label="Insurance" value={currency(r.expenseTotals.insurance)} />
+                <KV label="Repairs" value={currency(r.expenseTotals.repairs)} />
+                <KV label="HOA" value={currency(r.expenseTotals.hoa)} />
+                <KV label="Utilities" value={currency(r.expenseTotals.utilities)} />
+                <KV label="Landscaping" value={currency(r.expenseTotals.landscaping)} />
+                <KV label="Home warranty" value={currency(r.expenseTotals.warranty)} />
+                <KV label={inputs.capexMode === 'reserve' ? 'Capex reserve' : 'Capex replacements'} value={currency(r.totalCapex)} />
+                {shortTerm && <KV label="Furnishing" value={currency(r.totalFurnishing)} />}
+                <KV label="Total operating (excl. capex)" value={currency(r.totalOperatingExpenses)} />
+                <KV label={shortTerm ? 'Income collected' : 'Rent collected'} value={currency(r.totalRentCollected)} />
+              </div>
+              <p className="text-xs text-neutral-500 mt-2">
+                {r.capexReplacements.length
+                  ? 'Replacements due: ' + r.capexReplacements.map((x) => `${x.name} yr ${x.year} (${currency(x.cost)})`).join(' · ') + '.'
+                  : 'No capex item comes due within the horizon.'}
+                {' '}Replacements are capitalized and depreciated as building improvements from the month they’re bought, not deducted as expenses.
+                {inputs.capexMode === 'reserve' && ` The reserve pays for them; the ${currency(r.capexReserveReturned)} it still holds at the end comes back with the sale.`}
+              </p>
+            </section>
+
+
             <section className="bg-white rounded-2xl shadow p-4">
               <h2 className="font-semibold mb-4">Bar Chart — Net Gain over Contributions</h2>
               <div className="h-72">
@@ -376,27 +700,299 @@ export default function RealROICalculator() {
                     <CartesianGrid strokeDasharray="3 3" />
                     <XAxis dataKey="key" hide/>
                     <YAxis tickFormatter={(v)=>'$'+(v/1000).toFixed(0)+'k'} />
-                    <Tooltip formatter={(v: any)=>currency(Number(v))} />
+                    <Tooltip formatter={(v)=>currency(Number(v))} />
                     <Bar dataKey="value" fill="#4f46e5" />
                   </BarChart>
                 </ResponsiveContainer>
               </div>
-              <div className="text-xs text-neutral-500 mt-2">Stocks mirror only initial capital (down payment + safety net), not rents or recurring fees. Property IRR includes monthly ops and terminal value (appreciation + principal).</div>
+              <div className="text-xs text-neutral-500 mt-2">{deal.benchmarkMode === 'matched'
+                ? 'Stocks receive the initial capital (down payment + closing costs + safety net) and then every monthly shortfall, and pay out every monthly surplus.'
+                : `Stocks mirror only initial capital (down payment + closing costs + safety net)${deal.benchmarkMode === 'dca' ? `, bought over ${deal.dcaMonths} months` : ''}, not rents or recurring fees.`} Property IRR includes monthly ops, mortgage P&I and net sale proceeds after loan payoff.</div>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <div className="flex items-center justify-between mb-3">
+                <h2 className="font-semibold">Sensitivity{sensitivity.running ? ' (running…)' : ''}</h2>
+                <Toggle label="Show" checked={sens.open} onChange={(b)=>setSens({...sens, open:b})} />
+              </div>
+              {sens.open && sensitivity.error && <p className="text-sm text-red-700 mb-3">{sensitivity.error}</p>}
+              {sens.open && (
+                <div className={sensitivity.running ? 'opacity-60' : ''}>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    <Field label="Flex each input ±" step={0.05} value={sens.pct} onChange={(v)=>setSens({...sens, pct:v})} helper="0.10 = ±10%" />
+                    <Select label="Net gain measure" value={sens.netMetric} onChange={(v)=>setSens({...sens, netMetric:v})}
+                      options={['reBaseNet', 'reAfterTaxNet', 'advantage', 'afterTaxAdvantage'].map((k) => [k, SENSITIVITY_METRICS[k].label])} />
+                    <Select label="Tornado on" value={sens.tornadoOn} onChange={(v)=>setSens({...sens, tornadoOn:v})}
+                      options={[['net', 'Net gain ($)'], ['irr', 'IRR (pts)']]} />
+                    <KV label={sens.tornadoOn === 'net' ? 'Base' : 'Base IRR'} value={sens.tornadoOn === 'net' ? currency(tornadoResult?.baseNet) : rate(r.irr)} />
+                  </div>
+                  {tornadoResult && <div className="mt-4" style={{ height: 28 * tornadoData.length + 60 }}>
+                    <ResponsiveContainer width="100%" height="100%">
+                      <BarChart data={tornadoData} layout="vertical" stackOffset="sign">
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" tickFormatter={(v)=>sens.tornadoOn === 'net' ? '$'+(v/1000).toFixed(0)+'k' : v.toFixed(1)+'pt'} />
+                        <YAxis type="category" dataKey="label" width={150} />
+                        <Tooltip formatter={(v)=>sens.tornadoOn === 'net' ? currency(Number(v)) : Number(v).toFixed(2) + ' pts'} />
+                        <Legend />
+                        <Bar dataKey="low" name={`Input −${Math.round(sens.pct*100)}%`} stackId="t" fill="#dc2626" />
+                        <Bar dataKey="high" name={`Input +${Math.round(sens.pct*100)}%`} stackId="t" fill="#059669" />
+                      </BarChart>
+                    </ResponsiveContainer>
+                  </div>}
+
+                  <h3 className="font-medium mt-6 mb-2 text-sm">Two-input heatmap</h3>
+                  <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+                    <Select label="Across (x)" value={sens.xKey} onChange={(v)=>setSens({...sens, xKey:v})} options={inputOptions} />
+                    <Select label="Down (y)" value={sens.yKey} onChange={(v)=>setSens({...sens, yKey:v})} options={inputOptions} />
+                    <Field label="Range ±" step={0.05} value={sens.spread} onChange={(v)=>setSens({...sens, spread:v})} />
+                    <Field label="Steps" value={sens.steps} onChange={(v)=>setSens({...sens, steps:v})} />
+                    <Select label="Color by" value={sens.heatMetric} onChange={(v)=>setSens({...sens, heatMetric:v})}
+                      options={['advantage', 'afterTaxAdvantage', 'reBaseNet', 'reAfterTaxNet'].map((k) => [k, SENSITIVITY_METRICS[k].label])} />
+                  </div>
+                  <div className="flex gap-2 mt-2 text-xs">
+                    <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={()=>setSens({...sens, xKey:'purchasePrice', yKey:'rentMonthly'})}>Price × rent</button>
+                    <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={()=>setSens({...sens, xKey:'rate', yKey:'appreciationAnnual'})}>Rate × appreciation</button>
+                    <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={()=>setSens({...sens, xKey:'appreciationAnnual', yKey:'spAnnualReturn'})}>Appreciation × S&P</button>
+                  </div>
+                  {heat && (
+                    <div className="overflow-x-auto mt-3">
+                      <table className="text-xs">
+                        <thead>
+                          <tr>
+                            <th className="text-left text-neutral-500 pr-2 py-1">{SENSITIVITY_INPUTS.find((i) => i.key === heat.y.key)?.label} ↓ / {SENSITIVITY_INPUTS.find((i) => i.key === heat.x.key)?.label} →</th>
+                            {heat.x.values.map((xv, i) => <th key={i} className="px-2 text-right text-neutral-500">{formatInput(heat.x.key, xv)}</th>)}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {heat.cells.map((row, j) => (
+                            <tr key={j}>
+                              <th className="text-left text-neutral-500 pr-2 py-1">{formatInput(heat.y.key, heat.y.values[j])}</th>
+                              {row.map((v, i) => <td key={i} className="px-2 py-1 text-right" style={{ background: heatColor(v, heatScale) }}>{v != null ? currency(v) : '—'}</td>)}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  <h3 className="font-medium mt-6 mb-2 text-sm">Break-even</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                    <Select label="Solve for" value={sens.solveKey} onChange={(v)=>setSens({...sens, solveKey:v})} options={inputOptions} />
+                    <KV label="Current" value={formatInput(sens.solveKey, deal[sens.solveKey])} />
+                    <KV label="Real estate = stocks (pre-tax) at" value={solved?.value != null ? formatInput(sens.solveKey, solved.value) : '—'} hint={solved?.message} />
+                  </div>
+                  <p className="text-xs text-neutral-500 mt-2">Every other input stays as entered. The tornado flexes one input at a time; the heatmap and break-even answer "what would this have to be for the deal to beat stocks?".</p>
+                </div>
+              )}
             </section>
 
 
+            {simOn && (
+              <section className="bg-white rounded-2xl shadow p-4">
+                <h2 className="font-semibold mb-4">Monte Carlo — {simConfig.paths.toLocaleString()} paths{sim.running ? ` (running ${Math.round(sim.progress*100)}%)` : ''}</h2>
+                {sim.error && <p className="text-sm text-red-700 mb-3">{sim.error}</p>}
+                {sim.result && (
+                  <div className={sim.running ? 'opacity-60' : ''}>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <KV label="P(real estate beats S&P)" value={(sim.result.probReBeatsStocks*100).toFixed(1) + '%'} />
+                      <KV label="P(at least one negative cash month)" value={(sim.result.probNegativeCashMonth*100).toFixed(1) + '%'} />
+                      <KV label="Median advantage (RE − S&P)" value={currency(sim.result.advantage.p50)} />
+                      <KV label="Real estate net — P5 / P50 / P95" value={`${currency(sim.result.reNet.p5)} / ${currency(sim.result.reNet.p50)} / ${currency(sim.result.reNet.p95)}`} />
+                      <KV label="Stocks net — P5 / P50 / P95" value={`${currency(sim.result.stocksNet.p5)} / ${currency(sim.result.stocksNet.p50)} / ${currency(sim.result.stocksNet.p95)}`} />
+                      <KV label="Advantage — P5 / P95" value={`${currency(sim.result.advantage.p5)} / ${currency(sim.result.advantage.p95)}`} />
+                    </div>
+                    <div className="h-72 mt-4">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <ComposedChart data={bands}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="year" />
+                          <YAxis tickFormatter={(v)=>'$'+(v/1000).toFixed(0)+'k'} />
+                          <Tooltip formatter={(v)=>Array.isArray(v) ? v.map((x)=>currency(Number(x))).join(' – ') : currency(Number(v))} />
+                          <Legend />
+                          <Area dataKey="reOuter" name="Real estate P5–P95" stroke="none" fill="#4f46e5" fillOpacity={0.12} />
+                          <Area dataKey="reInner" name="Real estate P25–P75" stroke="none" fill="#4f46e5" fillOpacity={0.25} />
+                          <Line dataKey="reMedian" name="Real estate median" stroke="#4f46e5" dot={false} />
+                          <Area dataKey="stocksOuter" name="S&P P5–P95" stroke="none" fill="#059669" fillOpacity={0.12} />
+                          <Area dataKey="stocksInner" name="S&P P25–P75" stroke="none" fill="#059669" fillOpacity={0.25} />
+                          <Line dataKey="stocksMedian" name="S&P median" stroke="#059669" dot={false} />
+                        </ComposedChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </div>
+                )}
+                <div className="text-xs text-neutral-500 mt-2">Pre-tax net gain if sold at each year end (after sale costs) vs. the S&P benchmark over the same draws. Home-price and S&P draws are correlated within a year; rent growth and vacancy are independent.</div>
+              </section>
+            )}
+
+
+            {backtest && (
+              <section className="bg-white rounded-2xl shadow p-4">
+                <h2 className="font-semibold mb-4">Historical Backtest — {deal.horizonYears}-year holds, {HISTORY[0].year}–{HISTORY[HISTORY.length - 1].year}</h2>
+                {backtest.count === 0 ? <p className="text-sm text-amber-700">{backtest.reason}</p> : (
+                  <>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <KV label={`Real estate beat the S&P (${backtest.count} windows)`} value={(backtest.probReBeatsStocks*100).toFixed(0) + '%'} />
+                      <KV label="Real estate net — P5 / P50 / P95" value={`${currency(backtest.reNet.p5)} / ${currency(backtest.reNet.p50)} / ${currency(backtest.reNet.p95)}`} />
+                      <KV label="Stocks net — P5 / P50 / P95" value={`${currency(backtest.stocksNet.p5)} / ${currency(backtest.stocksNet.p50)} / ${currency(backtest.stocksNet.p95)}`} />
+                      <KV label="Worst window — real estate" value={`${backtest.worst.re.startYear}–${backtest.worst.re.endYear}: ${currency(backtest.worst.re.reNet)}`} />
+                      <KV label="Worst window — stocks" value={`${backtest.worst.stocks.startYear}–${backtest.worst.stocks.endYear}: ${currency(backtest.worst.stocks.stocksNet)}`} />
+                      <KV label="Worst window — RE vs S&P" value={`${backtest.worst.advantage.startYear}–${backtest.worst.advantage.endYear}: ${currency(backtest.worst.advantage.advantage)}`} />
+                      <KV label="Best window — real estate" value={`${backtest.best.re.startYear}–${backtest.best.re.endYear}: ${currency(backtest.best.re.reNet)}`} />
+                      <KV label="Best window — stocks" value={`${backtest.best.stocks.startYear}–${backtest.best.stocks.endYear}: ${currency(backtest.best.stocks.stocksNet)}`} />
+                      <KV label="Best window — RE vs S&P" value={`${backtest.best.advantage.startYear}–${backtest.best.advantage.endYear}: ${currency(backtest.best.advantage.advantage)}`} />
+                    </div>
+                    <div className="h-72 mt-4">
+                      <ResponsiveContainer width="100%" height="100%">
+                        <BarChart data={backtest.windows}>
+                          <CartesianGrid strokeDasharray="3 3" />
+                          <XAxis dataKey="startYear" />
+                          <YAxis tickFormatter={(v)=>'$'+(v/1000).toFixed(0)+'k'} />
+                          <Tooltip formatter={(v)=>currency(Number(v))} labelFormatter={(y)=>`Bought ${y}, sold ${y + deal.horizonYears - 1}`} />
+                          <Legend />
+                          <Bar dataKey="reNet" name="Real estate (pre-tax)" fill="#4f46e5" />
+                          <Bar dataKey="stocksNet" name="S&P" fill="#059669" />
+                        </BarChart>
+                      </ResponsiveContainer>
+                    </div>
+                  </>
+                )}
+                <div className="text-xs text-neutral-500 mt-2">Each window swaps the flat appreciation, S&P return and inflation for that span's national home-price index, S&P 500 total return and CPI; every other input is yours. National prices smooth out local booms and busts.</div>
+              </section>
+            )}
+
+
             <section className="bg-white rounded-2xl shadow p-4">
               <h2 className="font-semibold mb-3">Cost Seg — Year‑1 Usability</h2>
               <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
-                <KV label="Improvement basis (80%)" value={currency(inputs.purchasePrice * (1 - inputs.landPct))} />
-                <KV label="Bonus-eligible (reclass×bonus)" value={currency(r.bonusEligible)} />
-                <KV label="Year‑1 SL on remainder" value={currency(r.slYear1)} />
-                <KV label="Immediate available" value={currency(r.immediateAvailable)} />
-                <KV label="Immediate cap (Pub 925 + passive)" value={r.immediateCap === Infinity ? 'Unlimited (REPS/STR)' : currency(r.immediateCap)} />
-                <KV label="Immediate used (capped)" value={currency(r.immediateUsed)} />
-                <KV label="Tax savings now (@bracket)" value={currency(r.immediateTaxSavings)} />
+                <KV label={`Improvement basis (${Math.round((1 - deal.landPct) * 100)}%)`} value={currency(r.costSeg.improvementBasis)} />
+                <KV label="Bonus taken (5/7/15 × bonus)" value={currency(r.costSeg.bonusEligible)} />
+                <KV label="Year‑1 SL on remainder" value={currency(r.costSeg.slYear1)} />
+                <KV label="Year‑1 depreciation" value={currency(r.costSeg.immediateAvailable)} />
+                <KV label="Loss cap (Pub 925 + passive)" value={r.costSeg.immediateCap === Infinity ? 'Unlimited (non-passive)' : currency(r.costSeg.immediateCap)} />
+                <KV label="Year‑1 loss used (capped)" value={currency(r.costSeg.immediateUsed)} />
+                <KV label="Tax savings now (@bracket)" value={currency(r.costSeg.immediateTaxSavings)} />
+                <KV label="Suspended after year 1" value={currency(r.costSeg.suspendedYear1)} />
+                <KV label="After-tax net — straight-line only" value={currency(slOnly.reAfterTaxNet)} />
+                <KV label="After-tax net — with cost seg" value={currency(withCS.reAfterTaxNet)} />
+                <KV label="Cost seg advantage (after study fee & recapture)" value={currency(withCS.reAfterTaxNet - slOnly.reAfterTaxNet)} />
+              </div>
+              <p className="text-xs text-neutral-500 mt-2">{deal.taxBracket > 0
+                ? <>Breakeven immediate deduction for a study fee {currency(deal.studyFee)} at {Math.round(deal.taxBracket*100)}% bracket is {currency(deal.studyFee/deal.taxBracket)}.</>
+                : <>At a 0% bracket no immediate deduction pays back a study fee of {currency(deal.studyFee)}.</>} Anything you can’t use Year‑1 becomes a suspended passive loss unless your losses are non-passive or offset by passive income; it is carried forward and released against later passive income or on a taxable sale.</p>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+                <h2 className="font-semibold">Ledger</h2>
+                <div className="flex gap-2 text-xs">
+                  <button className={'px-2 py-1 rounded ' + (ledgerView === 'annual' ? 'bg-indigo-600 text-white' : 'bg-neutral-100 hover:bg-neutral-200')} onClick={()=>setLedgerView(ledgerView === 'annual' ? null : 'annual')}>Annual</button>
+                  <button className={'px-2 py-1 rounded ' + (ledgerView === 'monthly' ? 'bg-indigo-600 text-white' : 'bg-neutral-100 hover:bg-neutral-200')} onClick={()=>setLedgerView(ledgerView === 'monthly' ? null : 'monthly')}>Monthly</button>
+                  <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={exportCsv}>CSV ({ledgerView ?? 'annual'})</button>
+                  <button className="px-2 py-1 rounded bg-neutral-100 hover:bg-neutral-200" onClick={exportXlsx}>XLSX (both)</button>
+                </div>
+              </div>
+              {ledgerView && (
+                <div className="overflow-auto max-h-96">
+                  <table className="text-xs whitespace-nowrap">
+                    <thead className="text-neutral-500 sticky top-0 bg-white">
+                      <tr className="text-right">
+                        {ledgerColumns.map((c) => <th key={c.key} className="px-2 py-1 first:text-left">{c.label}</th>)}
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {ledgerRows.map((row, i) => (
+                        <tr key={i} className="text-right border-t border-neutral-100">
+                          {ledgerColumns.map((c) => <td key={c.key} className={'px-2 py-1 first:text-left ' + (typeof row[c.key] === 'number' && row[c.key] < 0 && c.format === 'usd' ? 'text-red-700' : '')}>{formatCell(c, row[c.key])}</td>)}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+              <p className="text-xs text-neutral-500 mt-2">Every number the headlines are built from. Depreciation and tax effects are figured per tax year: the monthly view spreads each year's depreciation evenly over its months and shows the tax effect in the year's last month, when it's realized; the stock portfolio is the benchmark balance on the same dates. Exports carry unrounded values.</p>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Depreciation Schedule</h2>
+              <div className="overflow-x-auto">
+                <table className="w-full text-xs">
+                  <thead className="text-neutral-500">
+                    <tr className="text-right">
+                      <th className="text-left py-1">Year</th><th>Bonus</th><th>5-yr</th><th>7-yr</th><th>15-yr</th><th>Building ({r.costSeg.buildingLife}y)</th><th>Improvements</th>{shortTerm && <th>Furnishing</th>}<th>Total</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {depreciation.map((d) => (
+                      <tr key={d.year} className="text-right border-t border-neutral-100">
+                        <td className="text-left py-1">{d.year}</td>
+                        <td>{currency(d.bonus)}</td>
+                        <td>{currency(d.class5)}</td>
+                        <td>{currency(d.class7)}</td>
+                        <td>{currency(d.class15)}</td>
+                        <td>{currency(d.building)}</td>
+                        <td>{currency(d.improvements)}</td>
+                        {shortTerm && <td>{currency(d.furnishing)}</td>}
+                        <td className="font-medium">{currency(d.total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
-              <p className="text-xs text-neutral-500 mt-2">Breakeven immediate deduction for a study fee {currency(inputs.studyFee)} at {Math.round(inputs.taxBracket*100)}% bracket is {currency(inputs.studyFee/inputs.taxBracket)}. Anything you can’t use Year‑1 becomes a suspended passive loss unless you’re REPS/STR or offset with passive income.</p>
+              <p className="text-xs text-neutral-500 mt-2">MACRS GDS half-year tables for 5/7/15-year property (200% / 200% / 150% DB); building straight-line, mid-month from {r.costSeg.placedInService}; capex replacements and rehab straight-line over the same life from the month they’re bought{shortTerm && '; furnishing as 5-year property with bonus from the month it’s bought'}. The sale year takes a half-year / 11.5-month disposition convention.</p>
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Tax Ledger</h2>
+              <div className="overflow-x-auto">
+                <table className="w-full text-xs">
+                  <thead className="text-neutral-500">
+                    <tr className="text-right">
+                      <th className="text-left py-1">Year</th><th>Taxable (property)</th><th>MAGI</th><th>Allowance</th><th>Carried in</th><th>Loss used</th><th>Carried out</th><th>Released on sale</th><th>Tax effect</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {years.map((y) => (
+                      <tr key={y.year} className="text-right border-t border-neutral-100">
+                        <td className="text-left py-1">{y.year}</td>
+                        <td>{currency(y.taxableIncome)}</td>
+                        <td>{currency(y.magi)}</td>
+                        <td>{r.lossTreatment.allowance ? currency(y.allowance) : 'n/a'}</td>
+                        <td>{currency(y.suspendedStart)}</td>
+                        <td>{currency(y.lossUsed)}</td>
+                        <td>{currency(y.suspendedEnd)}</td>
+                        <td>{currency(y.releasedOnSale)}</td>
+                        <td className={y.taxEffect < 0 ? 'text-red-700' : ''}>{currency(y.taxEffect)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {r.suspendedLossAtExit > 0 && <p className="text-xs text-neutral-500 mt-2">{currency(r.suspendedLossAtExit)} of suspended loss carries into the 1031 replacement property.</p>}
+            </section>
+
+
+            <section className="bg-white rounded-2xl shadow p-4">
+              <h2 className="font-semibold mb-3">Exit — Sale & Taxes</h2>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-3 text-sm">
+                <KV label="Sale price" value={currency(r.salePrice)} />
+                <KV label="Adjusted basis" value={currency(r.exit.adjustedBasis)} />
+                <KV label="Total gain" value={currency(r.exit.totalGain)} />
+                <KV label="Accumulated depreciation" value={currency(r.exit.accumulatedDepreciation)} />
+                <KV label="§1245 recapture (ordinary)" value={`${currency(r.exit.recapture1245)} → ${currency(r.exit.recapture1245Tax)}`} />
+                <KV label="Unrecaptured §1250 (≤25%)" value={`${currency(r.exit.unrecaptured1250)} → ${currency(r.exit.unrecaptured1250Tax)}`} />
+                <KV label="LT capital gain" value={`${currency(r.exit.capitalGain)} → ${currency(r.exit.capitalGainsTax)}`} />
+                <KV label="NIIT" value={currency(r.exit.niit)} />
+                <KV label={r.exit.deferred ? 'Tax deferred (1031)' : 'Total exit tax'} value={currency(r.exit.deferred ? r.exit.deferredTax : r.exit.totalTax)} />
+                <KV label="Net proceeds (pre-tax)" value={currency(r.netProceeds)} />
+                {r.reservesReturned > 0 && <KV label="Reserves returned" value={currency(r.reservesReturned)} />}
+                <KV label="After-tax proceeds" value={currency(r.exit.afterTaxProceeds)} />
+                <KV label="After-tax IRR" value={rate(r.afterTaxIrr)} hint={r.afterTaxIrr.message} />
+              </div>
+              <p className="text-xs text-neutral-500 mt-2">Recapture applies to depreciation taken, so cost seg mostly shifts tax from the exit to the early years rather than eliminating it. A 1031 exchange carries the gain and the deferred tax into the replacement property.</p>
             </section>
 
 
@@ -416,44 +1012,33 @@ export default function RealROICalculator() {
 // ---------------------------
 
 
-function Field({ label, value, onChange, step=1, helper }: { label: string; value: number; onChange: (v:number)=>void; step?: number; helper?: string }) {
-  return (
-    <label className="block text-sm">
-      <div className="mb-1 text-neutral-700">{label}</div>
-      <input type="number" step={step} value={value}
-        onChange={(e)=>onChange(parseFloat(e.target.value))}
-        className="w-full rounded-xl border border-neutral-300 px-3 py-2 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
-      {helper && <div className="mt-1 text-xs text-neutral-500">{helper}</div>}
-    </label>
-  );
-}
-
-
-function Toggle({ label, checked, onChange }: { label:string; checked:boolean; onChange:(b:boolean)=>void }) {
-  return (
-    <label className="flex items-center gap-2 text-sm">
-      <input type="checkbox" checked={checked} onChange={(e)=>onChange(e.target.checked)} className="h-4 w-4"/>
-      <span>{label}</span>
-    </label>
-  );
-}
-
-
-function Metric({ label, value }: { label: string; value: number }) {
+// Parameters for one simulated input; a null mean/mode tracks the deal's own value
+function DistributionFields({ label, spec, centre, step, onChange }) {
+  const set = (patch) => onChange({ ...spec, ...patch });
+  const setDist = (dist) => {
+    const spread = spec.sd ?? Math.abs(centre) / 2;
+    if (dist === 'normal') onChange({ dist, mean: spec.mean ?? spec.mode ?? null, sd: spread });
+    else if (dist === 'fixed') onChange({ dist, mean: spec.mean ?? spec.mode ?? null });
+    else onChange({ dist, min: spec.min ?? centre - 2 * spread, mode: spec.mode ?? spec.mean ?? null, max: spec.max ?? centre + 2 * spread });
+  };
   return (
-    <div className="rounded-xl border border-neutral-200 p-3">
-      <div className="text-xs text-neutral-500">{label}</div>
-      <div className="text-lg md:text-xl font-semibold">{currency(value)}</div>
+    <div className="mt-3">
+      <div className="text-sm text-neutral-700 mb-1">{label}</div>
+      <div className="grid grid-cols-4 gap-2 items-end">
+        <Select label="Shape" value={spec.dist} onChange={setDist}
+          options={[['normal', 'Normal'], ['uniform', 'Uniform'], ['triangular', 'Triangular'], ['fixed', 'Fixed']]} />
+        {(spec.dist === 'normal' || spec.dist === 'fixed') && (
+          <Field label="Mean" step={step} value={spec.mean ?? centre} onChange={(v)=>set({ mean:v })} />
+        )}
+        {spec.dist === 'normal' && <Field label="Std dev" step={step} value={spec.sd} onChange={(v)=>set({ sd:v })} />}
+        {(spec.dist === 'uniform' || spec.dist === 'triangular') && (
+          <Field label="Min" step={step} value={spec.min} onChange={(v)=>set({ min:v })} />
+        )}
+        {spec.dist === 'triangular' && <Field label="Mode" step={step} value={spec.mode ?? centre} onChange={(v)=>set({ mode:v })} />}
+        {(spec.dist === 'uniform' || spec.dist === 'triangular') && (
+          <Field label="Max" step={step} value={spec.max} onChange={(v)=>set({ max:v })} />
+        )}
+      </div>
     </div>
   );
 }
-
-
-function KV({ label, value }: { label: string; value: string | number }) {
-  return (
-    <div className="rounded-xl border border-neutral-100 p-3 bg-neutral-50">
-      <div className="text-xs text-neutral-500">{label}</div>
-      <div className="text-sm font-medium">{value}</div>
-    </div>
-  );
-}
\ No newline at end of file
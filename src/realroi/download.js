@@ -0,0 +1,21 @@
+// ---------------------------
+// Browser download helper for exports (JSON, CSV, …)
+// ---------------------------
+
+/**
+ * Save `content` as a file via a temporary object URL.
+ * @param {string} filename
+ * @param {Blob|string} content
+ * @param {string} [type]  MIME type when `content` is a string
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
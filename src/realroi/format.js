@@ -0,0 +1,9 @@
+// ---------------------------
+// Display formatting shared by the calculator and the portfolio page
+// ---------------------------
+
+/** Whole dollars in the browser's locale; '—' for anything that isn't a finite number. */
+export function currency(n) {
+  if (!Number.isFinite(n)) return '—';
+  return n.toLocaleString(undefined, { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+}
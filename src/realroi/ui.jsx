@@ -0,0 +1,75 @@
+// ---------------------------
+// Form fields and result tiles shared by the calculator and the portfolio page
+// ---------------------------
+
+import React, { useState } from 'react';
+import { currency } from './format.js';
+
+
+// Text that isn't a number yet ('', '-', '1e') stays local, so state never receives NaN
+export function Field({ label, value, onChange, step=1, helper, error, warning }) {
+  const [draft, setDraft] = useState(null);
+  const message = draft != null ? `${label} is required.` : error;
+  return (
+    <label className="block text-sm">
+      <div className="mb-1 text-neutral-700">{label}</div>
+      <input type="number" step={step} value={draft ?? (Number.isFinite(value) ? value : '')}
+        onChange={(e)=>{
+          const v = parseFloat(e.target.value);
+          if (Number.isFinite(v)) { setDraft(null); onChange(v); } else setDraft(e.target.value);
+        }}
+        onBlur={()=>setDraft(null)}
+        aria-invalid={message ? true : undefined}
+        className={`w-full rounded-xl border px-3 py-2 focus:outline-none focus:ring-2 ${message ? 'border-red-400 focus:ring-red-500' : warning ? 'border-amber-400 focus:ring-amber-500' : 'border-neutral-300 focus:ring-indigo-500'}`} />
+      {message ? <div className="mt-1 text-xs text-red-600">{message}</div>
+        : warning ? <div className="mt-1 text-xs text-amber-700">{warning}</div>
+          : helper && <div className="mt-1 text-xs text-neutral-500">{helper}</div>}
+    </label>
+  );
+}
+
+
+export function Toggle({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm">
+      <input type="checkbox" checked={checked} onChange={(e)=>onChange(e.target.checked)} className="h-4 w-4"/>
+      <span>{label}</span>
+    </label>
+  );
+}
+
+
+export function Select({ label, value, onChange, options, error }) {
+  return (
+    <label className="block text-sm">
+      <div className="mb-1 text-neutral-700">{label}</div>
+      <select value={value} onChange={(e)=>onChange(e.target.value)}
+        aria-invalid={error ? true : undefined}
+        className={`w-full rounded-xl border px-3 py-2 focus:outline-none focus:ring-2 ${error ? 'border-red-400 focus:ring-red-500' : 'border-neutral-300 focus:ring-indigo-500'}`}>
+        {options.map(([v, text]) => <option key={v} value={v}>{text}</option>)}
+      </select>
+      {error && <div className="mt-1 text-xs text-red-600">{error}</div>}
+    </label>
+  );
+}
+
+
+export function Metric({ label, value }) {
+  return (
+    <div className="rounded-xl border border-neutral-200 p-3">
+      <div className="text-xs text-neutral-500">{label}</div>
+      <div className="text-lg md:text-xl font-semibold">{currency(value)}</div>
+    </div>
+  );
+}
+
+
+export function KV({ label, value, hint }) {
+  return (
+    <div className="rounded-xl border border-neutral-100 p-3 bg-neutral-50" title={hint || undefined}>
+      <div className="text-xs text-neutral-500">{label}</div>
+      <div className="text-sm font-medium">{value}</div>
+      {hint && <div className="mt-1 text-xs text-amber-700">{hint}</div>}
+    </div>
+  );
+}
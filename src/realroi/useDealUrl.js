@@ -0,0 +1,65 @@
+// ---------------------------
+// useDealUrl — deal state mirrored into the route's `?d=` hash parameter, so a refresh
+// or a pasted link restores the exact deal. Drop-in for useState({ ...DEFAULT_DEAL }).
+// ---------------------------
+
+import { useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { decodeDeal, encodeDeal } from '../engine/index.js';
+
+const PARAM = 'd';
+
+function fromLink(defaults, text) {
+  if (!text) return { deal: { ...defaults }, notice: null };
+  const { deal, dropped, error } = decodeDeal(text);
+  if (error) return { deal: { ...defaults }, notice: error };
+  return {
+    deal: { ...defaults, ...deal },
+    notice: dropped.length ? `Ignored settings this version doesn't recognise: ${dropped.join(', ')}.` : null,
+  };
+}
+
+/**
+ * @param {Object} defaults
+ * @returns {[Object, (deal: Object) => void, { notice: string|null, copyLink: () => Promise<boolean> }]}
+ */
+export function useDealUrl(defaults) {
+  const [params, setParams] = useSearchParams();
+  const [initial] = useState(() => fromLink(defaults, params.get(PARAM)));
+  const [deal, setDeal] = useState(initial.deal);
+  const [notice, setNotice] = useState(initial.notice);
+  // What this hook last wrote, to tell our own URL updates from a pasted link
+  const written = useRef(params.get(PARAM) ?? '');
+
+  const linked = params.get(PARAM) ?? '';
+  useEffect(() => {
+    if (linked === written.current) return;
+    written.current = linked;
+    const next = fromLink(defaults, linked);
+    setDeal(next.deal);
+    setNotice(next.notice);
+  }, [linked, defaults]);
+
+  useEffect(() => {
+    const encoded = encodeDeal(deal);
+    if (encoded === written.current) return;
+    written.current = encoded;
+    setParams((prev) => {
+      const next = new URLSearchParams(prev);
+      if (encoded) next.set(PARAM, encoded);
+      else next.delete(PARAM);
+      return next;
+    }, { replace: true });
+  }, [deal, setParams]);
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  return [deal, setDeal, { notice, copyLink }];
+}
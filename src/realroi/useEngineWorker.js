@@ -0,0 +1,54 @@
+// ---------------------------
+// useEngineWorker — runs a slow engine task (see simulate.worker.js) in a web worker so
+// inputs stay responsive. A new deal/config restarts the worker; stale runs are terminated, not awaited.
+// ---------------------------
+
+import { useEffect, useRef, useState } from 'react';
+
+const DEBOUNCE_MS = 400;
+
+/**
+ * @param {'simulate'|'sensitivity'} task
+ * @param {Object} deal
+ * @param {Object} config   options for the task
+ * @param {boolean} enabled
+ * @returns {{ result: Object|null, running: boolean, progress: number, error: string|null }}
+ */
+export function useEngineWorker(task, deal, config, enabled) {
+  const [state, setState] = useState({ result: null, running: false, progress: 0, error: null });
+  const workerRef = useRef(null);
+  const idRef = useRef(0);
+
+  useEffect(() => {
+    if (!enabled || typeof Worker === 'undefined') return undefined;
+    const id = ++idRef.current;
+    const timer = setTimeout(() => {
+      workerRef.current?.terminate();
+      const worker = new Worker(new URL('../engine/simulate.worker.js', import.meta.url), { type: 'module' });
+      workerRef.current = worker;
+      setState((s) => ({ ...s, running: true, progress: 0, error: null }));
+      worker.onmessage = (e) => {
+        const msg = e.data;
+        if (msg.id !== idRef.current) return;
+        if (msg.type === 'progress') setState((s) => ({ ...s, progress: msg.done / msg.total }));
+        else if (msg.type === 'result') setState({ result: msg.result, running: false, progress: 1, error: null });
+        else setState((s) => ({ ...s, running: false, error: msg.message }));
+      };
+      worker.onerror = (e) => setState((s) => ({ ...s, running: false, error: e.message || 'Calculation failed' }));
+      worker.postMessage({ id, task, deal, config });
+    }, DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [task, deal, config, enabled]);
+
+  // Stop any run in flight when the task is switched off or the page unmounts
+  useEffect(() => {
+    if (enabled) return undefined;
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setState((s) => (s.running ? { ...s, running: false } : s));
+    return undefined;
+  }, [enabled]);
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  return state;
+}
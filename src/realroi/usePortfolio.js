@@ -0,0 +1,77 @@
+// ---------------------------
+// usePortfolio — the properties on the portfolio page and the owner's tax and benchmark
+// settings, persisted in localStorage.
+// ---------------------------
+
+import { useCallback, useState } from 'react';
+import { DEFAULT_DEAL, DEFAULT_OWNER, fitsSchema } from '../engine/index.js';
+
+const STORAGE_KEY = 'realroi.portfolio';
+
+// Stored values of the wrong type fall back to the default, as a scenario import does
+const known = (fields) => Object.fromEntries(Object.entries(fields ?? {}).filter(([k, v]) => fitsSchema(k, v)));
+
+function load() {
+  const empty = { properties: [], owner: { ...DEFAULT_OWNER } };
+  if (typeof localStorage === 'undefined') return empty;
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+    if (!data || !Array.isArray(data.properties)) return empty;
+    return {
+      // Fill fields added since the portfolio was saved
+      properties: data.properties.filter((p) => p && typeof p.deal === 'object').map((p) => ({ ...p, name: String(p.name ?? ''), deal: { ...DEFAULT_DEAL, ...known(p.deal) } })),
+      owner: { ...DEFAULT_OWNER, ...Object.fromEntries(Object.entries(known(data.owner)).filter(([k]) => k in DEFAULT_OWNER)) },
+    };
+  } catch {
+    return empty;
+  }
+}
+
+function persist(state) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // Quota or private mode: keep working in memory
+  }
+}
+
+const newId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * @returns {{
+ *   properties: { id: string, name: string, deal: Object }[],
+ *   owner: import('../engine/portfolio.js').PortfolioOwner,
+ *   add: (name: string, deal: Object) => void,
+ *   update: (id: string, patch: { name?: string, deal?: Object }) => void,
+ *   remove: (id: string) => void,
+ *   setOwner: (owner: Object) => void,
+ * }}
+ */
+export function usePortfolio() {
+  const [state, setState] = useState(load);
+
+  const change = useCallback((fn) => {
+    setState((prev) => {
+      const next = fn(prev);
+      persist(next);
+      return next;
+    });
+  }, []);
+
+  const add = useCallback((name, deal) => change((prev) => ({
+    ...prev,
+    properties: [...prev.properties, { id: newId(), name: name.trim() || `Property ${prev.properties.length + 1}`, deal: { ...DEFAULT_DEAL, ...deal } }],
+  })), [change]);
+
+  const update = useCallback((id, patch) => change((prev) => ({
+    ...prev,
+    properties: prev.properties.map((p) => (p.id === id ? { ...p, ...patch } : p)),
+  })), [change]);
+
+  const remove = useCallback((id) => change((prev) => ({ ...prev, properties: prev.properties.filter((p) => p.id !== id) })), [change]);
+
+  const setOwner = useCallback((owner) => change((prev) => ({ ...prev, owner })), [change]);
+
+  return { properties: state.properties, owner: state.owner, add, update, remove, setOwner };
+}
@@ -0,0 +1,62 @@
+// ---------------------------
+// useScenarios — named deals persisted in localStorage, shared by both calculators.
+// ---------------------------
+
+import { useCallback, useState } from 'react';
+import { exportScenarios, importScenarios, makeScenario } from '../engine/index.js';
+
+const STORAGE_KEY = 'realroi.scenarios';
+
+function load() {
+  if (typeof localStorage === 'undefined') return [];
+  const raw = localStorage.getItem(STORAGE_KEY);
+  if (!raw) return [];
+  const { scenarios, error } = importScenarios(raw);
+  return error ? [] : scenarios;
+}
+
+function persist(list) {
+  if (typeof localStorage === 'undefined') return;
+  try {
+    localStorage.setItem(STORAGE_KEY, exportScenarios(list));
+  } catch {
+    // Quota or private mode: keep working in memory
+  }
+}
+
+/**
+ * @returns {{
+ *   scenarios: import('../engine/scenarios.js').Scenario[],
+ *   save: (name: string, deal: Object) => void,
+ *   remove: (id: string) => void,
+ *   addImported: (text: string) => string|null,
+ * }}  addImported returns an error message, or null on success
+ */
+export function useScenarios() {
+  const [scenarios, setScenarios] = useState(load);
+
+  const update = useCallback((fn) => {
+    setScenarios((prev) => {
+      const next = fn(prev);
+      persist(next);
+      return next;
+    });
+  }, []);
+
+  // Saving under an existing name replaces that scenario
+  const save = useCallback((name, deal) => {
+    const scenario = makeScenario(name, deal);
+    update((prev) => [...prev.filter((s) => s.name !== scenario.name), scenario]);
+  }, [update]);
+
+  const remove = useCallback((id) => update((prev) => prev.filter((s) => s.id !== id)), [update]);
+
+  const addImported = useCallback((text) => {
+    const { scenarios: incoming, error } = importScenarios(text);
+    if (error) return error;
+    update((prev) => [...prev.filter((s) => !incoming.some((n) => n.name === s.name)), ...incoming]);
+    return null;
+  }, [update]);
+
+  return { scenarios, save, remove, addImported };
+}
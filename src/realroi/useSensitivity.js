@@ -0,0 +1,16 @@
+// ---------------------------
+// useSensitivity — tornado, heatmap and break-even for the deal, off the main thread.
+// Each one re-runs the model dozens of times, too slow to redo on every keystroke.
+// ---------------------------
+
+import { useEngineWorker } from './useEngineWorker.js';
+
+/**
+ * @param {Object} deal
+ * @param {Object} options  sensitivityReport options
+ * @param {boolean} enabled
+ * @returns {{ result: { tornado: Object, heatmap: Object, breakEven: Object }|null, running: boolean, progress: number, error: string|null }}
+ */
+export function useSensitivity(deal, options, enabled) {
+  return useEngineWorker('sensitivity', deal, options, enabled);
+}
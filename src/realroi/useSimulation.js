@@ -0,0 +1,14 @@
+// ---------------------------
+// useSimulation — Monte Carlo paths for the deal, off the main thread.
+// ---------------------------
+
+import { useEngineWorker } from './useEngineWorker.js';
+
+/**
+ * @param {Object} deal
+ * @param {Object} config   SimulationConfig overrides
+ * @param {boolean} enabled
+ */
+export function useSimulation(deal, config, enabled) {
+  return useEngineWorker('simulate', deal, config, enabled);
+}